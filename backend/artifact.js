@@ -0,0 +1,99 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+// Truffle build artifacts: `truffle migrate` writes the full ABI, the runtime
+// bytecode and the deployed address per network into build/contracts/*.json
+
+function mismatchError(message) {
+  const error = new Error(message);
+  error.code = 'ARTIFACT_MISMATCH';
+  return error;
+}
+
+function loadArtifact(artifactPath) {
+  let artifact;
+  try {
+    artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  } catch (error) {
+    throw mismatchError(`Cannot read contract artifact ${artifactPath}: ${error.message}`);
+  }
+  if (!Array.isArray(artifact.abi) || !artifact.deployedBytecode || artifact.deployedBytecode === '0x') {
+    throw mismatchError(`${artifactPath} is not a compiled Truffle artifact`);
+  }
+  return artifact;
+}
+
+// Truffle keys networks by network ID, which is not the chain ID on Ganache (5777 vs 1337)
+async function findNetworkEntry(artifact, provider) {
+  const networks = artifact.networks || {};
+  const { chainId } = await provider.getNetwork();
+  const networkId = await provider.send('net_version', []);
+  return networks[chainId.toString()] || networks[String(networkId)] || null;
+}
+
+// Immutables are written into the runtime code at deployment, so their bytes are not compared
+function maskImmutables(code, immutableReferences) {
+  let masked = code.toLowerCase();
+  for (const references of Object.values(immutableReferences || {})) {
+    for (const { start, length } of references) {
+      const from = 2 + start * 2;
+      masked = masked.slice(0, from) + '0'.repeat(length * 2) + masked.slice(from + length * 2);
+    }
+  }
+  return masked;
+}
+
+async function checkDeployedBytecode(artifact, provider, address) {
+  const deployed = await provider.getCode(address);
+  if (deployed === '0x') {
+    throw mismatchError(`No contract deployed at ${address}`);
+  }
+  const references = artifact.immutableReferences;
+  if (maskImmutables(deployed, references) !== maskImmutables(artifact.deployedBytecode, references)) {
+    throw mismatchError(
+      `Bytecode at ${address} does not match ${artifact.contractName} in the build artifact; ` +
+      'run npx truffle migrate to compile and redeploy, or fix CONTRACT_ADDRESS'
+    );
+  }
+}
+
+// Every function the dialect calls must exist in the artifact's ABI
+function checkDialectFunctions(artifact, dialect) {
+  const artifactInterface = new ethers.Interface(artifact.abi);
+  const missing = new ethers.Interface(dialect.abi).fragments
+    .filter((fragment) => fragment.type === 'function' && !artifactInterface.getFunction(fragment.format()))
+    .map((fragment) => fragment.format());
+  if (missing.length > 0) {
+    throw mismatchError(
+      `Build artifact is not a ${dialect.name} contract: missing ${missing.join(', ')}. ` +
+      'If contracts/ has changed since it was built, run npx truffle compile (npx truffle migrate to redeploy as well)'
+    );
+  }
+}
+
+// ABI and address for the connected chain, checked against the code actually deployed there
+async function resolveDeployment(provider, { artifactPath, address, dialect }) {
+  const artifact = loadArtifact(artifactPath);
+  checkDialectFunctions(artifact, dialect);
+
+  const entry = await findNetworkEntry(artifact, provider);
+  const contractAddress = address || (entry && entry.address);
+  if (!contractAddress) {
+    const { chainId } = await provider.getNetwork();
+    throw mismatchError(`${artifact.contractName} has no deployment for chain ${chainId} in the build artifact; run npx truffle migrate or set CONTRACT_ADDRESS`);
+  }
+
+  await checkDeployedBytecode(artifact, provider, contractAddress);
+
+  return {
+    abi: artifact.abi,
+    address: ethers.getAddress(contractAddress),
+    deploymentTransaction: entry && entry.address && entry.address.toLowerCase() === contractAddress.toLowerCase()
+      ? entry.transactionHash || null
+      : null
+  };
+}
+
+module.exports = {
+  resolveDeployment
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { getDialect, HASH_ALGORITHMS } = require('./dialects');
+require('dotenv').config();
+
+// Everything the server reads from the environment (or backend/.env) lives here
+
+// "true"/"1" turn a feature on, "false"/"0" turn it off, unset keeps the default
+function flag(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  return ['true', '1'].includes(value.toLowerCase());
+}
+
+const CONTRACT_DIALECT = process.env.CONTRACT_DIALECT || 'registry';
+const dialect = getDialect(CONTRACT_DIALECT);
+
+const HASH_ALGORITHM = process.env.HASH_ALGORITHM || 'sha256';
+if (!HASH_ALGORITHMS.includes(HASH_ALGORITHM)) {
+  throw new Error(`Unknown HASH_ALGORITHM "${HASH_ALGORITHM}" (expected one of: ${HASH_ALGORITHMS.join(', ')})`);
+}
+
+// API_KEY is the single key older deployments used; API_KEYS takes a comma-separated list
+const API_KEYS = (process.env.API_KEYS || process.env.API_KEY || '')
+  .split(',')
+  .map((key) => key.trim())
+  .filter(Boolean);
+
+// Issuer administration (register, suspend, activate, remove) needs one of these; API_KEYS do not grant it
+const ADMIN_API_KEYS = (process.env.ADMIN_API_KEYS || '')
+  .split(',')
+  .map((key) => key.trim())
+  .filter(Boolean);
+
+// The registry contract is deployed with Truffle, so its build artifact is read by default;
+// legacy dialects only use one when CONTRACT_ARTIFACT points at it
+const DEFAULT_ARTIFACT = path.join(__dirname, '..', 'build', 'contracts', 'CertificateVerification.json');
+const CONTRACT_ARTIFACT = process.env.CONTRACT_ARTIFACT
+  || (dialect.registry && fs.existsSync(DEFAULT_ARTIFACT) ? DEFAULT_ARTIFACT : null);
+
+// NETWORKS=development,sepolia reads SEPOLIA_PROVIDER_URL, SEPOLIA_CONTRACT_ADDRESS,
+// SEPOLIA_CONFIRMATION_DEPTH and SEPOLIA_PRIVATE_KEY for each name. Without it the
+// unprefixed PROVIDER_URL / CONTRACT_ADDRESS / CONFIRMATION_DEPTH describe a single network.
+// The first network is the primary one.
+function networkSetting(name, setting) {
+  return process.env[`${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${setting}`];
+}
+
+const NETWORKS = process.env.NETWORKS
+  ? process.env.NETWORKS.split(',').map((name) => name.trim()).filter(Boolean).map((name) => ({
+    name,
+    providerUrl: networkSetting(name, 'PROVIDER_URL'),
+    privateKey: networkSetting(name, 'PRIVATE_KEY') || process.env.PRIVATE_KEY,
+    contractAddress: networkSetting(name, 'CONTRACT_ADDRESS'),
+    confirmationDepth: Number(networkSetting(name, 'CONFIRMATION_DEPTH')) || null
+  }))
+  : [{
+    name: process.env.NETWORK_NAME || 'development',
+    providerUrl: process.env.PROVIDER_URL || 'http://127.0.0.1:7545',
+    privateKey: process.env.PRIVATE_KEY,
+    contractAddress: process.env.CONTRACT_ADDRESS,
+    confirmationDepth: Number(process.env.CONFIRMATION_DEPTH) || null
+  }];
+
+for (const network of NETWORKS) {
+  if (!/^[A-Za-z0-9_-]+$/.test(network.name)) {
+    throw new Error(`Invalid network name "${network.name}" (letters, digits, - and _ only)`);
+  }
+}
+if (new Set(NETWORKS.map((network) => network.name)).size !== NETWORKS.length) {
+  throw new Error('Duplicate name in NETWORKS');
+}
+
+// Where certificate PDFs are stored when the ipfs feature is on
+const STORAGE_PROVIDERS = ['pinata', 'kubo', 'local', 's3'];
+const STORAGE_PROVIDER = process.env.STORAGE_PROVIDER || 'pinata';
+if (!STORAGE_PROVIDERS.includes(STORAGE_PROVIDER)) {
+  throw new Error(`Unknown STORAGE_PROVIDER "${STORAGE_PROVIDER}" (expected one of: ${STORAGE_PROVIDERS.join(', ')})`);
+}
+
+// Public IPFS gateways for downloads, tried in order
+const PINATA_GATEWAY_URL = process.env.PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud';
+const IPFS_GATEWAYS = (process.env.IPFS_GATEWAYS || `${PINATA_GATEWAY_URL},https://ipfs.io`)
+  .split(',')
+  .map((gateway) => gateway.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+const FEATURES = {
+  // Dialects that store a CID on-chain cannot issue without pinning first
+  ipfs: dialect.storesCid || flag('FEATURE_IPFS', false),
+  qr: flag('FEATURE_QR', true),
+  rateLimit: flag('FEATURE_RATE_LIMIT', false),
+  apiKeys: API_KEYS.length > 0
+};
+
+module.exports = {
+  PORT: process.env.PORT,
+  TRUST_PROXY: process.env.TRUST_PROXY,
+  NETWORKS,
+  CONTRACT_ARTIFACT,
+  CONTRACT_DIALECT,
+  DIALECT: dialect,
+  HASH_ALGORITHM,
+  FEATURES,
+  API_KEYS,
+  ADMIN_API_KEYS,
+  RATE_LIMIT_WINDOW: Number(process.env.RATE_LIMIT_WINDOW) || 900,
+  RATE_LIMIT_MAX: Number(process.env.RATE_LIMIT_MAX) || 20,
+  PINATA_API_KEY: process.env.PINATA_API_KEY,
+  PINATA_API_SECRET: process.env.PINATA_API_SECRET,
+  PINATA_JWT: process.env.PINATA_JWT,
+  PINATA_API_URL: process.env.PINATA_API_URL || 'https://api.pinata.cloud',
+  PINATA_GATEWAY_URL,
+  IPFS_GATEWAYS,
+  IPFS_GATEWAY_TIMEOUT: Number(process.env.IPFS_GATEWAY_TIMEOUT) || 15000,
+  DOWNLOAD_CACHE_DIR: process.env.DOWNLOAD_CACHE_DIR || path.join(__dirname, 'data', 'download-cache'),
+  DOWNLOAD_CACHE_MAX_SIZE: (Number(process.env.DOWNLOAD_CACHE_MAX_SIZE_MB ?? 500) || 0) * 1024 * 1024,
+  STORAGE_PROVIDERS,
+  STORAGE_PROVIDER,
+  KUBO_API_URL: process.env.KUBO_API_URL || 'http://127.0.0.1:5001',
+  KUBO_API_AUTH: process.env.KUBO_API_AUTH,
+  KUBO_GATEWAY_URL: process.env.KUBO_GATEWAY_URL || 'http://127.0.0.1:8080',
+  LOCAL_STORAGE_DIR: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'data', 'storage'),
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  S3_PREFIX: process.env.S3_PREFIX || 'certificates/',
+  MAX_BATCH_SIZE: Number(process.env.MAX_BATCH_SIZE) || 2000,
+  MAX_BULK_REVOKE: Number(process.env.MAX_BULK_REVOKE) || 100,
+  MAX_ARCHIVE_SIZE: (Number(process.env.MAX_ARCHIVE_SIZE_MB) || 100) * 1024 * 1024,
+  ISSUE_BATCH_RESULT_TTL: Number(process.env.ISSUE_BATCH_RESULT_TTL) || 3600,
+  IDEMPOTENCY_KEY_TTL: Number(process.env.IDEMPOTENCY_KEY_TTL) || 86400,
+  JOB_RESULT_TTL: Number(process.env.JOB_RESULT_TTL) || 3600,
+  RELAY_SIGNATURE_TTL: Number(process.env.RELAY_SIGNATURE_TTL) || 3600,
+  RECIPIENT_CHALLENGE_TTL: Number(process.env.RECIPIENT_CHALLENGE_TTL) || 300,
+  DB_PATH: process.env.DB_PATH || path.join(__dirname, 'data', 'certificates.db'),
+  VERIFICATION_IP_MODE: process.env.VERIFICATION_IP_MODE || 'anonymized',
+  INDEXER_ENABLED: process.env.INDEXER_ENABLED !== 'false',
+  INDEXER_START_BLOCK: process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : null,
+  INDEXER_POLL_INTERVAL: Number(process.env.INDEXER_POLL_INTERVAL) || 4000,
+  INDEXER_BATCH_SIZE: Number(process.env.INDEXER_BATCH_SIZE) || 2000,
+  INDEXER_BLOCK_HISTORY: Number(process.env.INDEXER_BLOCK_HISTORY) || 256,
+  FINALITY_CHECK_BATCH: Number(process.env.FINALITY_CHECK_BATCH) || 100,
+  TX_MONITOR_INTERVAL: Number(process.env.TX_MONITOR_INTERVAL) || 1000,
+  TX_RESUBMIT_AFTER: Number(process.env.TX_RESUBMIT_AFTER) || 60,
+  TX_GAS_BUMP_PERCENT: Number(process.env.TX_GAS_BUMP_PERCENT) || 20,
+  TX_MAX_FEE_GWEI: Number(process.env.TX_MAX_FEE_GWEI) || null
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema of the local certificate index. Tables are created on first start and
+// columns added by later versions are migrated in place.
+
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map((info) => info.name);
+  if (!columns.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+  return false;
+}
+
+// Opens the index at dbPath; null when it cannot be opened, so the server runs without it
+function initializeDatabase(dbPath) {
+  let db;
+  try {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS certificates (
+        certificate_hash TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        issuer TEXT,
+        ipfs_cid TEXT,
+        file_name TEXT,
+        file_size INTEGER,
+        pin_size INTEGER,
+        pinned_at TEXT,
+        merkle_root TEXT,
+        expires_at INTEGER,
+        token_holder TEXT,
+        recipient_binding TEXT,
+        qr_payload TEXT,
+        issued_tx_hash TEXT,
+        issued_block INTEGER,
+        issued_at TEXT,
+        issued_by TEXT,
+        revoked_tx_hash TEXT,
+        revoked_block INTEGER,
+        revoked_at TEXT,
+        revoked_by TEXT,
+        revocation_reason TEXT,
+        revocation_note TEXT,
+        superseded_by TEXT,
+        finality TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_certificates_issuer ON certificates (issuer);
+      CREATE INDEX IF NOT EXISTS idx_certificates_merkle_root ON certificates (merkle_root);
+      CREATE INDEX IF NOT EXISTS idx_certificates_issued_at ON certificates (issued_at);
+      CREATE INDEX IF NOT EXISTS idx_certificates_ipfs_cid ON certificates (ipfs_cid);
+
+      CREATE TABLE IF NOT EXISTS certificate_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        certificate_hash TEXT NOT NULL,
+        action TEXT NOT NULL,
+        transaction_hash TEXT,
+        block_number INTEGER,
+        performed_by TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_certificate_events_hash ON certificate_events (certificate_hash);
+
+      CREATE TABLE IF NOT EXISTS chain_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        block_timestamp TEXT NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        sender TEXT,
+        gas_used TEXT,
+        gas_price TEXT,
+        event_name TEXT NOT NULL,
+        certificate_hash TEXT,
+        merkle_root TEXT,
+        data TEXT NOT NULL,
+        UNIQUE (transaction_hash, log_index)
+      );
+      CREATE INDEX IF NOT EXISTS idx_chain_events_hash ON chain_events (certificate_hash);
+      CREATE INDEX IF NOT EXISTS idx_chain_events_root ON chain_events (merkle_root);
+      CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events (block_number);
+
+      CREATE TABLE IF NOT EXISTS indexed_blocks (
+        network TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        PRIMARY KEY (network, block_number)
+      );
+
+      CREATE TABLE IF NOT EXISTS indexer_state (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS verifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        certificate_hash TEXT NOT NULL,
+        method TEXT NOT NULL,
+        status TEXT NOT NULL,
+        requester_ip TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_verifications_hash ON verifications (certificate_hash);
+      CREATE INDEX IF NOT EXISTS idx_verifications_created_at ON verifications (created_at);
+      CREATE INDEX IF NOT EXISTS idx_verifications_status ON verifications (status);
+
+      CREATE TABLE IF NOT EXISTS managed_transactions (
+        id TEXT PRIMARY KEY,
+        nonce INTEGER NOT NULL,
+        method TEXT NOT NULL,
+        args TEXT,
+        to_address TEXT NOT NULL,
+        data TEXT NOT NULL,
+        gas_limit TEXT NOT NULL,
+        fees TEXT NOT NULL,
+        raw_transaction TEXT NOT NULL,
+        tx_hashes TEXT NOT NULL,
+        status TEXT NOT NULL,
+        mined_hash TEXT,
+        block_number INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        sent_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_managed_transactions_status ON managed_transactions (status);
+
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        idempotency_key TEXT PRIMARY KEY,
+        fingerprint TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        status TEXT NOT NULL,
+        status_code INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        completed_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys (created_at);
+
+      CREATE TABLE IF NOT EXISTS stored_files (
+        ipfs_cid TEXT PRIMARY KEY,
+        storage_provider TEXT NOT NULL,
+        stored_at TEXT NOT NULL
+      );
+    `);
+
+    // Databases created before these columns existed
+    addColumnIfMissing(db, 'chain_events', 'gas_used', 'TEXT');
+    addColumnIfMissing(db, 'chain_events', 'gas_price', 'TEXT');
+    addColumnIfMissing(db, 'verifications', 'requester_ip', 'TEXT');
+    addColumnIfMissing(db, 'certificates', 'finality', 'TEXT');
+    addColumnIfMissing(db, 'certificates', 'network', 'TEXT');
+    addColumnIfMissing(db, 'managed_transactions', 'network', 'TEXT');
+    addColumnIfMissing(db, 'chain_events', 'network', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_chain_events_network_block ON chain_events (network, block_number)');
+    // The single-chain block history cannot be told apart by network; it only serves reorg detection, so start it over
+    if (!db.prepare('PRAGMA table_info(indexed_blocks)').all().some((info) => info.name === 'network')) {
+      db.exec(`
+        DROP TABLE indexed_blocks;
+        CREATE TABLE indexed_blocks (
+          network TEXT NOT NULL,
+          block_number INTEGER NOT NULL,
+          block_hash TEXT NOT NULL,
+          PRIMARY KEY (network, block_number)
+        );
+      `);
+    }
+    if (addColumnIfMissing(db, 'certificates', 'storage_provider', 'TEXT')) {
+      // Every file stored before providers were tracked was pinned to Pinata
+      db.prepare("UPDATE certificates SET storage_provider = 'pinata' WHERE ipfs_cid IS NOT NULL").run();
+    }
+
+    // A request cut short by a restart never stored its response; let its retry run again
+    db.prepare("DELETE FROM idempotency_keys WHERE status = 'processing'").run();
+
+    console.log('✅ Database initialized');
+    console.log('🗄️  Database:', dbPath);
+    return db;
+  } catch (error) {
+    console.error('❌ Database error:', error.message);
+    if (db) db.close();
+    return null;
+  }
+}
+
+module.exports = {
+  initializeDatabase
+};
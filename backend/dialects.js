@@ -0,0 +1,719 @@
+const { ethers } = require('ethers');
+
+// A contract dialect describes one of the contracts this backend has been deployed
+// against: its ABI and how issue, revoke and verify map onto it. CONTRACT_DIALECT
+// picks one; every dialect except "registry" is an older contract kept for
+// deployments that still run it.
+
+// contracts/CertificateVerification.sol
+const REGISTRY_ABI = [
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "issuer", "type": "address"},
+      {"indexed": false, "internalType": "string", "name": "ipfsCID", "type": "string"}
+    ],
+    "name": "CertificateIssued",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": false, "internalType": "enum CertificateVerification.RevocationReason", "name": "reason", "type": "uint8"},
+      {"indexed": false, "internalType": "uint256", "name": "revokedAt", "type": "uint256"},
+      {"indexed": false, "internalType": "string", "name": "note", "type": "string"}
+    ],
+    "name": "CertificateRevoked",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"}
+    ],
+    "name": "issueCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"},
+      {"internalType": "uint256", "name": "expiresAt", "type": "uint256"}
+    ],
+    "name": "issueCertificateWithExpiry",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"},
+      {"internalType": "uint256", "name": "expiresAt", "type": "uint256"},
+      {"internalType": "address", "name": "recipient", "type": "address"}
+    ],
+    "name": "issueCertificateToRecipient",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"},
+      {"internalType": "uint256", "name": "expiresAt", "type": "uint256"},
+      {"internalType": "address", "name": "tokenRecipient", "type": "address"},
+      {"internalType": "enum CertificateVerification.RecipientBinding", "name": "binding", "type": "uint8"},
+      {"internalType": "bytes32", "name": "commitment", "type": "bytes32"}
+    ],
+    "name": "issueBoundCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "getRecipientBinding",
+    "outputs": [
+      {"internalType": "enum CertificateVerification.RecipientBinding", "name": "binding", "type": "uint8"},
+      {"internalType": "bytes32", "name": "commitment", "type": "bytes32"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": false, "internalType": "enum CertificateVerification.RecipientBinding", "name": "binding", "type": "uint8"},
+      {"indexed": false, "internalType": "bytes32", "name": "commitment", "type": "bytes32"}
+    ],
+    "name": "RecipientBound",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "getStatistics",
+    "outputs": [
+      {"internalType": "uint256", "name": "issued", "type": "uint256"},
+      {"internalType": "uint256", "name": "revoked", "type": "uint256"},
+      {"internalType": "uint256", "name": "active", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "getCertificateHolder",
+    "outputs": [
+      {"internalType": "address", "name": "", "type": "address"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "revokeCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "enum CertificateVerification.RevocationReason", "name": "reason", "type": "uint8"},
+      {"internalType": "string", "name": "note", "type": "string"}
+    ],
+    "name": "revokeCertificateWithReason",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "issuer", "type": "address"},
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"},
+      {"internalType": "uint256", "name": "expiresAt", "type": "uint256"},
+      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+      {"internalType": "bytes", "name": "signature", "type": "bytes"}
+    ],
+    "name": "issueCertificateBySig",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "issuer", "type": "address"},
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "enum CertificateVerification.RevocationReason", "name": "reason", "type": "uint8"},
+      {"internalType": "string", "name": "note", "type": "string"},
+      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+      {"internalType": "bytes", "name": "signature", "type": "bytes"}
+    ],
+    "name": "revokeCertificateBySig",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "", "type": "address"}
+    ],
+    "name": "nonces",
+    "outputs": [
+      {"internalType": "uint256", "name": "", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "getRevocationDetails",
+    "outputs": [
+      {"internalType": "uint256", "name": "revokedAt", "type": "uint256"},
+      {"internalType": "enum CertificateVerification.RevocationReason", "name": "reason", "type": "uint8"},
+      {"internalType": "string", "name": "note", "type": "string"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "verifyCertificate",
+    "outputs": [
+      {"internalType": "bool", "name": "isValid", "type": "bool"},
+      {"internalType": "address", "name": "issuer", "type": "address"},
+      {"internalType": "uint256", "name": "issuedAt", "type": "uint256"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"},
+      {"internalType": "enum CertificateVerification.CertificateStatus", "name": "status", "type": "uint8"},
+      {"internalType": "uint256", "name": "expiresAt", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "oldCertHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "bytes32", "name": "newCertHash", "type": "bytes32"}
+    ],
+    "name": "CertificateSuperseded",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "oldHash", "type": "bytes32"},
+      {"internalType": "bytes32", "name": "newHash", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"}
+    ],
+    "name": "supersedeCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "getSupersession",
+    "outputs": [
+      {"internalType": "bytes32", "name": "replacedBy", "type": "bytes32"},
+      {"internalType": "bytes32", "name": "replaces", "type": "bytes32"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "actor", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "suspendedAt", "type": "uint256"},
+      {"indexed": false, "internalType": "string", "name": "note", "type": "string"}
+    ],
+    "name": "CertificateSuspended",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "actor", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "reinstatedAt", "type": "uint256"},
+      {"indexed": false, "internalType": "string", "name": "note", "type": "string"}
+    ],
+    "name": "CertificateReinstated",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "note", "type": "string"}
+    ],
+    "name": "suspendCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "note", "type": "string"}
+    ],
+    "name": "reinstateCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "getSuspensionHistory",
+    "outputs": [
+      {
+        "components": [
+          {"internalType": "bool", "name": "suspended", "type": "bool"},
+          {"internalType": "address", "name": "actor", "type": "address"},
+          {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
+          {"internalType": "string", "name": "note", "type": "string"}
+        ],
+        "internalType": "struct CertificateVerification.SuspensionRecord[]",
+        "name": "",
+        "type": "tuple[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "issuer", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "certificateCount", "type": "uint256"},
+      {"indexed": false, "internalType": "string", "name": "ipfsCID", "type": "string"}
+    ],
+    "name": "BatchIssued",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}
+    ],
+    "name": "BatchRevoked",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": false, "internalType": "uint256", "name": "expiresAt", "type": "uint256"}
+    ],
+    "name": "CertificateExpirySet",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "from", "type": "address"},
+      {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+      {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"}
+    ],
+    "name": "Transfer",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"},
+      {"internalType": "uint256", "name": "certificateCount", "type": "uint256"}
+    ],
+    "name": "issueBatch",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}
+    ],
+    "name": "revokeBatch",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+      {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}
+    ],
+    "name": "verifyBatchCertificate",
+    "outputs": [
+      {"internalType": "bool", "name": "validity", "type": "bool"},
+      {"internalType": "address", "name": "certIssuer", "type": "address"},
+      {"internalType": "uint256", "name": "issueTimestamp", "type": "uint256"},
+      {"internalType": "string", "name": "storageCID", "type": "string"},
+      {"internalType": "enum CertificateVerification.CertificateStatus", "name": "status", "type": "uint8"},
+      {"internalType": "uint256", "name": "expiryTimestamp", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}
+    ],
+    "name": "getBatchDetails",
+    "outputs": [
+      {"internalType": "bool", "name": "validity", "type": "bool"},
+      {"internalType": "address", "name": "batchIssuer", "type": "address"},
+      {"internalType": "uint256", "name": "issueTimestamp", "type": "uint256"},
+      {"internalType": "uint256", "name": "certificateCount", "type": "uint256"},
+      {"internalType": "string", "name": "storageCID", "type": "string"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "account", "type": "address"}
+    ],
+    "name": "getIssuer",
+    "outputs": [
+      {"internalType": "string", "name": "issuerName", "type": "string"},
+      {"internalType": "string", "name": "metadataURI", "type": "string"},
+      {"internalType": "enum CertificateVerification.IssuerStatus", "name": "status", "type": "uint8"},
+      {"internalType": "uint256", "name": "registeredAt", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "account", "type": "address"},
+      {"internalType": "string", "name": "issuerName", "type": "string"},
+      {"internalType": "string", "name": "metadataURI", "type": "string"}
+    ],
+    "name": "registerIssuer",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "account", "type": "address"}
+    ],
+    "name": "suspendIssuer",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "account", "type": "address"}
+    ],
+    "name": "activateIssuer",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "account", "type": "address"}
+    ],
+    "name": "removeIssuer",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+];
+
+// CertificateverificationIPFS.sol: stores a CID per certificate; revoking deletes the record
+const IPFS_ABI = [
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "issuer", "type": "address"},
+      {"indexed": false, "internalType": "string", "name": "ipfsCID", "type": "string"}
+    ],
+    "name": "CertificateIssued",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "CertificateRevoked",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"}
+    ],
+    "name": "issueCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "revokeCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "verifyCertificate",
+    "outputs": [
+      {"internalType": "bool", "name": "isValid", "type": "bool"},
+      {"internalType": "address", "name": "issuer", "type": "address"},
+      {"internalType": "uint256", "name": "issuedAt", "type": "uint256"},
+      {"internalType": "string", "name": "ipfsCID", "type": "string"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+// CertificateVerificationQR.sol: hash only; a revoked certificate keeps its issuer
+const BASIC_ABI = [
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "issuer", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "CertificateIssued",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "revokedBy", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "CertificateRevoked",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "issueCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "revokeCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "verifyCertificate",
+    "outputs": [
+      {"internalType": "bool", "name": "isValid", "type": "bool"},
+      {"internalType": "address", "name": "issuer", "type": "address"},
+      {"internalType": "uint256", "name": "issuedAt", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+// Student record contract: a certificate ID and student name next to the hash, no revocation
+const STUDENT_ABI = [
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
+      {"internalType": "string", "name": "certificateId", "type": "string"},
+      {"internalType": "string", "name": "studentName", "type": "string"}
+    ],
+    "name": "issueCertificate",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
+    ],
+    "name": "verifyCertificate",
+    "outputs": [
+      {"internalType": "bool", "name": "isValid", "type": "bool"},
+      {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
+      {"internalType": "string", "name": "certificateId", "type": "string"},
+      {"internalType": "string", "name": "studentName", "type": "string"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+const HASH_ALGORITHMS = ['sha256', 'keccak256'];
+
+// Same shape as lookupCertificate() in mainserver.js, so verify and revoke handlers serve every dialect
+function certificateRecord(status, issuer, issuedAt, ipfsCID = null, fields = null) {
+  return {
+    isValid: status === 'valid',
+    status,
+    issuer: issuer && issuer !== ethers.ZeroAddress ? issuer : null,
+    issuedAt: Number(issuedAt),
+    expiresAt: 0,
+    ipfsCID,
+    ipfsPath: ipfsCID,
+    merkleRoot: null,
+    ...(fields && { fields })
+  };
+}
+
+const DIALECTS = {
+  registry: {
+    name: 'registry',
+    description: 'Issuer registry with expiry, revocation reasons, suspension, batches and soulbound tokens',
+    abi: REGISTRY_ABI,
+    registry: true,
+    storesCid: true,
+    revocable: true,
+    fields: [],
+    issueCall(bytes32Hash, ipfsCID, { expiresAt, recipient, recipientBinding }) {
+      if (recipientBinding) {
+        return ['issueBoundCertificate', [
+          bytes32Hash,
+          ipfsCID,
+          expiresAt,
+          recipient || ethers.ZeroAddress,
+          recipientBinding.bindingCode,
+          recipientBinding.commitment
+        ]];
+      }
+      if (recipient) {
+        return ['issueCertificateToRecipient', [bytes32Hash, ipfsCID, expiresAt, recipient]];
+      }
+      return ['issueCertificateWithExpiry', [bytes32Hash, ipfsCID, expiresAt]];
+    },
+    revokeCall(bytes32Hash, revocation) {
+      return ['revokeCertificateWithReason', [bytes32Hash, revocation.reasonCode, revocation.note]];
+    }
+  },
+
+  ipfs: {
+    name: 'ipfs',
+    description: 'Certificate hash and IPFS CID (CertificateverificationIPFS.sol)',
+    abi: IPFS_ABI,
+    registry: false,
+    storesCid: true,
+    revocable: true,
+    fields: [],
+    issueCall(bytes32Hash, ipfsCID) {
+      return ['issueCertificate', [bytes32Hash, ipfsCID]];
+    },
+    revokeCall(bytes32Hash) {
+      return ['revokeCertificate', [bytes32Hash]];
+    },
+    // Revoking deletes the record, so a revoked certificate reads as never issued
+    async readCertificate(contract, bytes32Hash) {
+      const [isValid, issuer, issuedAt, ipfsCID] = await contract.verifyCertificate(bytes32Hash);
+      return certificateRecord(isValid ? 'valid' : 'not-issued', issuer, issuedAt, ipfsCID || null);
+    }
+  },
+
+  basic: {
+    name: 'basic',
+    description: 'Certificate hash only (CertificateVerificationQR.sol)',
+    abi: BASIC_ABI,
+    registry: false,
+    storesCid: false,
+    revocable: true,
+    fields: [],
+    issueCall(bytes32Hash) {
+      return ['issueCertificate', [bytes32Hash]];
+    },
+    revokeCall(bytes32Hash) {
+      return ['revokeCertificate', [bytes32Hash]];
+    },
+    async readCertificate(contract, bytes32Hash) {
+      const [isValid, issuer, issuedAt] = await contract.verifyCertificate(bytes32Hash);
+      let status = 'not-issued';
+      if (isValid) {
+        status = 'valid';
+      } else if (issuer !== ethers.ZeroAddress) {
+        status = 'revoked';
+      }
+      return certificateRecord(status, issuer, issuedAt);
+    }
+  },
+
+  student: {
+    name: 'student',
+    description: 'Certificate hash with certificate ID and student name, no revocation',
+    abi: STUDENT_ABI,
+    registry: false,
+    storesCid: false,
+    revocable: false,
+    fields: ['certificateId', 'studentName'],
+    issueCall(bytes32Hash, ipfsCID, { fields }) {
+      return ['issueCertificate', [bytes32Hash, fields.certificateId, fields.studentName]];
+    },
+    async readCertificate(contract, bytes32Hash) {
+      const [isValid, timestamp, certificateId, studentName] = await contract.verifyCertificate(bytes32Hash);
+      return certificateRecord(
+        isValid ? 'valid' : 'not-issued',
+        null,
+        timestamp,
+        null,
+        isValid ? { certificateId, studentName } : null
+      );
+    }
+  }
+};
+
+function getDialect(name) {
+  const dialect = DIALECTS[name];
+  if (!dialect) {
+    throw new Error(`Unknown contract dialect "${name}" (expected one of: ${Object.keys(DIALECTS).join(', ')})`);
+  }
+  return dialect;
+}
+
+module.exports = {
+  DIALECTS,
+  HASH_ALGORITHMS,
+  getDialect
+};
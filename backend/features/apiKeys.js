@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { API_KEYS, ADMIN_API_KEYS } = require('../config');
+
+// Shared-secret protection for routes that send transactions or expose issuer-side
+// records. Switched on by setting API_KEYS (or API_KEY); clients send the key in the
+// x-api-key header.
+// Issuer administration takes a separate key from ADMIN_API_KEYS.
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function isKnownApiKey(apiKey, keys) {
+  const candidate = digest(apiKey);
+  return keys.some((key) => crypto.timingSafeEqual(digest(key), candidate));
+}
+
+function requireApiKey(req, res, next) {
+  if (API_KEYS.length === 0) {
+    return next();
+  }
+
+  const apiKey = req.get('x-api-key');
+  if (!apiKey || !isKnownApiKey(apiKey, API_KEYS)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid or missing API key'
+    });
+  }
+  next();
+}
+
+// Without any keys configured the server is open, as with requireApiKey. Once API_KEYS
+// are set, issuer administration stays closed until ADMIN_API_KEYS are set too.
+function requireAdminKey(req, res, next) {
+  if (ADMIN_API_KEYS.length === 0) {
+    if (API_KEYS.length === 0) {
+      return next();
+    }
+    return res.status(403).json({
+      success: false,
+      message: 'Issuer administration is disabled: set ADMIN_API_KEYS'
+    });
+  }
+
+  const apiKey = req.get('x-api-key');
+  if (!apiKey || !isKnownApiKey(apiKey, ADMIN_API_KEYS)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid or missing admin API key'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  requireApiKey,
+  requireAdminKey
+};
@@ -0,0 +1,52 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { MAX_ARCHIVE_SIZE } = require('../config');
+
+// PDFs uploaded as a ZIP for batch issuance. Entry headers are written by the uploader,
+// so sizes are checked against the bytes that actually come out of each entry.
+
+const MAX_CERTIFICATE_SIZE = 5 * 1024 * 1024;
+
+// Maps each PDF's base name to its name and bytes; folders inside the ZIP are ignored
+function readArchive(buffer) {
+  const zip = new AdmZip(buffer);
+  const files = new Map();
+  let totalSize = 0;
+
+  for (const entry of zip.getEntries()) {
+    const fileName = path.posix.basename(entry.entryName);
+    if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/') || !/\.pdf$/i.test(fileName)) {
+      continue;
+    }
+    if (entry.header.size > MAX_CERTIFICATE_SIZE) {
+      throw new Error(`${fileName} exceeds the 5MB certificate limit`);
+    }
+    // Inflation is only bounded by a non-zero declared size, and an empty PDF is no certificate anyway
+    if (entry.header.size === 0) {
+      throw new Error(`${fileName} is empty`);
+    }
+    if (files.has(fileName.toLowerCase())) {
+      throw new Error(`Archive contains ${fileName} more than once`);
+    }
+
+    let data;
+    try {
+      data = entry.getData();
+    } catch (e) {
+      throw new Error(`${fileName} could not be extracted: ${e.message}`);
+    }
+    if (data.length > MAX_CERTIFICATE_SIZE) {
+      throw new Error(`${fileName} exceeds the 5MB certificate limit`);
+    }
+    totalSize += data.length;
+    if (totalSize > MAX_ARCHIVE_SIZE * 4) {
+      throw new Error('Archive expands beyond the allowed size');
+    }
+    files.set(fileName.toLowerCase(), { fileName, buffer: data });
+  }
+  return files;
+}
+
+module.exports = {
+  readArchive
+};
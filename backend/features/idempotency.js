@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { IDEMPOTENCY_KEY_TTL } = require('../config');
+
+// Fingerprint of what the request asks for; multipart boundaries differ between
+// retries, so uploaded files are hashed by content
+function requestFingerprint(req) {
+  const files = req.file ? [req.file] : Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  return crypto.createHash('sha256').update(JSON.stringify({
+    method: req.method,
+    url: req.originalUrl,
+    body: req.body || {},
+    files: files.map((file) => [file.fieldname, file.originalname, crypto.createHash('sha256').update(file.buffer).digest('hex')])
+  })).digest('hex');
+}
+
+// Mutating routes accept an Idempotency-Key header: the first response (below 500) is stored
+// and replayed for every retry with the same key, so a retried issue or revoke never runs twice.
+// Keys live in the idempotency_keys table of the local index; without it the header is ignored.
+// A queued job or ZIP batch reports its final response through req.completeIdempotentRequest,
+// which replaces the stored 202, so retries get the result after the job or batch has expired.
+// A 202 still stored points at work that has not finished; isAcceptedWorkKnown(data) tells
+// whether it is still in memory, and once a restart has lost it the request runs again.
+function createIdempotencyMiddleware({ db, safeIndex, isAcceptedWorkKnown = () => true }) {
+  return function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > 255 || !/^[\x21-\x7e]+$/.test(key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid Idempotency-Key: use up to 255 visible ASCII characters'
+      });
+    }
+    if (!db) {
+      console.warn('⚠️  Idempotency-Key ignored: database not initialized');
+      return next();
+    }
+
+    const fingerprint = requestFingerprint(req);
+    const now = new Date();
+    db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?')
+      .run(new Date(now.getTime() - IDEMPOTENCY_KEY_TTL * 1000).toISOString());
+
+    const claimed = db.prepare(`
+      INSERT INTO idempotency_keys (idempotency_key, fingerprint, method, path, status, created_at)
+      VALUES (?, ?, ?, ?, 'processing', ?)
+      ON CONFLICT (idempotency_key) DO NOTHING
+    `).run(key, fingerprint, req.method, req.path, now.toISOString()).changes === 1;
+
+    if (!claimed) {
+      const stored = db.prepare('SELECT * FROM idempotency_keys WHERE idempotency_key = ?').get(key);
+      if (stored.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+      if (stored.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      const response = JSON.parse(stored.response);
+      if (stored.status_code === 202 && !isAcceptedWorkKnown(response.data || {})) {
+        console.log('♻️  Idempotency-Key', key, 'refers to work that no longer exists, running it again');
+        db.prepare("DELETE FROM idempotency_keys WHERE idempotency_key = ? AND status = 'completed'").run(key);
+        return idempotent(req, res, next);
+      }
+
+      console.log('🔁 Replaying response for Idempotency-Key', key);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status_code).json(response);
+    }
+
+    function storeResponse(statusCode, body) {
+      safeIndex('idempotency', () => {
+        if (statusCode >= 500) {
+          // Nothing reliable to replay: let the client retry for real
+          db.prepare('DELETE FROM idempotency_keys WHERE idempotency_key = ?').run(key);
+        } else {
+          db.prepare(`
+            UPDATE idempotency_keys SET status = 'completed', status_code = ?, response = ?, completed_at = ?
+            WHERE idempotency_key = ?
+          `).run(statusCode, JSON.stringify(body), new Date().toISOString(), key);
+        }
+      });
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      storeResponse(res.statusCode, body);
+      return json(body);
+    };
+    req.completeIdempotentRequest = storeResponse;
+    next();
+  };
+}
+
+module.exports = {
+  createIdempotencyMiddleware
+};
@@ -0,0 +1,60 @@
+const QRCode = require('qrcode');
+const { FEATURES } = require('../config');
+
+// QR codes handed to certificate holders. FEATURE_QR=false leaves them out of
+// issue responses and batch archives; QR payloads printed earlier still verify.
+
+// The network tells verifiers which chain to query
+function buildQRPayload(certificateHash, batchProof, recipientSalt, network) {
+  return JSON.stringify({
+    type: 'certificate',
+    hash: certificateHash,
+    ...(batchProof && { merkleRoot: batchProof.merkleRoot, proof: batchProof.proof }),
+    ...(recipientSalt && { recipientSalt }),
+    ...(network && { network: network.name, chainId: network.chainId }),
+    version: '1.0'
+  });
+}
+
+// Returns a PNG data URL, or null when the QR feature is off
+async function generateQRCode(certificateHash, batchProof, recipientSalt, network) {
+  if (!FEATURES.qr) return null;
+
+  try {
+    const qrData = buildQRPayload(certificateHash, batchProof, recipientSalt, network);
+
+    const qrCodeDataURL = await QRCode.toDataURL(qrData, {
+      // Batch payloads carry a proof, so trade some redundancy for a scannable density
+      errorCorrectionLevel: batchProof ? 'M' : 'H',
+      type: 'image/png',
+      quality: 1,
+      margin: 2,
+      width: 400,
+      color: { dark: '#000000', light: '#FFFFFF' }
+    });
+    
+    console.log('📱 QR generated');
+    return qrCodeDataURL;
+  } catch (error) {
+    console.error('❌ QR error:', error);
+    throw error;
+  }
+}
+
+// PNG file contents for archives; null when the QR feature is off
+async function generateQRCodePng(qrPayload) {
+  if (!FEATURES.qr) return null;
+
+  return QRCode.toBuffer(qrPayload, {
+    errorCorrectionLevel: 'H',
+    type: 'png',
+    margin: 2,
+    width: 400
+  });
+}
+
+module.exports = {
+  buildQRPayload,
+  generateQRCode,
+  generateQRCodePng
+};
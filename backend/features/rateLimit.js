@@ -0,0 +1,18 @@
+const { rateLimit } = require('express-rate-limit');
+const { RATE_LIMIT_WINDOW, RATE_LIMIT_MAX } = require('../config');
+
+// Per-IP request budget for /api/, switched on with FEATURE_RATE_LIMIT=true.
+// Behind a reverse proxy set TRUST_PROXY, or every client shares the proxy's budget.
+const apiRateLimit = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW * 1000,
+  limit: RATE_LIMIT_MAX,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  // Following a queued job is part of the request that created it
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/'),
+  message: { success: false, message: 'Too many requests, please try again later' }
+});
+
+module.exports = {
+  apiRateLimit
+};
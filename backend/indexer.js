@@ -0,0 +1,462 @@
+const { ethers } = require('ethers');
+const {
+  INDEXER_START_BLOCK,
+  INDEXER_POLL_INTERVAL,
+  INDEXER_BATCH_SIZE,
+  INDEXER_BLOCK_HISTORY,
+  FINALITY_CHECK_BATCH
+} = require('./config');
+
+// Mirrors the contract's lifecycle events into the local index (chain_events, and
+// the certificates table derived from them), rewinds on reorgs and moves indexed
+// issuances from pending to final once they have enough confirmations. One indexer
+// follows one network, with its own cursor and block history.
+
+const LIFECYCLE_EVENTS = [
+  'CertificateIssued', 'CertificateExpirySet', 'RecipientBound', 'Transfer', 'CertificateRevoked',
+  'CertificateSuperseded', 'CertificateSuspended', 'CertificateReinstated', 'BatchIssued', 'BatchRevoked'
+];
+
+// Columns derived from chain events; local metadata (filename, pin info, QR payload) survives a rebuild
+const CHAIN_DERIVED_RESET = `
+  status = 'not-issued', issuer = NULL, expires_at = NULL, token_holder = NULL, recipient_binding = NULL,
+  issued_tx_hash = NULL, issued_block = NULL, issued_at = NULL, issued_by = NULL,
+  revoked_tx_hash = NULL, revoked_block = NULL, revoked_at = NULL, revoked_by = NULL,
+  revocation_reason = NULL, revocation_note = NULL, superseded_by = NULL, finality = NULL
+`;
+
+// Re-applying an issuance that is already final (same transaction) keeps it final
+const PENDING_FINALITY = "finality = CASE WHEN finality = 'final' AND issued_tx_hash = ? THEN 'final' ELSE 'pending' END";
+
+module.exports = function createIndexer(ctx) {
+  const {
+    db, network, primaryNetwork, safeIndex, recordCertificateEvent, stripHexPrefix,
+    REVOCATION_REASONS, RECIPIENT_BINDINGS
+  } = ctx;
+  const { provider, contract, contractAddress, deploymentTransaction } = network;
+  // Certificates indexed before networks were recorded belong to the primary network
+  const onThisNetwork = 'COALESCE(network, ?) = ?';
+  const networkParams = [primaryNetwork.name, network.name];
+
+  const indexerStatus = {
+    network: network.name,
+    running: false,
+    lastSyncedAt: null,
+    lastError: null,
+    reorgs: 0,
+    lastReorgAt: null
+  };
+
+  // State keys are prefixed with the network name, e.g. "sepolia:last_block"
+  function stateKey(key) {
+    return `${network.name}:${key}`;
+  }
+
+  function getIndexerState(key) {
+    const row = db.prepare('SELECT value FROM indexer_state WHERE key = ?').get(stateKey(key));
+    return row ? row.value : null;
+  }
+
+  function setIndexerState(key, value) {
+    db.prepare(`
+      INSERT INTO indexer_state (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `).run(stateKey(key), value === null ? null : String(value));
+  }
+
+  // An index built while only one network was followed is the primary network's; keep its cursor
+  function adoptSingleNetworkIndex() {
+    db.transaction(() => {
+      for (const key of ['start_block', 'last_block', 'last_block_hash', 'contract']) {
+        db.prepare('UPDATE indexer_state SET key = ? WHERE key = ?').run(stateKey(key), key);
+      }
+      db.prepare('UPDATE chain_events SET network = ? WHERE network IS NULL').run(network.name);
+    })();
+  }
+
+  // Binary search for the first block where the contract has code
+  async function findDeploymentBlock(head) {
+    if (INDEXER_START_BLOCK !== null) return INDEXER_START_BLOCK;
+
+    if (deploymentTransaction) {
+      const receipt = await provider.getTransactionReceipt(deploymentTransaction);
+      if (receipt) return receipt.blockNumber;
+    }
+
+    let low = 0;
+    let high = head;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const code = await provider.getCode(contractAddress, mid);
+      if (code === '0x') {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  function resetChainIndex() {
+    db.transaction(() => {
+      db.prepare('DELETE FROM chain_events WHERE network = ?').run(network.name);
+      db.prepare('DELETE FROM indexed_blocks WHERE network = ?').run(network.name);
+      db.prepare('DELETE FROM indexer_state WHERE substr(key, 1, length(?)) = ?').run(stateKey(''), stateKey(''));
+      // Certificates issued on other networks are not rebuilt from this chain's events
+      db.prepare(`UPDATE certificates SET ${CHAIN_DERIVED_RESET}, updated_at = ? WHERE ${onThisNetwork}`)
+        .run(new Date().toISOString(), ...networkParams);
+    })();
+  }
+
+  function eventSubject(log) {
+    const args = log.args;
+    switch (log.fragment.name) {
+      case 'CertificateSuperseded':
+        return { certificateHash: args.oldCertHash };
+      case 'Transfer':
+        return { certificateHash: ethers.toBeHex(args.tokenId, 32) };
+      case 'BatchIssued':
+      case 'BatchRevoked':
+        return { merkleRoot: args.merkleRoot };
+      default:
+        return { certificateHash: args.certHash };
+    }
+  }
+
+  function serializeEventArgs(log) {
+    const data = {};
+    log.fragment.inputs.forEach((input, i) => {
+      const value = log.args[i];
+      data[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    });
+    return data;
+  }
+
+  function ensureCertificateRow(certificateHash, updatedAt) {
+    db.prepare(`
+      INSERT INTO certificates (certificate_hash, network, status, updated_at) VALUES (?, ?, 'not-issued', ?)
+      ON CONFLICT (certificate_hash) DO NOTHING
+    `).run(certificateHash, network.name, updatedAt);
+  }
+
+  // A hash recorded on another network is left to that network's indexer
+  function isRecordedElsewhere(certificateHash) {
+    const row = db.prepare('SELECT network FROM certificates WHERE certificate_hash = ?').get(certificateHash);
+    return !!row && (row.network || primaryNetwork.name) !== network.name;
+  }
+
+  // Applies one stored chain_events row to the certificates table
+  function applyChainEvent(event) {
+    const data = JSON.parse(event.data);
+    const hash = event.certificate_hash;
+    const root = event.merkle_root;
+    const at = event.block_timestamp;
+
+    if (hash && isRecordedElsewhere(hash)) return;
+
+    switch (event.event_name) {
+      case 'CertificateIssued':
+        ensureCertificateRow(hash, at);
+        db.prepare(`
+          UPDATE certificates SET status = 'valid', issuer = ?, ipfs_cid = ?, issued_tx_hash = ?, issued_block = ?,
+            issued_at = ?, issued_by = ?, updated_at = ?, ${PENDING_FINALITY}
+          WHERE certificate_hash = ?
+        `).run(data.issuer, data.ipfsCID, event.transaction_hash, event.block_number, at, event.sender, at, event.transaction_hash, hash);
+        break;
+      case 'CertificateExpirySet':
+        db.prepare('UPDATE certificates SET expires_at = ?, updated_at = ? WHERE certificate_hash = ?')
+          .run(Number(data.expiresAt), at, hash);
+        break;
+      case 'RecipientBound':
+        db.prepare('UPDATE certificates SET recipient_binding = ?, updated_at = ? WHERE certificate_hash = ?')
+          .run(RECIPIENT_BINDINGS[Number(data.binding)], at, hash);
+        break;
+      case 'Transfer':
+        db.prepare('UPDATE certificates SET token_holder = ?, updated_at = ? WHERE certificate_hash = ?')
+          .run(data.to === ethers.ZeroAddress ? null : data.to, at, hash);
+        break;
+      case 'CertificateRevoked':
+        db.prepare(`
+          UPDATE certificates SET status = 'revoked', revoked_tx_hash = ?, revoked_block = ?, revoked_at = ?,
+            revoked_by = ?, revocation_reason = ?, revocation_note = ?, updated_at = ?
+          WHERE certificate_hash = ?
+        `).run(
+          event.transaction_hash,
+          event.block_number,
+          new Date(Number(data.revokedAt) * 1000).toISOString(),
+          event.sender,
+          REVOCATION_REASONS[Number(data.reason)] || 'unspecified',
+          data.note || null,
+          at,
+          hash
+        );
+        break;
+      case 'CertificateSuperseded':
+        db.prepare('UPDATE certificates SET superseded_by = ?, updated_at = ? WHERE certificate_hash = ?')
+          .run(stripHexPrefix(data.newCertHash), at, hash);
+        break;
+      case 'CertificateSuspended':
+      case 'CertificateReinstated':
+        db.prepare(`UPDATE certificates SET status = ?, updated_at = ? WHERE certificate_hash = ? AND status != 'revoked'`)
+          .run(event.event_name === 'CertificateSuspended' ? 'suspended' : 'valid', at, hash);
+        break;
+      // Batch leaves are only known for batches issued through this server
+      case 'BatchIssued':
+        db.prepare(`
+          UPDATE certificates SET status = 'valid', issuer = ?, issued_tx_hash = ?, issued_block = ?,
+            issued_at = ?, issued_by = ?, updated_at = ?, ${PENDING_FINALITY}
+          WHERE merkle_root = ? AND ${onThisNetwork}
+        `).run(data.issuer, event.transaction_hash, event.block_number, at, event.sender, at, event.transaction_hash, root, ...networkParams);
+        break;
+      case 'BatchRevoked':
+        db.prepare(`
+          UPDATE certificates SET status = 'revoked', revoked_tx_hash = ?, revoked_block = ?, revoked_at = ?,
+            revoked_by = ?, updated_at = ?
+          WHERE merkle_root = ? AND ${onThisNetwork}
+        `).run(event.transaction_hash, event.block_number, at, event.sender, at, root, ...networkParams);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function rebuildFromChainEvents(certificateHashes, merkleRoots) {
+    const now = new Date().toISOString();
+    const byBlock = 'ORDER BY block_number, log_index';
+
+    for (const root of merkleRoots) {
+      db.prepare(`UPDATE certificates SET ${CHAIN_DERIVED_RESET}, updated_at = ? WHERE merkle_root = ? AND ${onThisNetwork}`)
+        .run(now, root, ...networkParams);
+      db.prepare(`SELECT * FROM chain_events WHERE network = ? AND merkle_root = ? ${byBlock}`)
+        .all(network.name, root).forEach(applyChainEvent);
+    }
+    for (const hash of certificateHashes) {
+      if (isRecordedElsewhere(hash)) continue;
+      db.prepare(`UPDATE certificates SET ${CHAIN_DERIVED_RESET}, updated_at = ? WHERE certificate_hash = ?`).run(now, hash);
+      db.prepare(`SELECT * FROM chain_events WHERE network = ? AND certificate_hash = ? ${byBlock}`)
+        .all(network.name, hash).forEach(applyChainEvent);
+    }
+  }
+
+  // Walks back through the remembered block hashes to the last block still on the canonical chain
+  async function rewindToCanonicalChain(startBlock) {
+    const remembered = db.prepare('SELECT block_number, block_hash FROM indexed_blocks WHERE network = ? ORDER BY block_number DESC')
+      .all(network.name);
+    let ancestor = null;
+    for (const { block_number: blockNumber, block_hash: blockHash } of remembered) {
+      const block = await provider.getBlock(blockNumber);
+      if (block && block.hash === blockHash) {
+        ancestor = block;
+        break;
+      }
+    }
+
+    const rewindTo = ancestor ? ancestor.number : startBlock - 1;
+    console.warn(`⚠️  Reorg detected on ${network.name}: rewinding index to block ${rewindTo}`);
+
+    db.transaction(() => {
+      const orphaned = db.prepare(
+        'SELECT DISTINCT certificate_hash, merkle_root FROM chain_events WHERE network = ? AND block_number > ?'
+      ).all(network.name, rewindTo);
+      const orphanedIssuances = db.prepare(`
+        SELECT certificate_hash, issued_tx_hash, issued_block FROM certificates
+        WHERE issued_block > ? AND issued_tx_hash IN (
+          SELECT transaction_hash FROM chain_events WHERE network = ? AND block_number > ?
+        )
+      `).all(rewindTo, network.name, rewindTo);
+      db.prepare('DELETE FROM chain_events WHERE network = ? AND block_number > ?').run(network.name, rewindTo);
+      db.prepare('DELETE FROM indexed_blocks WHERE network = ? AND block_number > ?').run(network.name, rewindTo);
+      setIndexerState('last_block', rewindTo);
+      setIndexerState('last_block_hash', ancestor ? ancestor.hash : null);
+
+      rebuildFromChainEvents(
+        [...new Set(orphaned.map((row) => row.certificate_hash).filter(Boolean))],
+        [...new Set(orphaned.map((row) => row.merkle_root).filter(Boolean))]
+      );
+
+      const stillIssued = db.prepare("SELECT status FROM certificates WHERE certificate_hash = ?");
+      for (const row of orphanedIssuances) {
+        if (stillIssued.get(row.certificate_hash).status === 'not-issued') {
+          recordReorgedIssuance(row.certificate_hash, row.issued_tx_hash, row.issued_block);
+        }
+      }
+    })();
+
+    indexerStatus.reorgs++;
+    indexerStatus.lastReorgAt = new Date().toISOString();
+  }
+
+  async function indexBlockRange(fromBlock, toBlock) {
+    const logs = (await contract.queryFilter('*', fromBlock, toBlock))
+      .filter((log) => log.fragment && LIFECYCLE_EVENTS.includes(log.fragment.name));
+
+    const blocks = new Map();
+    const receipts = new Map();
+    for (const log of logs) {
+      if (!blocks.has(log.blockNumber)) {
+        blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+      }
+      if (!receipts.has(log.transactionHash)) {
+        receipts.set(log.transactionHash, await provider.getTransactionReceipt(log.transactionHash));
+      }
+    }
+    const lastBlock = blocks.get(toBlock) || await provider.getBlock(toBlock);
+
+    const insertEvent = db.prepare(`
+      INSERT OR IGNORE INTO chain_events (
+        network, block_number, block_hash, block_timestamp, transaction_hash, log_index, sender, gas_used, gas_price,
+        event_name, certificate_hash, merkle_root, data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const rememberBlock = db.prepare(`
+      INSERT INTO indexed_blocks (network, block_number, block_hash) VALUES (?, ?, ?)
+      ON CONFLICT (network, block_number) DO UPDATE SET block_hash = excluded.block_hash
+    `);
+
+    db.transaction(() => {
+      for (const log of logs) {
+        const block = blocks.get(log.blockNumber);
+        const receipt = receipts.get(log.transactionHash);
+        const subject = eventSubject(log);
+        const event = {
+          block_number: log.blockNumber,
+          block_hash: log.blockHash,
+          block_timestamp: new Date(block.timestamp * 1000).toISOString(),
+          transaction_hash: log.transactionHash,
+          log_index: log.index,
+          sender: receipt.from,
+          gas_used: receipt.gasUsed.toString(),
+          gas_price: receipt.gasPrice.toString(),
+          event_name: log.fragment.name,
+          certificate_hash: subject.certificateHash ? stripHexPrefix(subject.certificateHash) : null,
+          merkle_root: subject.merkleRoot ? stripHexPrefix(subject.merkleRoot) : null,
+          data: JSON.stringify(serializeEventArgs(log))
+        };
+
+        const inserted = insertEvent.run(
+          network.name, event.block_number, event.block_hash, event.block_timestamp, event.transaction_hash, event.log_index,
+          event.sender, event.gas_used, event.gas_price, event.event_name, event.certificate_hash, event.merkle_root,
+          event.data
+        );
+        if (inserted.changes > 0) {
+          applyChainEvent(event);
+        }
+        rememberBlock.run(network.name, log.blockNumber, log.blockHash);
+      }
+
+      rememberBlock.run(network.name, lastBlock.number, lastBlock.hash);
+      db.prepare(`
+        DELETE FROM indexed_blocks WHERE network = ? AND block_number NOT IN (
+          SELECT block_number FROM indexed_blocks WHERE network = ? ORDER BY block_number DESC LIMIT ?
+        )
+      `).run(network.name, network.name, INDEXER_BLOCK_HISTORY);
+
+      setIndexerState('last_block', lastBlock.number);
+      setIndexerState('last_block_hash', lastBlock.hash);
+    })();
+
+    if (logs.length > 0) {
+      console.log(`🧭 Indexed ${logs.length} event(s) on ${network.name} in blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  async function syncIndexer() {
+    const head = await provider.getBlockNumber();
+
+    let startBlock = Number(getIndexerState('start_block'));
+    if (getIndexerState('start_block') === null) {
+      startBlock = await findDeploymentBlock(head);
+      setIndexerState('start_block', startBlock);
+      setIndexerState('last_block', startBlock - 1);
+      console.log(`🧭 Indexing ${network.name} from block`, startBlock);
+    }
+
+    let lastBlock = Number(getIndexerState('last_block'));
+    const lastBlockHash = getIndexerState('last_block_hash');
+    if (lastBlockHash) {
+      const block = lastBlock <= head ? await provider.getBlock(lastBlock) : null;
+      if (!block || block.hash !== lastBlockHash) {
+        await rewindToCanonicalChain(startBlock);
+        lastBlock = Number(getIndexerState('last_block'));
+      }
+    }
+
+    while (lastBlock < head) {
+      const toBlock = Math.min(lastBlock + INDEXER_BATCH_SIZE, head);
+      await indexBlockRange(lastBlock + 1, toBlock);
+      lastBlock = toBlock;
+    }
+
+    indexerStatus.lastSyncedAt = new Date().toISOString();
+    indexerStatus.lastError = null;
+  }
+
+  function recordReorgedIssuance(certificateHash, transactionHash, blockNumber) {
+    db.prepare(`UPDATE certificates SET ${CHAIN_DERIVED_RESET}, finality = 'reorged', updated_at = ? WHERE certificate_hash = ?`)
+      .run(new Date().toISOString(), certificateHash);
+    recordCertificateEvent(certificateHash, 'reorged', { transactionHash, blockNumber });
+    console.warn(`⚠️  Issuance of ${certificateHash} (tx ${transactionHash}) is no longer on the canonical chain`);
+  }
+
+  // Moves indexed issuances from pending to final, or flags them when their transaction disappeared
+  async function updateIssuanceFinality() {
+    const head = await provider.getBlockNumber();
+    const pending = db.prepare(`
+      SELECT certificate_hash, issued_tx_hash, issued_block FROM certificates
+      WHERE finality = 'pending' AND issued_tx_hash IS NOT NULL AND ${onThisNetwork}
+      ORDER BY issued_block LIMIT ?
+    `).all(...networkParams, FINALITY_CHECK_BATCH);
+
+    for (const row of pending) {
+      const receipt = await provider.getTransactionReceipt(row.issued_tx_hash);
+      if (!receipt) {
+        // Back in the mempool after a reorg counts as gone until it is mined again
+        safeIndex('reorg', () => recordReorgedIssuance(row.certificate_hash, row.issued_tx_hash, row.issued_block));
+        continue;
+      }
+      if (head - receipt.blockNumber + 1 >= network.confirmationDepth) {
+        db.prepare("UPDATE certificates SET finality = 'final', issued_block = ? WHERE certificate_hash = ?")
+          .run(receipt.blockNumber, row.certificate_hash);
+      } else if (receipt.blockNumber !== row.issued_block) {
+        db.prepare('UPDATE certificates SET issued_block = ? WHERE certificate_hash = ?')
+          .run(receipt.blockNumber, row.certificate_hash);
+      }
+    }
+  }
+
+  function startIndexer() {
+    if (network === primaryNetwork) {
+      adoptSingleNetworkIndex();
+    }
+    if (getIndexerState('contract') !== contractAddress.toLowerCase()) {
+      if (getIndexerState('contract')) {
+        console.warn(`⚠️  Contract address on ${network.name} changed: rebuilding event index`);
+      }
+      resetChainIndex();
+      setIndexerState('contract', contractAddress.toLowerCase());
+    }
+
+    indexerStatus.running = true;
+
+    const tick = async () => {
+      try {
+        await syncIndexer();
+        await updateIssuanceFinality();
+      } catch (error) {
+        indexerStatus.lastError = error.message;
+        console.error(`❌ Indexer error on ${network.name}:`, error.message);
+      }
+      setTimeout(tick, INDEXER_POLL_INTERVAL).unref();
+    };
+    tick();
+
+    console.log(`✅ Event indexer started on ${network.name}`);
+  }
+
+  return {
+    network,
+    start: startIndexer,
+    status: indexerStatus,
+    getState: getIndexerState
+  };
+};
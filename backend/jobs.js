@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { FEATURES, JOB_RESULT_TTL } = require('./config');
+
+const ISSUE_JOB_STEPS = [
+  'uploaded',
+  ...(FEATURES.ipfs ? ['pinned'] : []),
+  'tx-sent',
+  'confirmed',
+  ...(FEATURES.qr ? ['qr-ready'] : [])
+];
+const JOB_STEPS = {
+  issue: ISSUE_JOB_STEPS,
+  supersede: ISSUE_JOB_STEPS,
+  revoke: ['uploaded', 'tx-sent', 'confirmed']
+};
+const FINISHED_JOB_STATUSES = ['completed', 'failed'];
+
+// Issue and revoke routes run as a queued job when the client asks for it with
+// ?async=true or "Prefer: respond-async". The route handler itself is unchanged:
+// it reports progress through advanceJob() and its response becomes the job result.
+module.exports = function createJobQueue() {
+  // Queued issue/revoke jobs, run one at a time: jobId => state, completed steps and the final response
+  const jobs = new Map();
+  const jobQueue = [];
+  const jobEvents = new EventEmitter();
+  jobEvents.setMaxListeners(0);
+  let jobWorkerBusy = false;
+
+  function wantsAsync(req) {
+    return ['true', '1'].includes(String(req.query.async)) || /respond-async/i.test(req.get('Prefer') || '');
+  }
+
+  function formatJob(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      step: job.step,
+      steps: job.steps,
+      completedSteps: job.completedSteps,
+      ...job.data,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      ...(job.result && { statusCode: job.result.statusCode, result: job.result.body })
+    };
+  }
+
+  function updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    jobEvents.emit(job.id, job);
+  }
+
+  // No-op for synchronous requests, so handlers can call it unconditionally
+  function advanceJob(req, step, data = {}) {
+    const job = req.job;
+    if (!job) return;
+    updateJob(job, {
+      step,
+      completedSteps: [...job.completedSteps, { step, at: new Date().toISOString() }],
+      data: { ...job.data, ...data }
+    });
+  }
+
+  async function runNextJob() {
+    if (jobWorkerBusy || jobQueue.length === 0) return;
+    jobWorkerBusy = true;
+    const { job, handler, req } = jobQueue.shift();
+
+    updateJob(job, { status: 'running' });
+    console.log(`⚙️  Job ${job.id} (${job.type}) started`);
+
+    // Minimal stand-in for the Express response: handlers only use status() and json()
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        const succeeded = this.statusCode < 400 && body.success !== false;
+        updateJob(job, {
+          status: succeeded ? 'completed' : 'failed',
+          result: { statusCode: this.statusCode, body }
+        });
+        return this;
+      }
+    };
+
+    try {
+      await handler(req, res);
+      if (!job.result) {
+        updateJob(job, { status: 'failed', result: { statusCode: 500, body: { success: false, message: 'Job ended without a result' } } });
+      }
+    } catch (error) {
+      console.error(`❌ Job ${job.id} error:`, error);
+      updateJob(job, {
+        status: 'failed',
+        result: {
+          statusCode: 500,
+          body: {
+            success: false,
+            message: 'Job failed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+          }
+        }
+      });
+    }
+
+    console.log(`${job.status === 'completed' ? '✅' : '❌'} Job ${job.id} ${job.status}`);
+    // Retries with the request's Idempotency-Key get the final response instead of the 202
+    if (req.completeIdempotentRequest) {
+      req.completeIdempotentRequest(job.result.statusCode, job.result.body);
+    }
+    jobWorkerBusy = false;
+    setImmediate(runNextJob);
+  }
+
+  function asyncJob(type, handler) {
+    return (req, res) => {
+      if (!wantsAsync(req)) {
+        return handler(req, res);
+      }
+
+      const now = Date.now();
+      for (const [id, finished] of jobs) {
+        if (FINISHED_JOB_STATUSES.includes(finished.status) && new Date(finished.updatedAt).getTime() + JOB_RESULT_TTL * 1000 < now) {
+          jobs.delete(id);
+        }
+      }
+
+      const createdAt = new Date().toISOString();
+      const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        status: 'queued',
+        step: 'uploaded',
+        steps: JOB_STEPS[type],
+        completedSteps: [{ step: 'uploaded', at: createdAt }],
+        data: {},
+        result: null,
+        createdAt,
+        updatedAt: createdAt
+      };
+      jobs.set(job.id, job);
+      req.job = job;
+      jobQueue.push({ job, handler, req });
+      console.log(`📥 Job ${job.id} (${type}) queued, position ${jobQueue.length}`);
+
+      res.status(202).json({
+        success: true,
+        message: 'Job queued',
+        data: {
+          ...formatJob(job),
+          statusUrl: `/api/jobs/${job.id}`,
+          eventsUrl: `/api/jobs/${job.id}/events`
+        }
+      });
+      runNextJob();
+    };
+  }
+
+  function getJob(jobId) {
+    return jobs.get(jobId) || null;
+  }
+
+  function isFinished(job) {
+    return FINISHED_JOB_STATUSES.includes(job.status);
+  }
+
+  // Calls listener on every state change of the job; returns the unsubscribe function
+  function watchJob(jobId, listener) {
+    jobEvents.on(jobId, listener);
+    return () => jobEvents.off(jobId, listener);
+  }
+
+  return {
+    asyncJob,
+    advanceJob,
+    getJob,
+    formatJob,
+    isFinished,
+    watchJob
+  };
+};
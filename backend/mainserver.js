@@ -3,17 +3,57 @@ const multer = require('multer');
 const cors = require('cors');
 const crypto = require('crypto');
 const { ethers } = require('ethers');
-const axios = require('axios');
-const FormData = require('form-data');
-const QRCode = require('qrcode');
-require('dotenv').config();
+const net = require('net');
+const config = require('./config');
+const { resolveDeployment } = require('./artifact');
+const { getStorageProvider, isStorageConfigured, storageLinks } = require('./storage');
+const { createIdempotencyMiddleware } = require('./features/idempotency');
+const { initializeDatabase } = require('./database');
+const createIndexer = require('./indexer');
+const createTransactionManager = require('./transactions');
+const createJobQueue = require('./jobs');
+const createHealthRouter = require('./routes/health');
+const createIssueRouter = require('./routes/issue');
+const createVerifyRouter = require('./routes/verify');
+const createRevokeRouter = require('./routes/revoke');
+const createDownloadRouter = require('./routes/download');
+const createSyncRouter = require('./routes/sync');
+const createCertificatesRouter = require('./routes/certificates');
+const createJobsRouter = require('./routes/jobs');
+const createBatchRouter = require('./routes/batch');
+const createIssueBatchRouter = require('./routes/issueBatch');
+const createRelayRouter = require('./routes/relay');
+const createIssuersRouter = require('./routes/issuers');
+
+const {
+  PORT,
+  TRUST_PROXY,
+  NETWORKS,
+  CONTRACT_ARTIFACT,
+  DIALECT,
+  HASH_ALGORITHM,
+  FEATURES,
+  STORAGE_PROVIDER,
+  MAX_ARCHIVE_SIZE,
+  DB_PATH,
+  VERIFICATION_IP_MODE,
+  INDEXER_ENABLED
+} = config;
 
 const app = express();
-const PORT = process.env.PORT;
+
+if (TRUST_PROXY) {
+  const hops = Number(TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : TRUST_PROXY);
+}
 
 app.use(cors());
 app.use(express.json());
 
+if (FEATURES.rateLimit) {
+  app.use('/api/', require('./features/rateLimit').apiRateLimit);
+}
+
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
@@ -27,95 +67,424 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }
 });
 
-const PROVIDER_URL = process.env.PROVIDER_URL || 'http://127.0.0.1:7545';
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const PINATA_API_KEY = process.env.PINATA_API_KEY;
-const PINATA_API_SECRET = process.env.PINATA_API_SECRET;
-const PINATA_JWT = process.env.PINATA_JWT;
-
-const CONTRACT_ABI = [
-  {
-    "anonymous": false,
-    "inputs": [
-      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"},
-      {"indexed": true, "internalType": "address", "name": "issuer", "type": "address"},
-      {"indexed": false, "internalType": "string", "name": "ipfsCID", "type": "string"}
-    ],
-    "name": "CertificateIssued",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {"indexed": true, "internalType": "bytes32", "name": "certHash", "type": "bytes32"}
-    ],
-    "name": "CertificateRevoked",
-    "type": "event"
-  },
-  {
-    "inputs": [
-      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"},
-      {"internalType": "string", "name": "ipfsCID", "type": "string"}
-    ],
-    "name": "issueCertificate",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
-    ],
-    "name": "revokeCertificate",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {"internalType": "bytes32", "name": "certHash", "type": "bytes32"}
-    ],
-    "name": "verifyCertificate",
-    "outputs": [
-      {"internalType": "bool", "name": "isValid", "type": "bool"},
-      {"internalType": "address", "name": "issuer", "type": "address"},
-      {"internalType": "uint256", "name": "issuedAt", "type": "uint256"},
-      {"internalType": "string", "name": "ipfsCID", "type": "string"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+// Routes that call contract functions the configured dialect lacks answer 501
+function requireDialect(capability) {
+  return (req, res, next) => {
+    if (DIALECT[capability]) {
+      return next();
+    }
+    res.status(501).json({
+      success: false,
+      message: `Not supported by the ${DIALECT.name} contract dialect`
+    });
+  };
+}
 
+// Rejects a `network` the server is not connected to, so handlers can rely on resolveNetwork()
+function requireKnownNetwork(req, res, next) {
+  const name = req.body?.network || req.query.network;
+  if (name && !getNetwork(name)) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown network: ${name} (available: ${networks.map((network) => network.name).join(', ') || 'none'})`
+    });
+  }
+  next();
+}
+
+const ISSUER_STATUS = ['unregistered', 'active', 'suspended'];
+const CERTIFICATE_STATUS = ['not-issued', 'valid', 'expired', 'revoked', 'suspended'];
+const REVOCABLE_STATUSES = ['valid', 'expired', 'suspended'];
+const REVOCATION_REASONS = ['unspecified', 'clerical-error', 'fraud', 'issued-in-error', 'misconduct', 'other', 'superseded'];
+const RECIPIENT_BINDINGS = ['none', 'identity', 'wallet'];
+const MAX_SUPERSESSION_HOPS = 10;
+
+// Confirmations required per chain ID unless the network sets CONFIRMATION_DEPTH; unknown chains get 12
+const DEFAULT_CONFIRMATION_DEPTHS = {
+  1: 12, // Ethereum mainnet
+  10: 10, // Optimism
+  137: 64, // Polygon PoS
+  8453: 10, // Base
+  42161: 10, // Arbitrum One
+  11155111: 3, // Sepolia
+  17000: 3, // Holesky
+  80002: 10, // Polygon Amoy
+  1337: 1, // Ganache
+  5777: 1 // Ganache UI
+};
+
+const STATUS_MESSAGES = {
+  'not-issued': 'Certificate not found',
+  valid: 'Certificate is valid',
+  expired: 'Certificate has expired',
+  revoked: 'Certificate has been revoked',
+  suspended: 'Certificate is suspended pending review',
+  superseded: 'Certificate has been superseded'
+};
+
+// Connected networks in NETWORKS order; the first is primary
+const networks = [];
+let primaryNetwork = null;
+
+// Primary network handles: the issuer registry and requests that name no network use these
 let provider, wallet, contract;
+let contractAddress = null;
+let db;
+
+// Pending wallet-ownership challenges: challengeId => { certificateHash, message, expiresAt }
+const recipientChallenges = new Map();
+
+const jobQueue = createJobQueue();
+// ZIP + CSV issuance runs: batchId => progress, per-row results and the result archive
+const issueBatches = new Map();
+let transactionManager = null;
+// One event indexer per network, in NETWORKS order
+let indexers = [];
+
+async function initializeNetwork(settings) {
+  if (!settings.providerUrl || !settings.privateKey || (!settings.contractAddress && !CONTRACT_ARTIFACT)) {
+    throw new Error('Missing required environment variables');
+  }
+
+  // No request cache: back-to-back sends would otherwise reuse a cached pending nonce
+  const networkProvider = new ethers.JsonRpcProvider(settings.providerUrl, undefined, { cacheTimeout: -1 });
+  const networkWallet = new ethers.Wallet(settings.privateKey, networkProvider);
+
+  await networkProvider.getBlockNumber();
+
+  let abi = DIALECT.abi;
+  let address = settings.contractAddress;
+  let deployment = null;
+  if (CONTRACT_ARTIFACT) {
+    deployment = await resolveDeployment(networkProvider, {
+      artifactPath: CONTRACT_ARTIFACT,
+      address: settings.contractAddress,
+      dialect: DIALECT
+    });
+    abi = deployment.abi;
+    address = deployment.address;
+  }
+
+  const { chainId } = await networkProvider.getNetwork();
+  return {
+    name: settings.name,
+    chainId: Number(chainId),
+    providerUrl: settings.providerUrl,
+    provider: networkProvider,
+    wallet: networkWallet,
+    contract: new ethers.Contract(address, abi, networkWallet),
+    contractAddress: address,
+    deploymentTransaction: deployment ? deployment.deploymentTransaction : null,
+    confirmationDepth: settings.confirmationDepth || DEFAULT_CONFIRMATION_DEPTHS[Number(chainId)] || 12,
+    // Transaction manager state; each wallet has its own nonce sequence per chain
+    sendLock: Promise.resolve(),
+    nextNonce: null
+  };
+}
 
 async function initializeBlockchain() {
-  try {
-    if (!PROVIDER_URL || !PRIVATE_KEY || !CONTRACT_ADDRESS) {
-      throw new Error('Missing required environment variables');
+  for (const settings of NETWORKS) {
+    try {
+      const network = await initializeNetwork(settings);
+      networks.push(network);
+
+      console.log(`✅ Network ${network.name} initialized (chain ${network.chainId})`);
+      console.log('📍 Provider:', network.providerUrl);
+      console.log('💼 Wallet:', network.wallet.address);
+      console.log('📜 Contract:', network.contractAddress, `(${DIALECT.name} dialect)`);
+      if (CONTRACT_ARTIFACT) {
+        console.log('📦 Artifact:', CONTRACT_ARTIFACT, '(deployed bytecode matches)');
+      }
+      console.log('🧱 Finality after', network.confirmationDepth, 'confirmation(s)');
+    } catch (error) {
+      // A contract that differs from the build is never safe to write to
+      if (error.code === 'ARTIFACT_MISMATCH') {
+        error.message = `${settings.name}: ${error.message}`;
+        throw error;
+      }
+      console.error(`❌ Blockchain error (${settings.name}):`, error.message);
     }
+  }
 
-    provider = new ethers.JsonRpcProvider(PROVIDER_URL);
-    wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-    contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet);
-    
-    await provider.getBlockNumber();
-    
-    console.log('✅ Blockchain initialized');
-    console.log('📍 Provider:', PROVIDER_URL);
-    console.log('💼 Wallet:', wallet.address);
-    console.log('📜 Contract:', CONTRACT_ADDRESS);
-    
-    return true;
-  } catch (error) {
-    console.error('❌ Blockchain error:', error.message);
+  if (networks.length === 0) {
     return false;
   }
+
+  primaryNetwork = networks[0];
+  ({ provider, wallet, contract, contractAddress } = primaryNetwork);
+  if (networks.length > 1) {
+    console.log('🌐 Primary network:', primaryNetwork.name);
+  }
+  return true;
+}
+
+function getNetwork(name) {
+  return networks.find((network) => network.name === name) || null;
+}
+
+// Network named by a request, or the primary one; null for a name that is not configured
+function resolveNetwork(name) {
+  return name ? getNetwork(name) : primaryNetwork;
+}
+
+// QR codes name the network they were issued on; the chain ID still matches a renamed network
+function networkFromQR(payload) {
+  if (!payload.network) return null;
+  return getNetwork(payload.network) || networks.find((network) => network.chainId === payload.chainId) || null;
+}
+
+// 400 body for a QR code that names a network this server is not connected to
+function unknownQRNetwork(payload) {
+  return {
+    success: false,
+    message: `Certificate was issued on network ${payload.network} (chain ${payload.chainId}), which is not configured here`
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Local certificate index
+// ----------------------------------------------------------------------------
+
+function stripHexPrefix(hash) {
+  return String(hash).toLowerCase().replace(/^0x/, '');
+}
+
+// The chain is the source of truth; a failed index write must never fail the request
+function safeIndex(action, fn) {
+  if (!db) return;
+  try {
+    fn();
+  } catch (error) {
+    console.warn(`⚠️  Index write failed (${action}):`, error.message);
+  }
+}
+
+function recordCertificateEvent(certificateHash, action, { transactionHash, blockNumber, performedBy, details } = {}) {
+  db.prepare(`
+    INSERT INTO certificate_events (certificate_hash, action, transaction_hash, block_number, performed_by, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    stripHexPrefix(certificateHash),
+    action,
+    transactionHash || null,
+    blockNumber ?? null,
+    performedBy || null,
+    details ? JSON.stringify(details) : null,
+    new Date().toISOString()
+  );
+}
+
+function indexIssuedCertificate(record) {
+  const now = new Date().toISOString();
+  const certificateHash = stripHexPrefix(record.certificateHash);
+
+  db.prepare(`
+    INSERT INTO certificates (
+      certificate_hash, network, status, issuer, ipfs_cid, storage_provider, file_name, file_size, pin_size, pinned_at,
+      merkle_root, expires_at, token_holder, recipient_binding, qr_payload,
+      issued_tx_hash, issued_block, issued_at, issued_by, finality, updated_at
+    ) VALUES (
+      @certificateHash, @network, 'valid', @issuer, @ipfsCID, @storageProvider, @fileName, @fileSize, @pinSize, @pinnedAt,
+      @merkleRoot, @expiresAt, @tokenHolder, @recipientBinding, @qrPayload,
+      @transactionHash, @blockNumber, @issuedAt, @performedBy, 'pending', @issuedAt
+    )
+    ON CONFLICT (certificate_hash) DO UPDATE SET
+      network = COALESCE(excluded.network, certificates.network),
+      status = 'valid',
+      issuer = excluded.issuer,
+      ipfs_cid = COALESCE(excluded.ipfs_cid, certificates.ipfs_cid),
+      storage_provider = COALESCE(excluded.storage_provider, certificates.storage_provider),
+      file_name = COALESCE(excluded.file_name, certificates.file_name),
+      file_size = COALESCE(excluded.file_size, certificates.file_size),
+      pin_size = COALESCE(excluded.pin_size, certificates.pin_size),
+      pinned_at = COALESCE(excluded.pinned_at, certificates.pinned_at),
+      merkle_root = excluded.merkle_root,
+      expires_at = excluded.expires_at,
+      token_holder = excluded.token_holder,
+      recipient_binding = excluded.recipient_binding,
+      qr_payload = COALESCE(excluded.qr_payload, certificates.qr_payload),
+      issued_tx_hash = excluded.issued_tx_hash,
+      issued_block = excluded.issued_block,
+      issued_at = excluded.issued_at,
+      issued_by = excluded.issued_by,
+      finality = CASE
+        WHEN certificates.finality = 'final' AND certificates.issued_tx_hash = excluded.issued_tx_hash THEN 'final'
+        ELSE 'pending'
+      END,
+      updated_at = excluded.updated_at
+  `).run({
+    certificateHash,
+    network: record.network || null,
+    issuer: record.issuer || null,
+    ipfsCID: record.ipfsCID || null,
+    storageProvider: record.storageProvider || null,
+    fileName: record.fileName || null,
+    fileSize: record.fileSize ?? null,
+    pinSize: record.pinSize ?? null,
+    pinnedAt: record.pinnedAt || null,
+    merkleRoot: record.merkleRoot ? stripHexPrefix(record.merkleRoot) : null,
+    expiresAt: record.expiresAt || null,
+    tokenHolder: record.tokenHolder || null,
+    recipientBinding: record.recipientBinding || null,
+    qrPayload: record.qrPayload || null,
+    transactionHash: record.transactionHash || null,
+    blockNumber: record.blockNumber ?? null,
+    issuedAt: now,
+    performedBy: record.performedBy || null
+  });
+
+  recordCertificateEvent(certificateHash, 'issued', {
+    transactionHash: record.transactionHash,
+    blockNumber: record.blockNumber,
+    performedBy: record.performedBy,
+    details: record.details
+  });
+}
+
+function indexRevokedCertificate(certificateHash, { reason, note, supersededBy, transactionHash, blockNumber, performedBy, details }) {
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    UPDATE certificates SET
+      status = 'revoked',
+      revoked_tx_hash = ?,
+      revoked_block = ?,
+      revoked_at = ?,
+      revoked_by = ?,
+      revocation_reason = ?,
+      revocation_note = ?,
+      superseded_by = ?,
+      updated_at = ?
+    WHERE certificate_hash = ?
+  `).run(
+    transactionHash || null,
+    blockNumber ?? null,
+    now,
+    performedBy || null,
+    reason || null,
+    note || null,
+    supersededBy ? stripHexPrefix(supersededBy) : null,
+    now,
+    stripHexPrefix(certificateHash)
+  );
+
+  recordCertificateEvent(certificateHash, supersededBy ? 'superseded' : 'revoked', {
+    transactionHash,
+    blockNumber,
+    performedBy,
+    details: { reason, note, supersededBy, ...details }
+  });
+}
+
+function indexSuspensionChange(certificateHash, action, { note, transactionHash, blockNumber, performedBy }) {
+  db.prepare('UPDATE certificates SET status = ?, updated_at = ? WHERE certificate_hash = ?').run(
+    action === 'suspend' ? 'suspended' : 'valid',
+    new Date().toISOString(),
+    stripHexPrefix(certificateHash)
+  );
+
+  recordCertificateEvent(certificateHash, action === 'suspend' ? 'suspended' : 'reinstated', {
+    transactionHash,
+    blockNumber,
+    performedBy,
+    details: note ? { note } : null
+  });
+}
+
+function indexRevokedBatch(merkleRoot, { transactionHash, blockNumber, performedBy }) {
+  const rows = db.prepare('SELECT certificate_hash FROM certificates WHERE merkle_root = ?').all(stripHexPrefix(merkleRoot));
+  rows.forEach((row) => indexRevokedCertificate(row.certificate_hash, {
+    transactionHash,
+    blockNumber,
+    performedBy,
+    details: { merkleRoot }
+  }));
+  return rows.length;
+}
+
+// Keeps the network part only: /24 for IPv4, /48 for IPv6
+function anonymizeIp(ip) {
+  const address = ip.replace(/^::ffff:(?=\d+\.)/, '');
+  if (net.isIPv4(address)) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+  if (net.isIPv6(address)) {
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+  return null;
+}
+
+function requesterIp(req) {
+  if (VERIFICATION_IP_MODE === 'none' || !req.ip) return null;
+  return VERIFICATION_IP_MODE === 'full' ? req.ip : anonymizeIp(req.ip);
+}
+
+function recordVerification(certificateHash, method, status, req) {
+  db.prepare(`
+    INSERT INTO verifications (certificate_hash, method, status, requester_ip, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(
+    stripHexPrefix(certificateHash),
+    method,
+    status,
+    requesterIp(req),
+    new Date().toISOString()
+  );
+}
+
+function formatIndexedCertificate(row) {
+  const expiresAt = row.expires_at || null;
+  // Expiry is not a transaction, so it is derived at read time
+  const status = row.status === 'valid' && expiresAt && expiresAt <= Math.floor(Date.now() / 1000)
+    ? 'expired'
+    : row.status;
+
+  return {
+    certificateHash: row.certificate_hash,
+    network: row.network || (primaryNetwork && primaryNetwork.name),
+    status,
+    issuer: row.issuer,
+    ipfsCID: row.ipfs_cid,
+    storageProvider: row.storage_provider,
+    ...(row.ipfs_cid && storageLinks(row.ipfs_cid, row.storage_provider || STORAGE_PROVIDER)),
+    fileName: row.file_name,
+    fileSize: row.file_size,
+    pinSize: row.pin_size,
+    pinnedAt: row.pinned_at,
+    merkleRoot: row.merkle_root ? '0x' + row.merkle_root : null,
+    expiresAt,
+    expiryDate: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+    tokenHolder: row.token_holder,
+    recipientBinding: row.recipient_binding,
+    issuance: {
+      transactionHash: row.issued_tx_hash,
+      blockNumber: row.issued_block,
+      date: row.issued_at,
+      performedBy: row.issued_by,
+      finality: row.finality === 'pending' ? 'pending-finality' : row.finality
+    },
+    revocation: row.revoked_at ? {
+      transactionHash: row.revoked_tx_hash,
+      blockNumber: row.revoked_block,
+      date: row.revoked_at,
+      performedBy: row.revoked_by,
+      reason: row.revocation_reason,
+      note: row.revocation_note,
+      supersededBy: row.superseded_by
+    } : null,
+    updatedAt: row.updated_at
+  };
 }
 
 function generatePDFHash(pdfBuffer) {
-  const hash = crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+  const hash = HASH_ALGORITHM === 'keccak256'
+    ? ethers.keccak256(pdfBuffer).slice(2)
+    : crypto.createHash('sha256').update(pdfBuffer).digest('hex');
   console.log('🔐 Hash:', hash);
   return hash;
 }
@@ -128,597 +497,402 @@ function hexToBytes32(hexString) {
   return '0x' + cleanHex;
 }
 
-async function uploadToPinata(fileBuffer, fileName) {
-  try {
-    if (!PINATA_JWT && (!PINATA_API_KEY || !PINATA_API_SECRET)) {
-      throw new Error('Missing Pinata credentials');
-    }
+// Accepts an ISO date string or a unix timestamp in seconds; empty means no expiry
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
 
-    const formData = new FormData();
-    formData.append('file', fileBuffer, {
-      filename: fileName,
-      contentType: 'application/pdf'
-    });
+  const seconds = /^\d+$/.test(String(value))
+    ? Number(value)
+    : Math.floor(new Date(value).getTime() / 1000);
 
-    const metadata = JSON.stringify({
-      name: fileName,
-      keyvalues: {
-        type: 'certificate',
-        uploadedAt: new Date().toISOString()
-      }
-    });
-    formData.append('pinataMetadata', metadata);
+  if (!Number.isFinite(seconds) || seconds <= Math.floor(Date.now() / 1000)) {
+    throw new Error('Invalid expiry date');
+  }
+  return seconds;
+}
 
-    const options = JSON.stringify({ cidVersion: 1 });
-    formData.append('pinataOptions', options);
+function parseRevocation(body) {
+  const reason = body.reason || 'unspecified';
+  const note = (body.note || '').trim();
 
-    const headers = {
-      'Content-Type': `multipart/form-data; boundary=${formData._boundary}`,
-    };
+  // 'superseded' is only set by the supersede flow
+  const reasonCode = REVOCATION_REASONS.indexOf(reason);
+  if (reasonCode === -1 || reason === 'superseded') {
+    const allowed = REVOCATION_REASONS.filter((r) => r !== 'superseded');
+    throw new Error(`Invalid revocation reason: must be one of ${allowed.join(', ')}`);
+  }
+  if (Buffer.byteLength(note) > 256) {
+    throw new Error('Revocation note too long: maximum 256 bytes');
+  }
+  return { reason, reasonCode, note };
+}
 
-    if (PINATA_JWT) {
-      headers['Authorization'] = `Bearer ${PINATA_JWT}`;
-    } else {
-      headers['pinata_api_key'] = PINATA_API_KEY;
-      headers['pinata_secret_api_key'] = PINATA_API_SECRET;
-    }
+async function getRevocationInfo(bytes32Hash, network = primaryNetwork) {
+  // Only the registry contract records when and why a certificate was revoked
+  if (!DIALECT.registry) return {};
 
-    const response = await axios.post(
-      'https://api.pinata.cloud/pinning/pinFileToIPFS',
-      formData,
-      { maxBodyLength: Infinity, headers }
-    );
+  const [revokedAt, reason, note] = await network.contract.getRevocationDetails(bytes32Hash);
+  return {
+    revokedDate: Number(revokedAt) > 0 ? new Date(Number(revokedAt) * 1000).toISOString() : null,
+    revocationReason: REVOCATION_REASONS[Number(reason)],
+    revocationNote: note || null
+  };
+}
 
-    console.log('✅ IPFS:', response.data.IpfsHash);
-    return {
-      success: true,
-      ipfsHash: response.data.IpfsHash,
-      pinSize: response.data.PinSize,
-      timestamp: response.data.Timestamp
-    };
-  } catch (error) {
-    console.error('❌ Pinata error:', error.response?.data || error.message);
-    throw new Error('IPFS upload failed: ' + (error.response?.data?.error || error.message));
+function parseSuspensionNote(body) {
+  const note = (body.note || '').trim();
+  if (Buffer.byteLength(note) > 256) {
+    throw new Error('Suspension note too long: maximum 256 bytes');
   }
+  return note;
 }
 
-async function generateQRCode(certificateHash) {
-  try {
-    const qrData = JSON.stringify({
-      type: 'certificate',
-      hash: certificateHash,
-      version: '1.0'
-    });
-    
-    const qrCodeDataURL = await QRCode.toDataURL(qrData, {
-      errorCorrectionLevel: 'H',
-      type: 'image/png',
-      quality: 1,
-      margin: 2,
-      width: 400,
-      color: { dark: '#000000', light: '#FFFFFF' }
-    });
-    
-    console.log('📱 QR generated');
-    return qrCodeDataURL;
-  } catch (error) {
-    console.error('❌ QR error:', error);
-    throw error;
-  }
+async function getSuspensionHistory(bytes32Hash, network = primaryNetwork) {
+  const records = await network.contract.getSuspensionHistory(bytes32Hash);
+  return records.map((record) => ({
+    action: record.suspended ? 'suspended' : 'reinstated',
+    actor: record.actor,
+    date: new Date(Number(record.timestamp) * 1000).toISOString(),
+    note: record.note || null
+  }));
 }
 
-app.get('/', (req, res) => {
-  res.json({
-    status: 'API running',
-    blockchain: {
-      connected: contract !== undefined,
-      wallet: wallet?.address,
-      contract: CONTRACT_ADDRESS
-    },
-    ipfs: {
-      configured: !!(PINATA_JWT || (PINATA_API_KEY && PINATA_API_SECRET))
-    },
-    endpoints: {
-      issue: 'POST /api/issue-certificate',
-      verify: 'POST /api/verify-certificate',
-      verifyQR: 'POST /api/verify-qr',
-      revoke: 'POST /api/revoke-certificate',
-      revokeQR: 'POST /api/revoke-qr',
-      getByHash: 'GET /api/certificate/:hash'
-    }
-  });
-});
+// Case and whitespace must not decide whether a recipient matches
+function normalizeIdentity(name, email) {
+  return {
+    name: String(name).trim().replace(/\s+/g, ' ').toLowerCase(),
+    email: String(email).trim().toLowerCase()
+  };
+}
 
-app.post('/api/issue-certificate', upload.single('certificate'), async (req, res) => {
-  try {
-    if (!contract) {
-      return res.status(503).json({
-        success: false,
-        message: 'Blockchain not initialized'
-      });
-    }
+function computeRecipientCommitment(binding, salt, identity) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  if (binding === 'wallet') {
+    return ethers.keccak256(coder.encode(['bytes32', 'address'], [salt, identity.wallet]));
+  }
+  const { name, email } = normalizeIdentity(identity.name, identity.email);
+  return ethers.keccak256(coder.encode(['bytes32', 'string', 'string'], [salt, name, email]));
+}
 
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No PDF file uploaded'
-      });
-    }
+// Binding requested at issuance: recipientName + recipientEmail, or recipientWallet; null if none
+function parseRecipientBinding(body) {
+  const { recipientName, recipientEmail, recipientWallet } = body;
+  if (!recipientName && !recipientEmail && !recipientWallet) {
+    return null;
+  }
+  if (recipientWallet && (recipientName || recipientEmail)) {
+    throw new Error('Bind the recipient by name and email or by wallet, not both');
+  }
+  if (recipientWallet && !ethers.isAddress(recipientWallet)) {
+    throw new Error('Invalid recipient wallet address');
+  }
+  if (!recipientWallet && (!String(recipientName || '').trim() || !String(recipientEmail || '').trim())) {
+    throw new Error('Recipient name and email are both required');
+  }
 
-    console.log('\n📤 Issuing certificate...');
-    console.log('📄 File:', req.file.originalname);
-    console.log('📊 Size:', req.file.size, 'bytes');
+  const binding = recipientWallet ? 'wallet' : 'identity';
+  const salt = ethers.hexlify(crypto.randomBytes(32));
+  const identity = recipientWallet
+    ? { wallet: ethers.getAddress(recipientWallet) }
+    : { name: recipientName, email: recipientEmail };
+
+  return {
+    binding,
+    bindingCode: RECIPIENT_BINDINGS.indexOf(binding),
+    salt,
+    commitment: computeRecipientCommitment(binding, salt, identity)
+  };
+}
 
-    const pdfHash = generatePDFHash(req.file.buffer);
-    const bytes32Hash = hexToBytes32(pdfHash);
+async function getRecipientBinding(bytes32Hash, network = primaryNetwork) {
+  const [binding, commitment] = await network.contract.getRecipientBinding(bytes32Hash);
+  const bindingName = RECIPIENT_BINDINGS[Number(binding)];
+  return {
+    recipientBinding: bindingName === 'none' ? null : bindingName,
+    recipientCommitment: bindingName === 'none' ? null : commitment
+  };
+}
 
-    console.log('🔍 Checking existence...');
-    const existingCert = await contract.verifyCertificate(bytes32Hash);
-    
-    if (existingCert[0]) {
-      return res.status(400).json({
-        success: false,
-        message: 'Certificate already issued',
-        data: {
-          certificateHash: pdfHash,
-          issuer: existingCert[1],
-          issuedAt: new Date(Number(existingCert[2]) * 1000).toISOString(),
-          ipfsCID: existingCert[3],
-          ipfsUrl: `https://gateway.pinata.cloud/ipfs/${existingCert[3]}`
-        }
-      });
-    }
+// claim is { name, email } or { challengeId, signature }; the salt comes from the holder's QR code
+async function checkRecipientClaim(bytes32Hash, salt, claim, network = primaryNetwork) {
+  const { recipientBinding, recipientCommitment } = await getRecipientBinding(bytes32Hash, network);
+  if (!recipientBinding) {
+    return { recipientVerified: false, recipientCheck: 'Certificate is not bound to a recipient' };
+  }
+  if (!/^0x[0-9a-fA-F]{64}$/.test(salt || '')) {
+    return { recipientVerified: false, recipientCheck: 'Recipient salt missing from QR code' };
+  }
 
-    console.log('☁️  Uploading to IPFS...');
-    const ipfsResult = await uploadToPinata(req.file.buffer, req.file.originalname);
-    console.log('📌 CID:', ipfsResult.ipfsHash);
-
-    console.log('💳 Blockchain transaction...');
-    const tx = await contract.issueCertificate(bytes32Hash, ipfsResult.ipfsHash);
-    console.log('📝 TX:', tx.hash);
-
-    console.log('⏳ Confirming...');
-    const receipt = await tx.wait();
-    console.log('✅ Block:', receipt.blockNumber);
-
-    console.log('📱 Generating QR...');
-    const qrCode = await generateQRCode(pdfHash);
-
-    res.json({
-      success: true,
-      message: 'Certificate issued successfully',
-      data: {
-        certificateHash: pdfHash,
-        bytes32Hash: bytes32Hash,
-        ipfsCID: ipfsResult.ipfsHash,
-        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${ipfsResult.ipfsHash}`,
-        ipfsGatewayUrl: `https://ipfs.io/ipfs/${ipfsResult.ipfsHash}`,
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        issuer: wallet.address,
-        gasUsed: receipt.gasUsed.toString(),
-        qrCode: qrCode
-      }
-    });
-  } catch (error) {
-    console.error('❌ Issue error:', error);
-    
-    let errorMessage = 'Failed to issue certificate';
-    let statusCode = 500;
-    
-    if (error.message.includes('already issued')) {
-      errorMessage = 'Certificate already issued';
-      statusCode = 400;
-    } else if (error.message.includes('Invalid certificate hash')) {
-      errorMessage = 'Invalid certificate hash';
-      statusCode = 400;
-    } else if (error.message.includes('insufficient funds')) {
-      errorMessage = 'Insufficient funds';
-      statusCode = 402;
-    } else if (error.message.includes('IPFS')) {
-      errorMessage = error.message;
-      statusCode = 503;
+  if (recipientBinding === 'identity') {
+    if (!claim.name || !claim.email) {
+      return { recipientVerified: false, recipientCheck: 'Recipient name and email are required' };
     }
+    const matches = computeRecipientCommitment('identity', salt, claim) === recipientCommitment;
+    return {
+      recipientVerified: matches,
+      recipientCheck: matches ? 'Recipient details match' : 'Recipient details do not match'
+    };
+  }
 
-    res.status(statusCode).json({
-      success: false,
-      message: errorMessage,
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  const challenge = recipientChallenges.get(claim.challengeId);
+  if (!challenge || challenge.certificateHash !== bytes32Hash.toLowerCase() || challenge.expiresAt < Date.now()) {
+    return { recipientVerified: false, recipientCheck: 'Unknown or expired challenge' };
   }
-});
+  recipientChallenges.delete(claim.challengeId);
 
-app.post('/api/verify-certificate', upload.single('certificate'), async (req, res) => {
+  let signer;
   try {
-    if (!contract) {
-      return res.status(503).json({
-        success: false,
-        message: 'Blockchain not initialized'
-      });
-    }
+    signer = ethers.verifyMessage(challenge.message, claim.signature);
+  } catch (e) {
+    return { recipientVerified: false, recipientCheck: 'Invalid signature' };
+  }
+  const matches = computeRecipientCommitment('wallet', salt, { wallet: signer }) === recipientCommitment;
+  return {
+    recipientVerified: matches,
+    recipientCheck: matches ? 'Holder controls the recipient wallet' : 'Signer is not the recipient wallet',
+    recipientWallet: matches ? signer : undefined
+  };
+}
 
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No PDF file uploaded'
-      });
-    }
+function parseBatchProof(merkleRoot, proof) {
+  if (!merkleRoot && !proof) {
+    return null;
+  }
 
-    console.log('\n🔍 Verifying certificate...');
-    console.log('📄 File:', req.file.originalname);
-
-    const pdfHash = generatePDFHash(req.file.buffer);
-    const bytes32Hash = hexToBytes32(pdfHash);
-
-    console.log('🔎 Querying blockchain...');
-    const result = await contract.verifyCertificate(bytes32Hash);
-    
-    const isValid = result[0];
-    const issuer = result[1];
-    const issuedAt = result[2];
-    const ipfsCID = result[3];
-
-    console.log('📋 Result:', { isValid, issuer, issuedAt: Number(issuedAt), ipfsCID });
-
-    if (isValid) {
-      const issuedDate = new Date(Number(issuedAt) * 1000);
-      console.log('✅ VALID');
-
-      res.json({
-        success: true,
-        message: 'Certificate is valid',
-        data: {
-          isValid: true,
-          certificateHash: pdfHash,
-          bytes32Hash: bytes32Hash,
-          issuer: issuer,
-          issuedDate: issuedDate.toISOString(),
-          timestamp: Number(issuedAt),
-          ipfsCID: ipfsCID,
-          ipfsUrl: `https://gateway.pinata.cloud/ipfs/${ipfsCID}`,
-          ipfsGatewayUrl: `https://ipfs.io/ipfs/${ipfsCID}`,
-          blockchainVerified: true
-        }
-      });
-    } else {
-      console.log('❌ INVALID/REVOKED');
-
-      res.json({
-        success: true,
-        message: 'Certificate not found or revoked',
-        data: {
-          isValid: false,
-          certificateHash: pdfHash,
-          bytes32Hash: bytes32Hash,
-          blockchainVerified: false
-        }
-      });
-    }
-  } catch (error) {
-    console.error('❌ Verify error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to verify certificate',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  const proofList = typeof proof === 'string' ? JSON.parse(proof) : proof;
+  if (!merkleRoot || !Array.isArray(proofList)) {
+    throw new Error('Invalid Merkle proof');
   }
-});
 
-app.post('/api/verify-qr', async (req, res) => {
-  try {
-    if (!contract) {
-      return res.status(503).json({
-        success: false,
-        message: 'Blockchain not initialized'
-      });
-    }
+  return {
+    merkleRoot: hexToBytes32(merkleRoot).toLowerCase(),
+    proof: proofList.map((node) => hexToBytes32(node).toLowerCase())
+  };
+}
 
-    const { qrData } = req.body;
-    if (!qrData) {
-      return res.status(400).json({
-        success: false,
-        message: 'No QR data provided'
-      });
-    }
+function parseQRPayload(qrData) {
+  const parsed = JSON.parse(qrData);
+  // Callers turn the hash into bytes32, so a malformed one must fail here as a bad QR
+  if (parsed.type !== 'certificate' || !/^(0x)?[0-9a-fA-F]{64}$/.test(parsed.hash)) {
+    throw new Error('Invalid QR format');
+  }
+  return {
+    certificateHash: parsed.hash,
+    batchProof: parseBatchProof(parsed.merkleRoot, parsed.proof),
+    recipientSalt: parsed.recipientSalt || null,
+    // Absent from QR codes printed before multi-network support
+    network: parsed.network || null,
+    chainId: parsed.chainId ?? null
+  };
+}
 
-    console.log('\n🔍 Verifying via QR...');
+// Provider holding a stored file according to the index; a CID the index has not
+// seen (e.g. issued by another server) is assumed to be with the current provider.
+// Directory CIDs match by exact prefix: the path comes from the URL, so no LIKE wildcards
+function storageProviderFor(ipfsPath) {
+  const row = db && (db.prepare(`
+    SELECT storage_provider FROM certificates
+    WHERE storage_provider IS NOT NULL AND (ipfs_cid = ? OR substr(ipfs_cid, 1, length(?) + 1) = ? || '/')
+    LIMIT 1
+  `).get(ipfsPath, ipfsPath, ipfsPath) || db.prepare(`
+    SELECT storage_provider FROM stored_files WHERE ipfs_cid = ?
+  `).get(ipfsPath));
+  return row ? row.storage_provider : STORAGE_PROVIDER;
+}
 
-    let certificateHash;
-    try {
-      const parsed = JSON.parse(qrData);
-      if (parsed.type !== 'certificate' || !parsed.hash) {
-        throw new Error('Invalid QR format');
-      }
-      certificateHash = parsed.hash;
-    } catch (e) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid QR code format'
-      });
-    }
+// Files stored before any certificate names them, e.g. by a relay prepare step
+function recordStoredFile(ipfsCid, storageProvider) {
+  db.prepare(`
+    INSERT INTO stored_files (ipfs_cid, storage_provider, stored_at) VALUES (?, ?, ?)
+    ON CONFLICT (ipfs_cid) DO UPDATE SET storage_provider = excluded.storage_provider, stored_at = excluded.stored_at
+  `).run(ipfsCid, storageProvider, new Date().toISOString());
+}
 
-    console.log('📱 Hash from QR:', certificateHash);
-    const bytes32Hash = hexToBytes32(certificateHash);
-
-    console.log('🔎 Querying blockchain...');
-    const result = await contract.verifyCertificate(bytes32Hash);
-    
-    const isValid = result[0];
-    const issuer = result[1];
-    const issuedAt = result[2];
-    const ipfsCID = result[3];
-
-    if (isValid) {
-      const issuedDate = new Date(Number(issuedAt) * 1000);
-      console.log('✅ VALID');
-
-      res.json({
-        success: true,
-        message: 'Certificate is valid',
-        data: {
-          isValid: true,
-          certificateHash: certificateHash,
-          bytes32Hash: bytes32Hash,
-          issuer: issuer,
-          issuedDate: issuedDate.toISOString(),
-          timestamp: Number(issuedAt),
-          ipfsCID: ipfsCID,
-          ipfsUrl: `https://gateway.pinata.cloud/ipfs/${ipfsCID}`,
-          ipfsGatewayUrl: `https://ipfs.io/ipfs/${ipfsCID}`,
-          blockchainVerified: true,
-          verificationMethod: 'QR Code'
-        }
-      });
-    } else {
-      console.log('❌ INVALID/REVOKED');
-
-      res.json({
-        success: true,
-        message: 'Certificate not found or revoked',
-        data: {
-          isValid: false,
-          certificateHash: certificateHash,
-          bytes32Hash: bytes32Hash,
-          blockchainVerified: false,
-          verificationMethod: 'QR Code'
-        }
-      });
+async function lookupCertificate(bytes32Hash, batchProof, network = primaryNetwork) {
+  const { contract } = network;
+  if (!DIALECT.registry) {
+    if (batchProof) {
+      throw new Error(`Batch proofs are not supported by the ${DIALECT.name} contract dialect`);
     }
-  } catch (error) {
-    console.error('❌ QR verify error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to verify certificate',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    return DIALECT.readCertificate(contract, bytes32Hash);
   }
-});
 
-app.post('/api/revoke-certificate', upload.single('certificate'), async (req, res) => {
-  try {
-    if (!contract) {
-      return res.status(503).json({
-        success: false,
-        message: 'Blockchain not initialized'
-      });
-    }
-
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No PDF file uploaded'
-      });
-    }
+  const result = batchProof
+    ? await contract.verifyBatchCertificate(bytes32Hash, batchProof.merkleRoot, batchProof.proof)
+    : await contract.verifyCertificate(bytes32Hash);
 
-    console.log('\n🚫 Revoking certificate...');
-    console.log('📄 File:', req.file.originalname);
+  const ipfsCID = result[3];
+  const expiresAt = Number(result[5]);
+  let status = CERTIFICATE_STATUS[Number(result[4])];
 
-    const pdfHash = generatePDFHash(req.file.buffer);
-    const bytes32Hash = hexToBytes32(pdfHash);
+  // View calls evaluate expiry at the latest block's timestamp, which lags on idle chains
+  if (status === 'valid' && expiresAt && expiresAt <= Math.floor(Date.now() / 1000)) {
+    status = 'expired';
+  }
 
-    const existingCert = await contract.verifyCertificate(bytes32Hash);
-    if (!existingCert[0]) {
-      return res.status(404).json({
-        success: false,
-        message: 'Certificate does not exist'
-      });
-    }
+  return {
+    isValid: status === 'valid',
+    status: status,
+    issuer: result[1],
+    issuedAt: Number(result[2]),
+    expiresAt: expiresAt,
+    ipfsCID: ipfsCID,
+    // Batch certificates live inside the batch directory, named by their hash
+    ipfsPath: batchProof ? `${ipfsCID}/${bytes32Hash.replace(/^0x/, '')}.pdf` : ipfsCID,
+    merkleRoot: batchProof ? batchProof.merkleRoot : null
+  };
+}
 
-    console.log('💳 Revoking...');
-    const tx = await contract.revokeCertificate(bytes32Hash);
-    console.log('📝 TX:', tx.hash);
-
-    console.log('⏳ Confirming...');
-    const receipt = await tx.wait();
-    console.log('✅ Revoked in block:', receipt.blockNumber);
-
-    res.json({
-      success: true,
-      message: 'Certificate revoked successfully',
-      data: {
-        certificateHash: pdfHash,
-        bytes32Hash: bytes32Hash,
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
+// Searches every network, or only the given one; the first network that knows the hash wins
+async function findCertificate(bytes32Hash, batchProof, network) {
+  const candidates = network ? [network] : networks;
+  let notFound = null;
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      const cert = await lookupCertificate(bytes32Hash, batchProof, candidate);
+      if (cert.status !== 'not-issued') {
+        return { network: candidate, cert };
       }
-    });
-  } catch (error) {
-    console.error('❌ Revoke error:', error);
-    
-    let errorMessage = 'Failed to revoke certificate';
-    let statusCode = 500;
-    
-    if (error.message.includes('does not exist')) {
-      errorMessage = 'Certificate does not exist';
-      statusCode = 404;
-    } else if (error.message.includes('Not authorized')) {
-      errorMessage = 'Not authorized to revoke';
-      statusCode = 403;
+      notFound = notFound || { network: candidate, cert };
+    } catch (error) {
+      // One unreachable RPC should not hide certificates on the other networks
+      if (candidates.length === 1) throw error;
+      console.warn(`⚠️  Lookup on ${candidate.name} failed:`, error.shortMessage || error.message);
+      lastError = error;
     }
-
-    res.status(statusCode).json({
-      success: false,
-      message: errorMessage,
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
   }
-});
-
-app.post('/api/revoke-qr', async (req, res) => {
-  try {
-    if (!contract) {
-      return res.status(503).json({
-        success: false,
-        message: 'Blockchain not initialized'
-      });
-    }
+  if (!notFound) throw lastError;
+  return notFound;
+}
 
-    const { qrData } = req.body;
-    if (!qrData) {
-      return res.status(400).json({
-        success: false,
-        message: 'No QR data provided'
-      });
+async function resolveReplacement(bytes32Hash, network = primaryNetwork) {
+  let current = bytes32Hash;
+  for (let hop = 0; hop < MAX_SUPERSESSION_HOPS; hop++) {
+    const [replacedBy] = await network.contract.getSupersession(current);
+    if (replacedBy === ethers.ZeroHash) {
+      break;
     }
+    current = replacedBy;
+  }
+  return current;
+}
 
-    console.log('\n🚫 Revoking via QR...');
+// Soulbound token of a certificate; tokens are burned on revocation, so a revoked certificate has no holder
+async function getTokenInfo(bytes32Hash, network = primaryNetwork) {
+  const holder = await network.contract.getCertificateHolder(bytes32Hash);
+  if (holder === ethers.ZeroAddress) {
+    return { tokenHolder: null };
+  }
+  return {
+    tokenHolder: holder,
+    tokenId: BigInt(bytes32Hash).toString(),
+    tokenContract: network.contractAddress
+  };
+}
 
-    let certificateHash;
-    try {
-      const parsed = JSON.parse(qrData);
-      if (parsed.type !== 'certificate' || !parsed.hash) {
-        throw new Error('Invalid QR format');
-      }
-      certificateHash = parsed.hash;
-    } catch (e) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid QR code format'
-      });
-    }
+async function describeCertificate(cert, bytes32Hash, followReplacement = true, network = primaryNetwork) {
+  const issuerInfo = DIALECT.registry ? await getIssuerInfo(cert.issuer, network) : {};
+  const details = {
+    network: network.name,
+    chainId: network.chainId,
+    status: cert.status,
+    issuer: cert.issuer,
+    ...issuerInfo,
+    issuedDate: new Date(cert.issuedAt * 1000).toISOString(),
+    timestamp: cert.issuedAt,
+    expiryDate: cert.expiresAt ? new Date(cert.expiresAt * 1000).toISOString() : null,
+    expiresAt: cert.expiresAt || null,
+    ...(cert.ipfsCID && {
+      ipfsCID: cert.ipfsCID,
+      ...storageLinks(cert.ipfsPath, storageProviderFor(cert.ipfsPath))
+    }),
+    ...cert.fields
+  };
+
+  // Older contracts record nothing beyond what their verifyCertificate returns
+  if (!DIALECT.registry) {
+    return details;
+  }
 
-    console.log('📱 Hash from QR:', certificateHash);
-    const bytes32Hash = hexToBytes32(certificateHash);
+  if (cert.merkleRoot) {
+    details.merkleRoot = cert.merkleRoot;
+    return details;
+  }
 
-    const existingCert = await contract.verifyCertificate(bytes32Hash);
-    if (!existingCert[0]) {
-      return res.status(404).json({
-        success: false,
-        message: 'Certificate does not exist'
-      });
-    }
+  if (cert.status === 'revoked') {
+    Object.assign(details, await getRevocationInfo(bytes32Hash, network));
+  }
 
-    console.log('💳 Revoking...');
-    const tx = await contract.revokeCertificate(bytes32Hash);
-    console.log('📝 TX:', tx.hash);
-
-    console.log('⏳ Confirming...');
-    const receipt = await tx.wait();
-    console.log('✅ Revoked in block:', receipt.blockNumber);
-
-    res.json({
-      success: true,
-      message: 'Certificate revoked successfully',
-      data: {
-        certificateHash: certificateHash,
-        bytes32Hash: bytes32Hash,
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        revocationMethod: 'QR Code'
-      }
-    });
-  } catch (error) {
-    console.error('❌ QR revoke error:', error);
-    
-    let errorMessage = 'Failed to revoke certificate';
-    let statusCode = 500;
-    
-    if (error.message.includes('does not exist')) {
-      errorMessage = 'Certificate does not exist';
-      statusCode = 404;
-    } else if (error.message.includes('Not authorized')) {
-      errorMessage = 'Not authorized to revoke';
-      statusCode = 403;
-    }
+  Object.assign(details, await getTokenInfo(bytes32Hash, network));
+  details.recipientBinding = (await getRecipientBinding(bytes32Hash, network)).recipientBinding;
 
-    res.status(statusCode).json({
-      success: false,
-      message: errorMessage,
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  const suspensionHistory = await getSuspensionHistory(bytes32Hash, network);
+  if (suspensionHistory.length > 0) {
+    details.suspensionHistory = suspensionHistory;
+  }
+  if (cert.status === 'suspended') {
+    const lastSuspension = suspensionHistory[suspensionHistory.length - 1];
+    details.suspendedDate = lastSuspension.date;
+    details.suspensionNote = lastSuspension.note;
   }
-});
 
-app.get('/api/certificate/:hash', async (req, res) => {
-  try {
-    if (!contract) {
-      return res.status(503).json({
-        success: false,
-        message: 'Blockchain not initialized'
-      });
+  const [replacedBy, replaces] = await network.contract.getSupersession(bytes32Hash);
+  if (replaces !== ethers.ZeroHash) {
+    details.supersedes = replaces.replace(/^0x/, '');
+  }
+  if (replacedBy !== ethers.ZeroHash) {
+    details.status = 'superseded';
+    details.supersededBy = replacedBy.replace(/^0x/, '');
+
+    // Point holders of an outdated copy at the latest certificate in the chain
+    if (followReplacement) {
+      const latestHash = await resolveReplacement(replacedBy, network);
+      const latest = await lookupCertificate(latestHash, null, network);
+      details.replacement = {
+        isValid: latest.isValid,
+        certificateHash: latestHash.replace(/^0x/, ''),
+        bytes32Hash: latestHash,
+        ...(await describeCertificate(latest, latestHash, false, network))
+      };
     }
+  }
 
-    const { hash } = req.params;
-    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(hash)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid hash format'
-      });
-    }
+  return details;
+}
 
-    const bytes32Hash = hexToBytes32(hash);
-    console.log('\n🔍 Fetching by hash:', bytes32Hash);
-
-    const result = await contract.verifyCertificate(bytes32Hash);
-    
-    const isValid = result[0];
-    const issuer = result[1];
-    const issuedAt = result[2];
-    const ipfsCID = result[3];
-
-    if (isValid) {
-      const issuedDate = new Date(Number(issuedAt) * 1000);
-
-      res.json({
-        success: true,
-        data: {
-          isValid: true,
-          certificateHash: hash.replace(/^0x/, ''),
-          bytes32Hash: bytes32Hash,
-          issuer: issuer,
-          issuedDate: issuedDate.toISOString(),
-          timestamp: Number(issuedAt),
-          ipfsCID: ipfsCID,
-          ipfsUrl: `https://gateway.pinata.cloud/ipfs/${ipfsCID}`,
-          ipfsGatewayUrl: `https://ipfs.io/ipfs/${ipfsCID}`
-        }
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        message: 'Certificate not found or revoked'
-      });
-    }
-  } catch (error) {
-    console.error('❌ Fetch error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch certificate',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+function statusMessage(details) {
+  if (details.status === 'superseded') {
+    const latestHash = details.replacement ? details.replacement.certificateHash : details.supersededBy;
+    return `Certificate superseded by ${latestHash}`;
   }
-});
+  return STATUS_MESSAGES[details.status];
+}
+
+async function getIssuerInfo(issuerAddress, network = primaryNetwork) {
+  const [name, metadataURI, status, registeredAt] = await network.contract.getIssuer(issuerAddress);
+  return {
+    issuerName: name || null,
+    issuerStatus: ISSUER_STATUS[Number(status)],
+    issuerMetadataURI: metadataURI || null,
+    issuerRegisteredAt: Number(registeredAt) > 0
+      ? new Date(Number(registeredAt) * 1000).toISOString()
+      : null
+  };
+}
 
-app.use((error, req, res, next) => {
+function handleServerError(error, req, res, next) {
   console.error('🔥 Server error:', error);
   
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size exceeds 5MB limit'
+        message: error.field === 'archive'
+          ? `Archive exceeds ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB limit`
+          : 'File size exceeds 5MB limit'
       });
     }
   }
@@ -727,7 +901,56 @@ app.use((error, req, res, next) => {
     success: false,
     message: error.message || 'Internal server error'
   });
-});
+}
+
+// Routers are mounted once the chain and index are up so they receive live handles.
+// This is the one place where routes, services and shared helpers are wired together.
+function mountRouters() {
+  const ctx = {
+    networks, primaryNetwork, resolveNetwork, networkFromQR, unknownQRNetwork, requireKnownNetwork,
+    provider, wallet, contract, contractAddress, db, upload, requireDialect,
+    idempotent: createIdempotencyMiddleware({
+      db,
+      safeIndex,
+      // Lost to a restart before it finished
+      isAcceptedWorkKnown: (data) => {
+        if (data.jobId) return !!jobQueue.getJob(data.jobId);
+        if (data.batchId) return issueBatches.has(data.batchId);
+        return true;
+      }
+    }),
+    ...jobQueue,
+    issueBatches,
+    indexers,
+    sendContractTransaction: transactionManager.sendContractTransaction,
+    describeFinality: transactionManager.describeFinality,
+    formatManagedTransaction: transactionManager.formatManagedTransaction,
+    pendingTransactionCount: transactionManager.pendingCount,
+    safeIndex, recordVerification, formatIndexedCertificate,
+    indexIssuedCertificate, indexRevokedCertificate, indexSuspensionChange, indexRevokedBatch,
+    generatePDFHash, hexToBytes32, stripHexPrefix, parseExpiry, parseRevocation, parseSuspensionNote,
+    parseRecipientBinding, getRecipientBinding, checkRecipientClaim, recipientChallenges,
+    parseQRPayload, parseBatchProof, lookupCertificate, findCertificate, describeCertificate, statusMessage,
+    getIssuerInfo, getTokenInfo, getRevocationInfo, getSuspensionHistory, storageProviderFor, recordStoredFile,
+    STATUS_MESSAGES, CERTIFICATE_STATUS, REVOCABLE_STATUSES, REVOCATION_REASONS
+  };
+
+  app.use(createSyncRouter(ctx));
+  app.use(createCertificatesRouter(ctx));
+  app.use(createJobsRouter(ctx));
+  app.use(createBatchRouter(ctx));
+  app.use(createIssueBatchRouter(ctx));
+  app.use(createRelayRouter(ctx));
+  app.use(createIssuersRouter(ctx));
+  app.use(createHealthRouter(ctx));
+  app.use(createIssueRouter(ctx));
+  app.use(createVerifyRouter(ctx));
+  app.use(createRevokeRouter(ctx));
+  if (FEATURES.ipfs) {
+    app.use(createDownloadRouter(ctx));
+  }
+  app.use(handleServerError);
+}
 
 async function startServer() {
   const initialized = await initializeBlockchain();
@@ -736,12 +959,45 @@ async function startServer() {
     console.warn('⚠️  Server starting without blockchain');
   }
   
-  const pinataConfigured = !!(PINATA_JWT || (PINATA_API_KEY && PINATA_API_SECRET));
-  if (!pinataConfigured) {
-    console.warn('⚠️  Pinata not configured');
-  } else {
-    console.log('✅ Pinata configured');
+  db = initializeDatabase(DB_PATH);
+  if (!db) {
+    console.warn('⚠️  Server starting without local certificate index');
   }
+
+  transactionManager = createTransactionManager({ db, networks });
+  if (initialized) {
+    try {
+      await transactionManager.start();
+    } catch (error) {
+      console.error('❌ Transaction manager error:', error.message);
+    }
+  }
+
+  if (initialized && db) {
+    indexers = networks.map((network) => createIndexer({
+      db, network, primaryNetwork, safeIndex, recordCertificateEvent, stripHexPrefix,
+      REVOCATION_REASONS, RECIPIENT_BINDINGS
+    }));
+    if (INDEXER_ENABLED && DIALECT.registry) {
+      indexers.forEach((indexer) => indexer.start());
+    } else if (INDEXER_ENABLED) {
+      console.log(`ℹ️  Event indexer skipped for the ${DIALECT.name} contract dialect`);
+    }
+  }
+  
+  if (FEATURES.ipfs) {
+    const storage = getStorageProvider();
+    if (!isStorageConfigured()) {
+      console.warn(`⚠️  Storage provider ${storage.name} not configured`);
+    } else {
+      console.log('✅ Storage:', storage.describe());
+    }
+  }
+
+  const enabled = Object.keys(FEATURES).filter((name) => FEATURES[name]);
+  console.log('🧩 Features:', enabled.length ? enabled.join(', ') : 'none');
+
+  mountRouters();
   
   app.listen(PORT, () => {
     console.log('\n🚀 Server running!');
@@ -749,10 +1005,18 @@ async function startServer() {
     console.log('\n💡 Required .env:');
     console.log('   ✓ PROVIDER_URL');
     console.log('   ✓ PRIVATE_KEY');
-    console.log('   ✓ CONTRACT_ADDRESS');
-    console.log('   ✓ PINATA_JWT or (PINATA_API_KEY + PINATA_API_SECRET)');
+    console.log('   ✓ CONTRACT_ADDRESS (or truffle migrate output in build/contracts)');
+    console.log('   ✓ CONTRACT_DIALECT (registry, ipfs, basic or student)');
+    if (FEATURES.ipfs && STORAGE_PROVIDER === 'pinata') {
+      console.log('   ✓ PINATA_JWT or (PINATA_API_KEY + PINATA_API_SECRET)');
+    } else if (FEATURES.ipfs && STORAGE_PROVIDER === 's3') {
+      console.log('   ✓ S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY');
+    }
     console.log('\n');
   });
 }
 
-startServer();
\ No newline at end of file
+startServer().catch((error) => {
+  console.error('❌ Refusing to start:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
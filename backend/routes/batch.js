@@ -0,0 +1,368 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { MAX_BATCH_SIZE } = require('../config');
+const { storeDirectory, storageLinks } = require('../storage');
+const { buildQRPayload, generateQRCode } = require('../features/qr');
+const { requireApiKey } = require('../features/apiKeys');
+
+// Merkle batches: many certificates anchored by one root in a single transaction
+module.exports = function createBatchRouter(ctx) {
+  const {
+    networks, resolveNetwork, requireKnownNetwork, db, contract, upload, requireDialect, idempotent,
+    sendContractTransaction, describeFinality, safeIndex, indexIssuedCertificate, indexRevokedBatch, hexToBytes32,
+    getIssuerInfo, storageProviderFor
+  } = ctx;
+  const router = express.Router();
+
+  // Searches every network, or only the given one, for a batch root; the first network that knows it wins
+  async function findBatch(bytes32Root, network) {
+    const candidates = network ? [network] : networks;
+    for (const candidate of candidates) {
+      const batch = await candidate.contract.getBatchDetails(bytes32Root);
+      if (batch[1] !== ethers.ZeroAddress) {
+        return { network: candidate, batch };
+      }
+    }
+    return { network: candidates[0], batch: null };
+  }
+
+  function merkleLeaf(certificateHash) {
+    return ethers.keccak256(hexToBytes32(certificateHash));
+  }
+
+  function hashPair(a, b) {
+    return a < b
+      ? ethers.keccak256(ethers.concat([a, b]))
+      : ethers.keccak256(ethers.concat([b, a]));
+  }
+
+  // Sorted-pair Merkle tree; mirrors _processProof in the contract.
+  // An odd node at the end of a level is promoted unchanged.
+  function buildMerkleTree(certificateHashes) {
+    let level = certificateHashes.map(merkleLeaf);
+    let positions = certificateHashes.map((_, index) => index);
+    const proofs = certificateHashes.map(() => []);
+
+    while (level.length > 1) {
+      const nextLevel = [];
+      for (let i = 0; i < level.length; i += 2) {
+        nextLevel.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+      }
+
+      positions = positions.map((position, leafIndex) => {
+        const sibling = position ^ 1;
+        if (sibling < level.length) {
+          proofs[leafIndex].push(level[sibling]);
+        }
+        return position >> 1;
+      });
+
+      level = nextLevel;
+    }
+
+    return { root: level[0], proofs };
+  }
+
+  router.post('/api/issue-certificate-batch', requireApiKey, requireDialect('registry'), upload.array('certificates', MAX_BATCH_SIZE), requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF files uploaded'
+        });
+      }
+
+      // Issuers pick the target chain; the primary network otherwise
+      const network = resolveNetwork(req.body.network);
+      const { wallet } = network;
+
+      console.log('\n📦 Issuing certificate batch...');
+      console.log('📄 Files:', req.files.length);
+      console.log('🌐 Network:', network.name);
+
+      const walletIssuer = await getIssuerInfo(wallet.address, network);
+      if (walletIssuer.issuerStatus !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: `Issuer ${walletIssuer.issuerStatus}: wallet is not an active registered issuer`,
+          data: { issuer: wallet.address, ...walletIssuer }
+        });
+      }
+
+      const certificates = req.files.map((file) => ({
+        fileName: file.originalname,
+        fileSize: file.size,
+        certificateHash: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        buffer: file.buffer
+      }));
+
+      const seen = new Map();
+      for (const cert of certificates) {
+        if (seen.has(cert.certificateHash)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Duplicate certificate in batch',
+            data: {
+              certificateHash: cert.certificateHash,
+              files: [seen.get(cert.certificateHash), cert.fileName]
+            }
+          });
+        }
+        seen.set(cert.certificateHash, cert.fileName);
+      }
+
+      console.log('🌳 Building Merkle tree...');
+      const tree = buildMerkleTree(certificates.map((cert) => cert.certificateHash));
+      console.log('🌳 Root:', tree.root);
+
+      const { network: existingNetwork, batch: existingBatch } = await findBatch(tree.root);
+      if (existingBatch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Batch already issued',
+          data: {
+            merkleRoot: tree.root,
+            network: existingNetwork.name,
+            issuer: existingBatch[1],
+            issuedAt: new Date(Number(existingBatch[2]) * 1000).toISOString(),
+            ipfsCID: existingBatch[4]
+          }
+        });
+      }
+
+      console.log('☁️  Uploading batch to storage...');
+      const batchName = req.body.batchName || `batch-${tree.root.slice(2, 10)}`;
+      const ipfsResult = await storeDirectory(
+        certificates.map((cert) => ({ name: `${cert.certificateHash}.pdf`, buffer: cert.buffer })),
+        batchName
+      );
+      console.log('📌 CID:', ipfsResult.ipfsHash);
+
+      console.log('💳 Blockchain transaction...');
+      const tx = await sendContractTransaction('issueBatch', [tree.root, ipfsResult.ipfsHash, certificates.length], network);
+      console.log('📝 TX:', tx.hash);
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Block:', receipt.blockNumber);
+
+      console.log('📱 Generating QR codes...');
+      const issued = [];
+      for (let i = 0; i < certificates.length; i++) {
+        const { fileName, certificateHash } = certificates[i];
+        const batchProof = { merkleRoot: tree.root, proof: tree.proofs[i] };
+        const ipfsPath = `${ipfsResult.ipfsHash}/${certificateHash}.pdf`;
+
+        issued.push({
+          fileName,
+          certificateHash,
+          proof: batchProof.proof,
+          qrPayload: buildQRPayload(certificateHash, batchProof, null, network),
+          qrCode: await generateQRCode(certificateHash, batchProof, null, network),
+          ...storageLinks(ipfsPath, ipfsResult.provider)
+        });
+      }
+
+      safeIndex('issue-batch', () => db.transaction(() => {
+        issued.forEach((cert, i) => indexIssuedCertificate({
+          certificateHash: cert.certificateHash,
+          network: network.name,
+          issuer: wallet.address,
+          ipfsCID: `${ipfsResult.ipfsHash}/${cert.certificateHash}.pdf`,
+          storageProvider: ipfsResult.provider,
+          fileName: cert.fileName,
+          fileSize: certificates[i].fileSize,
+          pinSize: ipfsResult.pinSize,
+          pinnedAt: ipfsResult.timestamp,
+          merkleRoot: tree.root,
+          qrPayload: cert.qrPayload,
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          performedBy: wallet.address,
+          details: { batchName }
+        }));
+      })());
+
+      res.json({
+        success: true,
+        message: `Batch of ${certificates.length} certificates issued successfully`,
+        data: {
+          merkleRoot: tree.root,
+          network: network.name,
+          certificateCount: certificates.length,
+          ipfsCID: ipfsResult.ipfsHash,
+          storageProvider: ipfsResult.provider,
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          issuer: wallet.address,
+          issuerName: walletIssuer.issuerName,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network),
+          certificates: issued
+        }
+      });
+    } catch (error) {
+      console.error('❌ Batch issue error:', error);
+
+      let errorMessage = 'Failed to issue certificate batch';
+      let statusCode = 500;
+
+      if (error.message.includes('Batch already issued')) {
+        errorMessage = 'Batch already issued';
+        statusCode = 400;
+      } else if (error.message.includes('issuer not registered or suspended')) {
+        errorMessage = 'Not authorized: issuer not registered or suspended';
+        statusCode = 403;
+      } else if (error.message.includes('insufficient funds')) {
+        errorMessage = 'Insufficient funds';
+        statusCode = 402;
+      } else if (error.message.includes('IPFS')) {
+        errorMessage = error.message;
+        statusCode = 503;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: errorMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/batch/:merkleRoot', requireDialect('registry'), requireKnownNetwork, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { merkleRoot } = req.params;
+      if (!/^(0x)?[0-9a-fA-F]{64}$/.test(merkleRoot)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid Merkle root format'
+        });
+      }
+
+      const bytes32Root = hexToBytes32(merkleRoot);
+      const { network, batch } = await findBatch(bytes32Root, req.query.network ? resolveNetwork(req.query.network) : null);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          merkleRoot: bytes32Root,
+          network: network.name,
+          isValid: batch[0],
+          issuer: batch[1],
+          ...(await getIssuerInfo(batch[1], network)),
+          issuedDate: new Date(Number(batch[2]) * 1000).toISOString(),
+          certificateCount: Number(batch[3]),
+          ipfsCID: batch[4],
+          ...storageLinks(batch[4], storageProviderFor(batch[4]))
+        }
+      });
+    } catch (error) {
+      console.error('❌ Batch fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch batch',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/revoke-batch', requireApiKey, requireDialect('registry'), requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { merkleRoot } = req.body;
+      if (!merkleRoot || !/^(0x)?[0-9a-fA-F]{64}$/.test(merkleRoot)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid Merkle root format'
+        });
+      }
+
+      const bytes32Root = hexToBytes32(merkleRoot);
+      console.log('\n🚫 Revoking batch:', bytes32Root);
+
+      const { network, batch } = await findBatch(bytes32Root, req.body.network ? resolveNetwork(req.body.network) : null);
+      if (!batch || !batch[0]) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch does not exist'
+        });
+      }
+
+      console.log('💳 Revoking on', network.name, '...');
+      const tx = await sendContractTransaction('revokeBatch', [bytes32Root], network);
+      console.log('📝 TX:', tx.hash);
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Revoked in block:', receipt.blockNumber);
+
+      safeIndex('revoke-batch', () => db.transaction(() => indexRevokedBatch(bytes32Root, {
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        performedBy: network.wallet.address
+      }))());
+
+      res.json({
+        success: true,
+        message: 'Batch revoked successfully',
+        data: {
+          merkleRoot: bytes32Root,
+          network: network.name,
+          certificateCount: Number(batch[3]),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Batch revoke error:', error);
+
+      let errorMessage = 'Failed to revoke batch';
+      let statusCode = 500;
+
+      if (error.message.includes('does not exist')) {
+        errorMessage = 'Batch does not exist';
+        statusCode = 404;
+      } else if (error.message.includes('Not authorized')) {
+        errorMessage = 'Not authorized to revoke';
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: errorMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  return router;
+};
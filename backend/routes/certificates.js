@@ -0,0 +1,547 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { generateQRCode } = require('../features/qr');
+const { requireApiKey } = require('../features/apiKeys');
+
+const STATS_PERIODS = { day: 10, month: 7 };
+
+// Date-only bounds cover the whole day; returns ISO strings for a half-open [from, to) range
+function parseDateRange(query) {
+  const range = { from: null, to: null };
+  for (const param of ['from', 'to']) {
+    const value = query[param];
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${param} date`);
+    }
+    if (param === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    range[param] = date.toISOString();
+  }
+  return range;
+}
+
+function formatVerification(row) {
+  return {
+    date: row.created_at,
+    method: row.method,
+    status: row.status,
+    requesterIp: row.requester_ip
+  };
+}
+
+function formatChainEvent(row) {
+  return {
+    event: row.event_name,
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    date: row.block_timestamp,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index,
+    sender: row.sender,
+    args: JSON.parse(row.data)
+  };
+}
+
+function formatCertificateEvent(row) {
+  return {
+    action: row.action,
+    transactionHash: row.transaction_hash,
+    blockNumber: row.block_number,
+    performedBy: row.performed_by,
+    details: row.details ? JSON.parse(row.details) : null,
+    date: row.created_at
+  };
+}
+
+// Reads from the local certificate index: search, per-certificate history, verification logs and statistics
+module.exports = function createCertificatesRouter(ctx) {
+  const {
+    networks, primaryNetwork, resolveNetwork, db, contract, requireDialect, stripHexPrefix, getIssuerInfo,
+    formatIndexedCertificate, CERTIFICATE_STATUS
+  } = ctx;
+  const router = express.Router();
+
+  router.get('/api/stats', requireDialect('registry'), async (req, res) => {
+    try {
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          message: 'Database not initialized'
+        });
+      }
+
+      const period = req.query.period || 'day';
+      if (!STATS_PERIODS[period]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid period: must be one of ${Object.keys(STATS_PERIODS).join(', ')}`
+        });
+      }
+
+      let range;
+      try {
+        range = parseDateRange(req.query);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      // ISO timestamps sort as text, so a prefix is the day or month bucket
+      const bucketLength = STATS_PERIODS[period];
+      const inRange = (column) => `${column} >= ? AND ${column} < ?`;
+      const bounds = [range.from || '0000', range.to || '9999'];
+
+      const timeline = new Map();
+      const bucket = (key) => {
+        if (!timeline.has(key)) {
+          timeline.set(key, { period: key, issued: 0, revoked: 0, verifications: 0, gasUsed: 0n });
+        }
+        return timeline.get(key);
+      };
+
+      db.prepare(`
+        SELECT substr(block_timestamp, 1, ?) AS bucket,
+          SUM(CASE
+            WHEN event_name = 'CertificateIssued' THEN 1
+            WHEN event_name = 'BatchIssued' THEN CAST(json_extract(data, '$.certificateCount') AS INTEGER)
+            ELSE 0
+          END) AS issued,
+          SUM(CASE
+            WHEN event_name = 'CertificateRevoked' THEN 1
+            WHEN event_name = 'BatchRevoked' THEN (
+              SELECT CAST(json_extract(batch.data, '$.certificateCount') AS INTEGER) FROM chain_events batch
+              WHERE batch.event_name = 'BatchIssued' AND batch.merkle_root = chain_events.merkle_root
+                AND batch.network IS chain_events.network
+            )
+            ELSE 0
+          END) AS revoked
+        FROM chain_events
+        WHERE ${inRange('block_timestamp')}
+        GROUP BY bucket
+      `).all(bucketLength, ...bounds).forEach((row) => {
+        Object.assign(bucket(row.bucket), { issued: row.issued || 0, revoked: row.revoked || 0 });
+      });
+
+      const verifications = { total: 0, byMethod: { pdf: 0, qr: 0 }, byStatus: {} };
+      db.prepare(`
+        SELECT substr(created_at, 1, ?) AS bucket, method, status, COUNT(*) AS count
+        FROM verifications
+        WHERE ${inRange('created_at')}
+        GROUP BY bucket, method, status
+      `).all(bucketLength, ...bounds).forEach((row) => {
+        bucket(row.bucket).verifications += row.count;
+        verifications.total += row.count;
+        verifications.byMethod[row.method] = (verifications.byMethod[row.method] || 0) + row.count;
+        verifications.byStatus[row.status] = (verifications.byStatus[row.status] || 0) + row.count;
+      });
+
+      // One transaction can emit several events, so count each once
+      const gas = { transactions: 0, gasUsed: 0n, cost: 0n };
+      db.prepare(`
+        SELECT DISTINCT transaction_hash, gas_used, gas_price, substr(block_timestamp, 1, ?) AS bucket
+        FROM chain_events
+        WHERE gas_used IS NOT NULL AND ${inRange('block_timestamp')}
+      `).all(bucketLength, ...bounds).forEach((row) => {
+        const gasUsed = BigInt(row.gas_used);
+        gas.transactions++;
+        gas.gasUsed += gasUsed;
+        gas.cost += gasUsed * BigInt(row.gas_price);
+        bucket(row.bucket).gasUsed += gasUsed;
+      });
+
+      const now = Math.floor(Date.now() / 1000);
+      // Rows indexed before multi-network support belong to the primary network
+      const issuerRows = db.prepare(`
+        SELECT issuer, COALESCE(network, ?) AS network,
+          COUNT(*) AS issued,
+          SUM(status = 'valid' AND (expires_at IS NULL OR expires_at > ?)) AS valid,
+          SUM(status = 'valid' AND expires_at IS NOT NULL AND expires_at <= ?) AS expired,
+          SUM(status = 'revoked') AS revoked,
+          SUM(status = 'suspended') AS suspended
+        FROM certificates
+        WHERE issuer IS NOT NULL AND status != 'not-issued' AND ${inRange('issued_at')}
+        GROUP BY issuer, COALESCE(network, ?)
+        ORDER BY issued DESC
+      `).all(primaryNetwork?.name, now, now, ...bounds, primaryNetwork?.name);
+
+      const issuers = [];
+      for (const row of issuerRows) {
+        // An issuer is registered per network; a network no longer configured has no registry to ask
+        const network = resolveNetwork(row.network);
+        issuers.push({
+          ...row,
+          issuerName: contract && network ? (await getIssuerInfo(row.issuer, network)).issuerName : null
+        });
+      }
+
+      // Totals over every network, plus each network's own; an unreachable network is left out of the totals
+      let onChain = null;
+      if (contract) {
+        onChain = { issued: 0, revoked: 0, active: 0, networks: [] };
+        for (const network of networks) {
+          try {
+            const [issued, revoked, active] = (await network.contract.getStatistics()).map(Number);
+            onChain.networks.push({ network: network.name, chainId: network.chainId, reachable: true, issued, revoked, active });
+            onChain.issued += issued;
+            onChain.revoked += revoked;
+            onChain.active += active;
+          } catch (error) {
+            console.warn(`⚠️  Statistics unavailable on ${network.name}:`, error.shortMessage || error.message);
+            onChain.networks.push({ network: network.name, chainId: network.chainId, reachable: false });
+          }
+        }
+      }
+
+      res.json({
+        success: true,
+        data: {
+          period,
+          from: range.from,
+          to: range.to,
+          onChain,
+          timeline: [...timeline.values()]
+            .sort((a, b) => a.period.localeCompare(b.period))
+            .map((entry) => ({ ...entry, gasUsed: entry.gasUsed.toString() })),
+          verifications,
+          issuers,
+          gas: {
+            transactions: gas.transactions,
+            gasUsed: gas.gasUsed.toString(),
+            cost: gas.cost.toString(),
+            costEth: ethers.formatEther(gas.cost)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('❌ Stats error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch statistics',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/certificates', requireApiKey, (req, res) => {
+    try {
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          message: 'Database not initialized'
+        });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const conditions = [];
+      const params = [];
+
+      const q = (req.query.q || '').trim();
+      if (q) {
+        // Hash prefixes are matched exactly, anything else is a filename search
+        const escaped = q.replace(/[\\%_]/g, (c) => '\\' + c);
+        if (/^(0x)?[0-9a-fA-F]+$/.test(q)) {
+          conditions.push("(certificate_hash LIKE ? ESCAPE '\\' OR file_name LIKE ? ESCAPE '\\')");
+          params.push(stripHexPrefix(q) + '%', `%${escaped}%`);
+        } else {
+          conditions.push("file_name LIKE ? ESCAPE '\\'");
+          params.push(`%${escaped}%`);
+        }
+      }
+
+      if (req.query.issuer) {
+        if (!ethers.isAddress(req.query.issuer)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid issuer address'
+          });
+        }
+        conditions.push('issuer = ?');
+        params.push(ethers.getAddress(req.query.issuer));
+      }
+
+      if (req.query.network) {
+        conditions.push('COALESCE(network, ?) = ?');
+        params.push(primaryNetwork ? primaryNetwork.name : null, req.query.network);
+      }
+
+      const status = req.query.status;
+      if (status) {
+        if (!CERTIFICATE_STATUS.includes(status) || status === 'not-issued') {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid status: must be one of ${CERTIFICATE_STATUS.slice(1).join(', ')}`
+          });
+        }
+        const now = Math.floor(Date.now() / 1000);
+        if (status === 'expired') {
+          conditions.push("status = 'valid' AND expires_at IS NOT NULL AND expires_at <= ?");
+          params.push(now);
+        } else if (status === 'valid') {
+          conditions.push("status = 'valid' AND (expires_at IS NULL OR expires_at > ?)");
+          params.push(now);
+        } else {
+          conditions.push('status = ?');
+          params.push(status);
+        }
+      }
+
+      const finality = req.query.finality;
+      if (finality) {
+        if (!['pending-finality', 'final', 'reorged'].includes(finality)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid finality: must be one of pending-finality, final, reorged'
+          });
+        }
+        conditions.push('finality = ?');
+        params.push(finality === 'pending-finality' ? 'pending' : finality);
+      }
+
+      let range;
+      try {
+        range = parseDateRange(req.query);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+      if (range.from) {
+        conditions.push('issued_at >= ?');
+        params.push(range.from);
+      }
+      if (range.to) {
+        conditions.push('issued_at < ?');
+        params.push(range.to);
+      }
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM certificates ${where}`).get(...params);
+      const rows = db.prepare(`
+        SELECT * FROM certificates ${where}
+        ORDER BY issued_at DESC, certificate_hash
+        LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+
+      res.json({
+        success: true,
+        data: {
+          certificates: rows.map(formatIndexedCertificate),
+          total,
+          limit,
+          offset
+        }
+      });
+    } catch (error) {
+      console.error('❌ List error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list certificates',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // QR payloads carry recipient salts, so the index is issuer-side like the write routes
+  router.get('/api/certificates/:hash', requireApiKey, async (req, res) => {
+    try {
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          message: 'Database not initialized'
+        });
+      }
+
+      const { hash } = req.params;
+      if (!/^(0x)?[0-9a-fA-F]{64}$/.test(hash)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid hash format'
+        });
+      }
+
+      const certificateHash = stripHexPrefix(hash);
+      const row = db.prepare('SELECT * FROM certificates WHERE certificate_hash = ?').get(certificateHash);
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificate not found in local index'
+        });
+      }
+
+      const events = db.prepare(
+        'SELECT * FROM certificate_events WHERE certificate_hash = ? ORDER BY id'
+      ).all(certificateHash);
+      const lifecycle = db.prepare(`
+        SELECT * FROM chain_events WHERE certificate_hash = ? OR (merkle_root IS NOT NULL AND merkle_root = ?)
+        ORDER BY block_number, log_index
+      `).all(certificateHash, row.merkle_root);
+
+      let qrCode = null;
+      if (row.qr_payload) {
+        const payload = JSON.parse(row.qr_payload);
+        const batchProof = payload.merkleRoot ? { merkleRoot: payload.merkleRoot, proof: payload.proof } : null;
+        // Payloads stored before multi-network support gain the network the row was issued on
+        const network = payload.network
+          ? { name: payload.network, chainId: payload.chainId }
+          : resolveNetwork(row.network);
+        qrCode = await generateQRCode(payload.hash, batchProof, payload.recipientSalt, network);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...formatIndexedCertificate(row),
+          qrCode: qrCode,
+          verificationCount: db.prepare('SELECT COUNT(*) AS count FROM verifications WHERE certificate_hash = ?')
+            .get(certificateHash).count,
+          events: events.map(formatCertificateEvent),
+          lifecycle: lifecycle.map(formatChainEvent)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Index fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch indexed certificate',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Verification history is for the issuer: it includes requester IPs
+  router.get('/api/certificates/:hash/verifications', requireApiKey, (req, res) => {
+    try {
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          message: 'Database not initialized'
+        });
+      }
+
+      const { hash } = req.params;
+      if (!/^(0x)?[0-9a-fA-F]{64}$/.test(hash)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid hash format'
+        });
+      }
+
+      const certificateHash = stripHexPrefix(hash);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const summary = db.prepare(`
+        SELECT COUNT(*) AS total,
+          SUM(method = 'pdf') AS pdf,
+          SUM(method = 'qr') AS qr,
+          MIN(created_at) AS firstVerifiedAt,
+          MAX(created_at) AS lastVerifiedAt
+        FROM verifications WHERE certificate_hash = ?
+      `).get(certificateHash);
+      const rows = db.prepare(`
+        SELECT * FROM verifications WHERE certificate_hash = ?
+        ORDER BY id DESC LIMIT ? OFFSET ?
+      `).all(certificateHash, limit, offset);
+
+      res.json({
+        success: true,
+        data: {
+          certificateHash,
+          total: summary.total,
+          byMethod: { pdf: summary.pdf || 0, qr: summary.qr || 0 },
+          firstVerifiedAt: summary.firstVerifiedAt,
+          lastVerifiedAt: summary.lastVerifiedAt,
+          verifications: rows.map(formatVerification),
+          limit,
+          offset
+        }
+      });
+    } catch (error) {
+      console.error('❌ Verification history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch verification history',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Hashes nobody issued that people keep trying to verify are likely forgeries
+  router.get('/api/verifications/unknown', requireApiKey, (req, res) => {
+    try {
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          message: 'Database not initialized'
+        });
+      }
+
+      let range;
+      try {
+        range = parseDateRange(req.query);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const bounds = [range.from || '0000', range.to || '9999'];
+      const where = "status = 'not-issued' AND created_at >= ? AND created_at < ?";
+
+      const { total, attempts } = db.prepare(`
+        SELECT COUNT(DISTINCT certificate_hash) AS total, COUNT(*) AS attempts FROM verifications WHERE ${where}
+      `).get(...bounds);
+      const rows = db.prepare(`
+        SELECT certificate_hash,
+          COUNT(*) AS attempts,
+          SUM(method = 'pdf') AS pdf,
+          SUM(method = 'qr') AS qr,
+          COUNT(DISTINCT requester_ip) AS requesters,
+          MIN(created_at) AS first_seen,
+          MAX(created_at) AS last_seen
+        FROM verifications
+        WHERE ${where}
+        GROUP BY certificate_hash
+        ORDER BY last_seen DESC
+        LIMIT ? OFFSET ?
+      `).all(...bounds, limit, offset);
+
+      res.json({
+        success: true,
+        data: {
+          total,
+          attempts,
+          hashes: rows.map((row) => ({
+            certificateHash: row.certificate_hash,
+            attempts: row.attempts,
+            byMethod: { pdf: row.pdf || 0, qr: row.qr || 0 },
+            requesters: row.requesters,
+            firstSeen: row.first_seen,
+            lastSeen: row.last_seen
+          })),
+          limit,
+          offset
+        }
+      });
+    } catch (error) {
+      console.error('❌ Unknown verifications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch unknown verification attempts',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,172 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { DIALECT, DOWNLOAD_CACHE_DIR, DOWNLOAD_CACHE_MAX_SIZE } = require('../config');
+const { fetchFile } = require('../storage');
+const createDownloadCache = require('../storage/cache');
+
+// Certificate PDFs fetched back from the storage provider that holds them. Nothing is
+// served unless its hash is a certificate recorded on-chain under the requested CID.
+// Verified files are kept in an on-disk LRU cache, keyed by IPFS path.
+module.exports = function createDownloadRouter(ctx) {
+  const { resolveNetwork, db, storageProviderFor, findCertificate, generatePDFHash, hexToBytes32, stripHexPrefix } = ctx;
+  const router = express.Router();
+  const cache = createDownloadCache({ directory: DOWNLOAD_CACHE_DIR, maxSize: DOWNLOAD_CACHE_MAX_SIZE });
+
+  async function matchesChain(cid, fileName, certificateHash) {
+    if (fileName) {
+      // Batch files are named by their hash; the directory CID is recorded with the batch root
+      if (fileName !== `${certificateHash}.pdf`) return false;
+      const row = db && db.prepare('SELECT merkle_root, network FROM certificates WHERE certificate_hash = ?').get(certificateHash);
+      if (!row?.merkle_root) return false;
+      // The batch root lives on the network the batch was issued on
+      const network = resolveNetwork(row.network);
+      if (!network) return false;
+      const batch = await network.contract.getBatchDetails('0x' + row.merkle_root);
+      return batch[1] !== ethers.ZeroAddress && batch[4] === cid;
+    }
+
+    const { cert } = await findCertificate(hexToBytes32(certificateHash));
+    if (cert.status === 'not-issued') return false;
+    // Dialects without an on-chain CID only record the hash
+    return !DIALECT.storesCid || cert.ipfsCID === cid;
+  }
+
+  // The hash a download must have, when it is known before fetching
+  function expectedHashFor(ipfsPath, fileName) {
+    if (fileName) {
+      return /^[0-9a-f]{64}\.pdf$/.test(fileName) ? fileName.slice(0, -4) : null;
+    }
+    const row = db && db.prepare('SELECT certificate_hash FROM certificates WHERE ipfs_cid = ?').get(ipfsPath);
+    return row?.certificate_hash || null;
+  }
+
+  // Where a certificate's file is stored: the local index, else the CID recorded on-chain
+  async function ipfsPathFor(certificateHash) {
+    const row = db && db.prepare('SELECT ipfs_cid FROM certificates WHERE certificate_hash = ?').get(certificateHash);
+    if (row?.ipfs_cid) return row.ipfs_cid;
+    if (!DIALECT.storesCid) return null;
+
+    const { cert } = await findCertificate(hexToBytes32(certificateHash));
+    return cert.status !== 'not-issued' && cert.ipfsCID ? cert.ipfsCID : null;
+  }
+
+  async function verifiedHash(file, cid, fileName, expectedHash) {
+    const certificateHash = generatePDFHash(file);
+    if (expectedHash && certificateHash !== expectedHash) return null;
+    return (await matchesChain(cid, fileName, certificateHash)) ? certificateHash : null;
+  }
+
+  async function sendCertificateFile(res, ipfsPath, expectedHash) {
+    const [cid, fileName] = ipfsPath.split('/');
+    const provider = storageProviderFor(ipfsPath);
+    // Local files are already on disk
+    const cacheable = provider !== 'local';
+
+    let file = cacheable ? await cache.get(ipfsPath) : null;
+    let certificateHash = file && await verifiedHash(file, cid, fileName, expectedHash);
+    const cacheHit = !!certificateHash;
+
+    if (!cacheHit) {
+      if (file) {
+        console.warn('⚠️  Dropping cached file that no longer verifies:', ipfsPath);
+        await cache.remove(ipfsPath);
+      }
+
+      console.log(`📥 Downloading from ${provider}:`, ipfsPath);
+      const accept = expectedHash ? (buffer) => generatePDFHash(buffer) === expectedHash : undefined;
+      file = await fetchFile(ipfsPath, provider, accept);
+
+      certificateHash = await verifiedHash(file, cid, fileName, expectedHash);
+      if (!certificateHash) {
+        console.warn('⚠️  Downloaded file does not match the chain:', ipfsPath);
+        return res.status(502).json({
+          success: false,
+          message: 'Downloaded file does not match the certificate recorded on-chain'
+        });
+      }
+
+      if (cacheable) await cache.set(ipfsPath, file);
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName || `certificate-${cid}.pdf`}"`,
+      'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
+      'X-Certificate-Hash': certificateHash,
+      'X-Cache': cacheHit ? 'HIT' : 'MISS'
+    });
+
+    res.send(file);
+  }
+
+  function sendDownloadError(res, error) {
+    console.error('❌ Download error:', error.message);
+
+    if (error.code === 'CID_MISMATCH') {
+      return res.status(502).json({
+        success: false,
+        message: 'Downloaded file does not match its CID or certificate hash'
+      });
+    }
+
+    if (error.code === 'STORAGE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate file not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download certificate from storage. The file may be temporarily unavailable.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  // Batch certificates live inside a directory: /api/download/<directory CID>/<hash>.pdf
+  router.get('/api/download/:cid{/:fileName}', async (req, res) => {
+    try {
+      const { cid, fileName } = req.params;
+
+      // Validate CID format (basic check)
+      if (!cid || cid.length < 10 || (fileName && !/^[\w.-]+$/.test(fileName))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid IPFS CID'
+        });
+      }
+
+      const ipfsPath = fileName ? `${cid}/${fileName}` : cid;
+      await sendCertificateFile(res, ipfsPath, expectedHashFor(ipfsPath, fileName));
+    } catch (error) {
+      sendDownloadError(res, error);
+    }
+  });
+
+  router.get('/api/certificates/:hash/download', async (req, res) => {
+    try {
+      const { hash } = req.params;
+      if (!/^(0x)?[0-9a-fA-F]{64}$/.test(hash)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid hash format'
+        });
+      }
+
+      const certificateHash = stripHexPrefix(hash);
+      const ipfsPath = await ipfsPathFor(certificateHash);
+      if (!ipfsPath || !/^\w{10,}(\/[\w.-]+)?$/.test(ipfsPath)) {
+        return res.status(404).json({
+          success: false,
+          message: 'No stored file for this certificate'
+        });
+      }
+
+      await sendCertificateFile(res, ipfsPath, certificateHash);
+    } catch (error) {
+      sendDownloadError(res, error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,150 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { PORT, DIALECT, HASH_ALGORITHM, FEATURES } = require('../config');
+const { getStorageProvider, isStorageConfigured } = require('../storage');
+
+// API status and liveness
+module.exports = function createHealthRouter(ctx) {
+  const { provider, wallet, contract, contractAddress, networks, db } = ctx;
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({
+      status: 'API running',
+      blockchain: {
+        connected: contract !== undefined,
+        wallet: wallet?.address,
+        contract: contractAddress,
+        contractDialect: DIALECT.name,
+        hashAlgorithm: HASH_ALGORITHM,
+        networks: networks.map((network, index) => ({
+          name: network.name,
+          chainId: network.chainId,
+          contract: network.contractAddress,
+          confirmationDepth: network.confirmationDepth,
+          primary: index === 0
+        }))
+      },
+      storage: {
+        provider: getStorageProvider().name,
+        configured: isStorageConfigured()
+      },
+      features: FEATURES,
+      database: {
+        connected: !!db
+      },
+      endpoints: {
+        health: 'GET /api/health',
+        issue: 'POST /api/issue-certificate',
+        verify: 'POST /api/verify-certificate',
+        verifyQR: 'POST /api/verify-qr',
+        revoke: 'POST /api/revoke-certificate',
+        revokeQR: 'POST /api/revoke-qr',
+        revokeBulk: 'POST /api/revoke-bulk',
+        supersede: 'POST /api/supersede-certificate',
+        suspend: 'POST /api/suspend-certificate',
+        reinstate: 'POST /api/reinstate-certificate',
+        issueBatch: 'POST /api/issue-certificate-batch',
+        issueFromArchive: 'POST /api/issue-batch',
+        issueFromArchiveStatus: 'GET /api/issue-batch/:batchId',
+        issueFromArchiveDownload: 'GET /api/issue-batch/:batchId/download',
+        finality: 'GET /api/finality/:transactionHash',
+        transactions: 'GET /api/transactions',
+        jobStatus: 'GET /api/jobs/:jobId',
+        jobEvents: 'GET /api/jobs/:jobId/events',
+        revokeBatch: 'POST /api/revoke-batch',
+        getBatch: 'GET /api/batch/:merkleRoot',
+        getByHash: 'GET /api/certificate/:hash',
+        download: 'GET /api/download/:cid',
+        listIndexed: 'GET /api/certificates',
+        syncStatus: 'GET /api/sync-status',
+        stats: 'GET /api/stats',
+        getIndexed: 'GET /api/certificates/:hash',
+        verificationHistory: 'GET /api/certificates/:hash/verifications',
+        unknownVerifications: 'GET /api/verifications/unknown',
+        getIssuer: 'GET /api/issuers/:address',
+        registerIssuer: 'POST /api/issuers',
+        suspendIssuer: 'POST /api/issuers/:address/suspend',
+        activateIssuer: 'POST /api/issuers/:address/activate',
+        removeIssuer: 'DELETE /api/issuers/:address',
+        relayPrepareIssue: 'POST /api/relay/issue-certificate/prepare',
+        relayIssue: 'POST /api/relay/issue-certificate',
+        relayPrepareRevoke: 'POST /api/relay/revoke-certificate/prepare',
+        relayRevoke: 'POST /api/relay/revoke-certificate',
+        recipientChallenge: 'POST /api/recipient-challenge'
+      }
+    });
+  });
+
+  router.get('/api/health', async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          status: 'unhealthy',
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const network = await provider.getNetwork();
+      const balance = await provider.getBalance(wallet.address);
+
+      // Secondary networks are reported but do not make the server unhealthy
+      const networkStatus = await Promise.all(networks.map(async (candidate) => {
+        try {
+          const [blockNumber, networkBalance] = await Promise.all([
+            candidate.provider.getBlockNumber(),
+            candidate.provider.getBalance(candidate.wallet.address)
+          ]);
+          return {
+            name: candidate.name,
+            chainId: candidate.chainId,
+            reachable: true,
+            blockNumber,
+            walletAddress: candidate.wallet.address,
+            balance: ethers.formatEther(networkBalance) + ' ETH',
+            contractAddress: candidate.contractAddress,
+            confirmationDepth: candidate.confirmationDepth
+          };
+        } catch (error) {
+          return {
+            name: candidate.name,
+            chainId: candidate.chainId,
+            reachable: false,
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+          };
+        }
+      }));
+
+      res.json({
+        success: true,
+        status: 'healthy',
+        server: {
+          port: PORT,
+          timestamp: new Date().toISOString()
+        },
+        blockchain: {
+          network: network.name,
+          chainId: network.chainId.toString(),
+          walletAddress: wallet.address,
+          balance: ethers.formatEther(balance) + ' ETH',
+          contractAddress,
+          contractDialect: DIALECT.name,
+          networks: networkStatus
+        },
+        database: {
+          connected: !!db
+        }
+      });
+    } catch (error) {
+      console.error('❌ Health check error:', error.message);
+      res.status(503).json({
+        success: false,
+        status: 'unhealthy',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  return router;
+};
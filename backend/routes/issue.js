@@ -0,0 +1,453 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { DIALECT, FEATURES } = require('../config');
+const { storeFile, storageLinks } = require('../storage');
+const { buildQRPayload, generateQRCode } = require('../features/qr');
+const { requireApiKey } = require('../features/apiKeys');
+
+// Request fields that only the registry contract can record
+const REGISTRY_ISSUE_FIELDS = ['expiresAt', 'recipient', 'recipientName', 'recipientEmail', 'recipientWallet'];
+
+// Single-certificate issuance and supersession
+module.exports = function createIssueRouter(ctx) {
+  const {
+    contract, db, upload, requireDialect, requireKnownNetwork, resolveNetwork, idempotent, asyncJob, advanceJob,
+    sendContractTransaction, describeFinality, safeIndex, indexIssuedCertificate, indexRevokedCertificate,
+    generatePDFHash, hexToBytes32, stripHexPrefix, parseExpiry, parseRecipientBinding, getRecipientBinding,
+    findCertificate, getIssuerInfo, getTokenInfo, storageProviderFor
+  } = ctx;
+  const router = express.Router();
+
+  router.post('/api/issue-certificate', requireApiKey, upload.single('certificate'), requireKnownNetwork, idempotent, asyncJob('issue', async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF file uploaded'
+        });
+      }
+
+      // Issuers pick the target chain; the primary network otherwise
+      const network = resolveNetwork(req.body.network);
+      const { wallet } = network;
+
+      console.log('\n📤 Issuing certificate...');
+      console.log('📄 File:', req.file.originalname);
+      console.log('📊 Size:', req.file.size, 'bytes');
+      console.log('🌐 Network:', network.name);
+
+      if (!DIALECT.registry) {
+        const unsupportedField = REGISTRY_ISSUE_FIELDS.find((field) => req.body[field]);
+        if (unsupportedField) {
+          return res.status(400).json({
+            success: false,
+            message: `${unsupportedField} is not supported by the ${DIALECT.name} contract dialect`
+          });
+        }
+      }
+
+      const missingFields = DIALECT.fields.filter((field) => !req.body[field]);
+      if (missingFields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${missingFields.join(' and ')} ${missingFields.length > 1 ? 'are' : 'is'} required`
+        });
+      }
+      const fields = Object.fromEntries(DIALECT.fields.map((field) => [field, String(req.body[field])]));
+
+      const walletIssuer = DIALECT.registry ? await getIssuerInfo(wallet.address, network) : null;
+      if (walletIssuer && walletIssuer.issuerStatus !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: `Issuer ${walletIssuer.issuerStatus}: wallet is not an active registered issuer`,
+          data: { issuer: wallet.address, ...walletIssuer }
+        });
+      }
+
+      let expiresAt;
+      try {
+        expiresAt = parseExpiry(req.body.expiresAt);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid expiry date: must be a future date'
+        });
+      }
+
+      const { recipient } = req.body;
+      if (recipient && (!ethers.isAddress(recipient) || recipient === ethers.ZeroAddress)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recipient address'
+        });
+      }
+
+      let recipientBinding;
+      try {
+        recipientBinding = parseRecipientBinding(req.body);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      const pdfHash = generatePDFHash(req.file.buffer);
+      const bytes32Hash = hexToBytes32(pdfHash);
+
+      // A hash lives on one network only, so verification never has to pick between two records
+      console.log('🔍 Checking existence...');
+      const { cert: existingCert, network: existingNetwork } = await findCertificate(bytes32Hash);
+
+      if (existingCert.status !== 'not-issued') {
+        return res.status(400).json({
+          success: false,
+          message: 'Certificate already issued',
+          data: {
+            certificateHash: pdfHash,
+            network: existingNetwork.name,
+            status: existingCert.status,
+            issuer: existingCert.issuer,
+            issuedAt: new Date(existingCert.issuedAt * 1000).toISOString(),
+            ...(existingCert.ipfsCID && {
+              ipfsCID: existingCert.ipfsCID,
+              ...storageLinks(existingCert.ipfsCID, storageProviderFor(existingCert.ipfsCID))
+            })
+          }
+        });
+      }
+
+      let ipfsResult = null;
+      if (FEATURES.ipfs) {
+        console.log('☁️  Uploading to storage...');
+        ipfsResult = await storeFile(req.file.buffer, req.file.originalname);
+        console.log('📌 CID:', ipfsResult.ipfsHash);
+        advanceJob(req, 'pinned', { certificateHash: pdfHash, ipfsCID: ipfsResult.ipfsHash });
+      }
+
+      console.log('💳 Blockchain transaction...');
+      if (recipient) {
+        console.log('🎓 Minting token to:', recipient);
+      }
+      if (recipientBinding) {
+        console.log('🔗 Binding recipient by', recipientBinding.binding);
+      }
+
+      const tx = await sendContractTransaction(...DIALECT.issueCall(bytes32Hash, ipfsResult?.ipfsHash, {
+        expiresAt,
+        recipient,
+        recipientBinding,
+        fields
+      }), network);
+      console.log('📝 TX:', tx.hash);
+      advanceJob(req, 'tx-sent', { transactionHash: tx.hash });
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Block:', receipt.blockNumber);
+      advanceJob(req, 'confirmed', { blockNumber: receipt.blockNumber });
+
+      console.log('📱 Generating QR...');
+      // The salt never goes on-chain; only the holder's QR code and the local index keep it
+      const qrCode = await generateQRCode(pdfHash, null, recipientBinding?.salt, network);
+      if (qrCode) {
+        advanceJob(req, 'qr-ready');
+      }
+
+      safeIndex('issue', () => indexIssuedCertificate({
+        certificateHash: pdfHash,
+        network: network.name,
+        issuer: wallet.address,
+        ipfsCID: ipfsResult?.ipfsHash,
+        storageProvider: ipfsResult?.provider,
+        fileName: req.file.originalname,
+        fileSize: req.file.size,
+        pinSize: ipfsResult?.pinSize,
+        pinnedAt: ipfsResult?.timestamp,
+        expiresAt,
+        tokenHolder: recipient,
+        recipientBinding: recipientBinding?.binding,
+        qrPayload: buildQRPayload(pdfHash, null, recipientBinding?.salt, network),
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        performedBy: wallet.address,
+        details: DIALECT.fields.length > 0 ? fields : undefined
+      }));
+
+      res.json({
+        success: true,
+        message: 'Certificate issued successfully',
+        data: {
+          certificateHash: pdfHash,
+          bytes32Hash: bytes32Hash,
+          network: network.name,
+          chainId: network.chainId,
+          ...fields,
+          ...(ipfsResult && {
+            ipfsCID: ipfsResult.ipfsHash,
+            storageProvider: ipfsResult.provider,
+            ...storageLinks(ipfsResult.ipfsHash, ipfsResult.provider)
+          }),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          issuer: wallet.address,
+          ...(walletIssuer && { issuerName: walletIssuer.issuerName }),
+          expiryDate: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+          expiresAt: expiresAt || null,
+          ...(recipient && await getTokenInfo(bytes32Hash, network)),
+          ...(recipientBinding && {
+            recipientBinding: recipientBinding.binding,
+            recipientSalt: recipientBinding.salt
+          }),
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network),
+          ...(qrCode && { qrCode })
+        }
+      });
+    } catch (error) {
+      console.error('❌ Issue error:', error);
+
+      let errorMessage = 'Failed to issue certificate';
+      let statusCode = 500;
+
+      if (error.message.includes('already issued')) {
+        errorMessage = 'Certificate already issued';
+        statusCode = 400;
+      } else if (error.message.includes('Invalid certificate hash')) {
+        errorMessage = 'Invalid certificate hash';
+        statusCode = 400;
+      } else if (error.message.includes('Invalid expiry date')) {
+        errorMessage = 'Invalid expiry date: must be a future date';
+        statusCode = 400;
+      } else if (error.message.includes('issuer not registered or suspended')) {
+        errorMessage = 'Not authorized: issuer not registered or suspended';
+        statusCode = 403;
+      } else if (error.message.includes('insufficient funds')) {
+        errorMessage = 'Insufficient funds';
+        statusCode = 402;
+      } else if (error.message.includes('IPFS')) {
+        errorMessage = error.message;
+        statusCode = 503;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: errorMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }));
+
+  // Salt in the indexed QR payload of a certificate, null if it has none, undefined if the index never saw its QR
+  function indexedRecipientSalt(certificateHash) {
+    const row = db && db.prepare('SELECT qr_payload FROM certificates WHERE certificate_hash = ?').get(stripHexPrefix(certificateHash));
+    if (!row || !row.qr_payload) return undefined;
+    return JSON.parse(row.qr_payload).recipientSalt || null;
+  }
+
+  const supersedeUpload = upload.fields([
+    { name: 'certificate', maxCount: 1 },
+    { name: 'oldCertificate', maxCount: 1 }
+  ]);
+
+  router.post('/api/supersede-certificate', requireApiKey, requireDialect('registry'), supersedeUpload, requireKnownNetwork, idempotent, asyncJob('supersede', async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const newFile = req.files?.certificate?.[0];
+      const oldFile = req.files?.oldCertificate?.[0];
+      if (!newFile) {
+        return res.status(400).json({
+          success: false,
+          message: 'No replacement PDF file uploaded'
+        });
+      }
+      if (!oldFile && !/^(0x)?[0-9a-fA-F]{64}$/.test(req.body.oldHash || '')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide the certificate being replaced as oldCertificate PDF or oldHash'
+        });
+      }
+
+      console.log('\n🔁 Superseding certificate...');
+      console.log('📄 New file:', newFile.originalname);
+
+      const oldHash = oldFile ? generatePDFHash(oldFile.buffer) : req.body.oldHash.replace(/^0x/, '');
+      const oldBytes32Hash = hexToBytes32(oldHash);
+      const newHash = generatePDFHash(newFile.buffer);
+      const newBytes32Hash = hexToBytes32(newHash);
+
+      if (oldHash === newHash) {
+        return res.status(400).json({
+          success: false,
+          message: 'Replacement is identical to the original certificate'
+        });
+      }
+
+      // The replacement is anchored on the network that holds the original
+      const { cert: oldCert, network } = await findCertificate(
+        oldBytes32Hash, null, req.body.network ? resolveNetwork(req.body.network) : null
+      );
+      const { wallet } = network;
+
+      const walletIssuer = await getIssuerInfo(wallet.address, network);
+      if (walletIssuer.issuerStatus !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: `Issuer ${walletIssuer.issuerStatus}: wallet is not an active registered issuer`,
+          data: { issuer: wallet.address, ...walletIssuer }
+        });
+      }
+
+      if (oldCert.status !== 'valid') {
+        return res.status(oldCert.status === 'not-issued' ? 404 : 400).json({
+          success: false,
+          message: oldCert.status === 'not-issued'
+            ? 'Certificate does not exist'
+            : `Only valid certificates can be superseded (status: ${oldCert.status})`
+        });
+      }
+      if (oldCert.issuer !== wallet.address) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized: only issuer can supersede'
+        });
+      }
+
+      const { cert: newCert, network: newCertNetwork } = await findCertificate(newBytes32Hash);
+      if (newCert.status !== 'not-issued') {
+        return res.status(400).json({
+          success: false,
+          message: 'Replacement certificate already issued',
+          data: { certificateHash: newHash, network: newCertNetwork.name, status: newCert.status }
+        });
+      }
+
+      console.log('☁️  Uploading to storage...');
+      const ipfsResult = await storeFile(newFile.buffer, newFile.originalname);
+      console.log('📌 CID:', ipfsResult.ipfsHash);
+      advanceJob(req, 'pinned', { certificateHash: newHash, ipfsCID: ipfsResult.ipfsHash });
+
+      console.log('💳 Blockchain transaction...');
+      const tx = await sendContractTransaction('supersedeCertificate', [oldBytes32Hash, newBytes32Hash, ipfsResult.ipfsHash], network);
+      console.log('📝 TX:', tx.hash);
+      advanceJob(req, 'tx-sent', { transactionHash: tx.hash });
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Block:', receipt.blockNumber);
+      advanceJob(req, 'confirmed', { blockNumber: receipt.blockNumber });
+
+      // The replacement inherits the original's binding, so its QR needs the original's salt;
+      // the client only has to send it for a certificate this server never indexed
+      const { recipientBinding } = await getRecipientBinding(newBytes32Hash, network);
+      const indexedSalt = indexedRecipientSalt(oldHash);
+      const claimedSalt = indexedSalt === undefined ? req.body.recipientSalt : indexedSalt;
+      const recipientSalt = recipientBinding && /^0x[0-9a-fA-F]{64}$/.test(claimedSalt || '')
+        ? claimedSalt
+        : null;
+
+      console.log('📱 Generating QR...');
+      const qrCode = await generateQRCode(newHash, null, recipientSalt, network);
+      advanceJob(req, 'qr-ready');
+      const tokenInfo = await getTokenInfo(newBytes32Hash, network);
+
+      safeIndex('supersede', () => db.transaction(() => {
+        indexIssuedCertificate({
+          certificateHash: newHash,
+          network: network.name,
+          issuer: wallet.address,
+          ipfsCID: ipfsResult.ipfsHash,
+          storageProvider: ipfsResult.provider,
+          fileName: newFile.originalname,
+          fileSize: newFile.size,
+          pinSize: ipfsResult.pinSize,
+          pinnedAt: ipfsResult.timestamp,
+          expiresAt: oldCert.expiresAt,
+          tokenHolder: tokenInfo.tokenHolder,
+          recipientBinding,
+          qrPayload: buildQRPayload(newHash, null, recipientSalt, network),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          performedBy: wallet.address,
+          details: { supersedes: oldHash }
+        });
+        indexRevokedCertificate(oldHash, {
+          reason: 'superseded',
+          supersededBy: newHash,
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          performedBy: wallet.address
+        });
+      })());
+
+      res.json({
+        success: true,
+        message: `Certificate ${oldHash} superseded by ${newHash}`,
+        data: {
+          certificateHash: newHash,
+          bytes32Hash: newBytes32Hash,
+          network: network.name,
+          chainId: network.chainId,
+          supersedes: oldHash,
+          ipfsCID: ipfsResult.ipfsHash,
+          storageProvider: ipfsResult.provider,
+          ...storageLinks(ipfsResult.ipfsHash, ipfsResult.provider),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          issuer: wallet.address,
+          issuerName: walletIssuer.issuerName,
+          expiryDate: oldCert.expiresAt ? new Date(oldCert.expiresAt * 1000).toISOString() : null,
+          expiresAt: oldCert.expiresAt || null,
+          ...tokenInfo,
+          recipientBinding: recipientBinding,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network),
+          qrCode: qrCode
+        }
+      });
+    } catch (error) {
+      console.error('❌ Supersede error:', error);
+
+      let errorMessage = 'Failed to supersede certificate';
+      let statusCode = 500;
+
+      if (error.message.includes('already issued')) {
+        errorMessage = 'Replacement certificate already issued';
+        statusCode = 400;
+      } else if (error.message.includes('does not exist')) {
+        errorMessage = 'Certificate does not exist';
+        statusCode = 404;
+      } else if (error.message.includes('expired certificate')) {
+        errorMessage = 'Cannot supersede an expired certificate';
+        statusCode = 400;
+      } else if (error.message.includes('Not authorized')) {
+        errorMessage = 'Not authorized to supersede';
+        statusCode = 403;
+      } else if (error.message.includes('IPFS')) {
+        errorMessage = error.message;
+        statusCode = 503;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: errorMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }));
+
+  return router;
+};
@@ -0,0 +1,396 @@
+const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const { DIALECT, MAX_BATCH_SIZE, MAX_ARCHIVE_SIZE, ISSUE_BATCH_RESULT_TTL } = require('../config');
+const { storeFile } = require('../storage');
+const { buildQRPayload, generateQRCodePng } = require('../features/qr');
+const { readArchive } = require('../features/archive');
+const { requireApiKey } = require('../features/apiKeys');
+
+const MANIFEST_COLUMNS = ['filename', 'name', 'email', 'course', 'expiry'];
+
+// Handles quoted fields, escaped quotes and CRLF line endings
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+function toCSV(rows) {
+  return rows.map((row) => row.map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+function parseManifest(buffer) {
+  const rows = parseCSV(buffer.toString('utf8').replace(/^﻿/, ''));
+  if (rows.length < 2) {
+    throw new Error('Manifest must have a header row and at least one certificate');
+  }
+
+  const header = rows[0].map((column) => column.trim().toLowerCase());
+  if (!header.includes('filename')) {
+    throw new Error(`Manifest header must include filename (columns: ${MANIFEST_COLUMNS.join(', ')})`);
+  }
+  if (rows.length - 1 > MAX_BATCH_SIZE) {
+    throw new Error(`Too many rows: maximum ${MAX_BATCH_SIZE} certificates per batch`);
+  }
+
+  const seen = new Set();
+  return rows.slice(1).map((values, i) => {
+    const entry = { row: i + 2 };
+    MANIFEST_COLUMNS.forEach((column) => {
+      const index = header.indexOf(column);
+      entry[column] = index === -1 ? '' : (values[index] || '').trim();
+    });
+    if (!entry.filename) {
+      throw new Error(`Row ${entry.row}: filename is required`);
+    }
+    if (seen.has(entry.filename.toLowerCase())) {
+      throw new Error(`Row ${entry.row}: duplicate filename ${entry.filename}`);
+    }
+    seen.add(entry.filename.toLowerCase());
+    return entry;
+  });
+}
+
+const issueBatchUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isZip = file.fieldname === 'archive' && /\.zip$/i.test(file.originalname);
+    const isCsv = file.fieldname === 'manifest' && /\.csv$/i.test(file.originalname);
+    if (isZip || isCsv) {
+      cb(null, true);
+    } else {
+      cb(new Error('Upload a ZIP of PDFs as archive and a CSV as manifest'), false);
+    }
+  },
+  limits: { fileSize: MAX_ARCHIVE_SIZE }
+}).fields([
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 }
+]);
+
+// Batch issuance from a ZIP of PDFs plus a CSV manifest, one transaction per row, run in the background
+module.exports = function createIssueBatchRouter(ctx) {
+  const {
+    resolveNetwork, requireKnownNetwork, contract, requireDialect, idempotent, sendContractTransaction, safeIndex,
+    indexIssuedCertificate, generatePDFHash, hexToBytes32, parseExpiry, parseRecipientBinding,
+    findCertificate, getIssuerInfo, issueBatches
+  } = ctx;
+  const router = express.Router();
+
+  async function issueBatchRow(run, manifestRow, archiveFiles) {
+    const { network } = run;
+    const { wallet } = network;
+    const result = { row: manifestRow.row, fileName: manifestRow.filename, course: manifestRow.course || null };
+
+    const file = archiveFiles.get(manifestRow.filename.toLowerCase());
+    if (!file) {
+      throw new Error('File not found in archive');
+    }
+    const { buffer } = file;
+
+    let expiresAt;
+    try {
+      expiresAt = parseExpiry(manifestRow.expiry);
+    } catch (e) {
+      throw new Error('Invalid expiry date: must be a future date');
+    }
+    const recipientBinding = parseRecipientBinding({
+      recipientName: manifestRow.name,
+      recipientEmail: manifestRow.email
+    });
+
+    const pdfHash = generatePDFHash(buffer);
+    const bytes32Hash = hexToBytes32(pdfHash);
+    result.certificateHash = pdfHash;
+
+    const { cert: existingCert, network: existingNetwork } = await findCertificate(bytes32Hash);
+    if (existingCert.status !== 'not-issued') {
+      throw new Error(`Certificate already issued on ${existingNetwork.name} (status: ${existingCert.status})`);
+    }
+
+    const ipfsResult = await storeFile(buffer, file.fileName, manifestRow.course ? { course: manifestRow.course } : {});
+    result.ipfsCID = ipfsResult.ipfsHash;
+
+    const tx = await sendContractTransaction(...DIALECT.issueCall(bytes32Hash, ipfsResult.ipfsHash, { expiresAt, recipientBinding }), network);
+    result.transactionHash = tx.hash;
+    const receipt = await tx.wait();
+    result.blockNumber = receipt.blockNumber;
+
+    const qrPayload = buildQRPayload(pdfHash, null, recipientBinding?.salt, network);
+    const qrPng = await generateQRCodePng(qrPayload);
+    if (qrPng) {
+      result.qrFile = `qr/${file.fileName.replace(/\.pdf$/i, '')}.png`;
+      run.qrCodes.set(result.qrFile, qrPng);
+    }
+
+    safeIndex('issue-batch-row', () => indexIssuedCertificate({
+      certificateHash: pdfHash,
+      network: network.name,
+      issuer: wallet.address,
+      ipfsCID: ipfsResult.ipfsHash,
+      storageProvider: ipfsResult.provider,
+      fileName: file.fileName,
+      fileSize: buffer.length,
+      pinSize: ipfsResult.pinSize,
+      pinnedAt: ipfsResult.timestamp,
+      expiresAt,
+      recipientBinding: recipientBinding?.binding,
+      qrPayload,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      performedBy: wallet.address,
+      details: { batchId: run.batchId, course: manifestRow.course || undefined }
+    }));
+
+    return {
+      ...result,
+      expiryDate: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+      recipientBinding: recipientBinding?.binding || null,
+      recipientSalt: recipientBinding?.salt || null
+    };
+  }
+
+  async function processIssueBatch(run, manifest, archiveFiles) {
+    for (const manifestRow of manifest) {
+      try {
+        const result = await issueBatchRow(run, manifestRow, archiveFiles);
+        run.results.push({ ...result, status: 'issued' });
+        run.succeeded++;
+        console.log(`✅ [${run.processed + 1}/${run.total}]`, manifestRow.filename);
+      } catch (error) {
+        console.error(`❌ [${run.processed + 1}/${run.total}]`, manifestRow.filename, error.message);
+        run.results.push({
+          row: manifestRow.row,
+          fileName: manifestRow.filename,
+          status: 'failed',
+          error: error.message.includes('insufficient funds') ? 'Insufficient funds' : error.message
+        });
+        run.failed++;
+      }
+      run.processed++;
+    }
+
+    const resultColumns = [
+      'row', 'fileName', 'status', 'certificateHash', 'ipfsCID', 'transactionHash', 'blockNumber',
+      'expiryDate', 'course', 'recipientBinding', 'recipientSalt', 'qrFile', 'error'
+    ];
+    const zip = new AdmZip();
+    zip.addFile('results.csv', Buffer.from(toCSV([
+      resultColumns,
+      ...run.results.map((result) => resultColumns.map((column) => result[column]))
+    ])));
+    for (const [name, png] of run.qrCodes) {
+      zip.addFile(name, png);
+    }
+    run.archive = zip.toBuffer();
+    run.qrCodes.clear();
+
+    run.status = 'completed';
+    run.completedAt = new Date().toISOString();
+    console.log(`📦 Batch ${run.batchId} done: ${run.succeeded} issued, ${run.failed} failed`);
+  }
+
+  function formatIssueBatchRun(run) {
+    return {
+      batchId: run.batchId,
+      status: run.status,
+      network: run.network.name,
+      issuer: run.issuer,
+      total: run.total,
+      processed: run.processed,
+      succeeded: run.succeeded,
+      failed: run.failed,
+      createdAt: run.createdAt,
+      completedAt: run.completedAt,
+      downloadUrl: run.status === 'completed' ? `/api/issue-batch/${run.batchId}/download` : null,
+      results: run.results
+    };
+  }
+
+  function issueBatchStatus(run) {
+    return {
+      success: true,
+      data: {
+        ...formatIssueBatchRun(run),
+        ...(run.error && { error: run.error })
+      }
+    };
+  }
+
+  router.post('/api/issue-batch', requireApiKey, requireDialect('registry'), issueBatchUpload, requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const archiveFile = req.files?.archive?.[0];
+      const manifestFile = req.files?.manifest?.[0];
+      if (!archiveFile || !manifestFile) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload both the archive (ZIP of PDFs) and the manifest (CSV)'
+        });
+      }
+
+      console.log('\n📦 Issuing batch from archive...');
+      console.log('🗜️  Archive:', archiveFile.originalname, archiveFile.size, 'bytes');
+      console.log('📋 Manifest:', manifestFile.originalname);
+
+      // Every row is issued on the same network: the requested one, or the primary network
+      const network = resolveNetwork(req.body.network);
+      const { wallet } = network;
+      console.log('🌐 Network:', network.name);
+
+      let manifest, archiveFiles;
+      try {
+        manifest = parseManifest(manifestFile.buffer);
+        archiveFiles = readArchive(archiveFile.buffer);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message.includes('Invalid or unsupported zip') ? 'Invalid ZIP archive' : e.message
+        });
+      }
+
+      const walletIssuer = await getIssuerInfo(wallet.address, network);
+      if (walletIssuer.issuerStatus !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: `Issuer ${walletIssuer.issuerStatus}: wallet is not an active registered issuer`,
+          data: { issuer: wallet.address, ...walletIssuer }
+        });
+      }
+
+      const now = Date.now();
+      for (const [id, pending] of issueBatches) {
+        if (pending.completedAt && new Date(pending.completedAt).getTime() + ISSUE_BATCH_RESULT_TTL * 1000 < now) {
+          issueBatches.delete(id);
+        }
+      }
+
+      const run = {
+        batchId: crypto.randomBytes(8).toString('hex'),
+        status: 'processing',
+        network,
+        issuer: wallet.address,
+        total: manifest.length,
+        processed: 0,
+        succeeded: 0,
+        failed: 0,
+        results: [],
+        qrCodes: new Map(),
+        archive: null,
+        createdAt: new Date().toISOString(),
+        completedAt: null
+      };
+      issueBatches.set(run.batchId, run);
+      console.log('🆔 Batch:', run.batchId, `(${run.total} rows)`);
+
+      processIssueBatch(run, manifest, archiveFiles).catch((error) => {
+        console.error('❌ Batch processing error:', error);
+        run.status = 'failed';
+        run.error = error.message;
+        run.completedAt = new Date().toISOString();
+      }).then(() => {
+        // Retries with the request's Idempotency-Key get the final batch status instead of the 202
+        if (req.completeIdempotentRequest) {
+          req.completeIdempotentRequest(200, issueBatchStatus(run));
+        }
+      });
+
+      res.status(202).json({
+        success: true,
+        message: `Batch of ${run.total} certificates accepted`,
+        data: {
+          ...formatIssueBatchRun(run),
+          statusUrl: `/api/issue-batch/${run.batchId}`
+        }
+      });
+    } catch (error) {
+      console.error('❌ Issue batch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start batch issuance',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Results include every recipient salt, so only the issuer may read them
+  router.get('/api/issue-batch/:batchId', requireApiKey, (req, res) => {
+    const run = issueBatches.get(req.params.batchId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    res.json(issueBatchStatus(run));
+  });
+
+  router.get('/api/issue-batch/:batchId/download', requireApiKey, (req, res) => {
+    const run = issueBatches.get(req.params.batchId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+    if (!run.archive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Batch is still processing'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="issue-batch-${run.batchId}.zip"`
+    });
+    res.send(run.archive);
+  });
+
+  return router;
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { requireAdminKey } = require('../features/apiKeys');
+
+const ISSUER_ACTIONS = {
+  suspend: { method: 'suspendIssuer', message: 'Issuer suspended successfully' },
+  activate: { method: 'activateIssuer', message: 'Issuer activated successfully' }
+};
+
+function sendIssuerAdminError(res, error, fallbackMessage) {
+  let errorMessage = fallbackMessage;
+  let statusCode = 500;
+
+  if (error.message.includes('only admin')) {
+    errorMessage = 'Not authorized: only admin can manage issuers';
+    statusCode = 403;
+  } else if (error.message.includes('Issuer not registered')) {
+    errorMessage = 'Issuer not registered';
+    statusCode = 404;
+  } else if (error.message.includes('Invalid issuer')) {
+    errorMessage = error.message.includes('name') ? 'Invalid issuer name' : 'Invalid issuer address';
+    statusCode = 400;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message: errorMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+// The issuer registry: lookups are public, changes are sent from the contract admin's wallet
+module.exports = function createIssuersRouter(ctx) {
+  const { contract, requireDialect, idempotent, sendContractTransaction, getIssuerInfo } = ctx;
+  const router = express.Router();
+
+  router.get('/api/issuers/:address', requireDialect('registry'), async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { address } = req.params;
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid issuer address'
+        });
+      }
+
+      const issuerInfo = await getIssuerInfo(address);
+      if (issuerInfo.issuerStatus === 'unregistered') {
+        return res.status(404).json({
+          success: false,
+          message: 'Issuer not registered'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          issuer: ethers.getAddress(address),
+          ...issuerInfo
+        }
+      });
+    } catch (error) {
+      console.error('❌ Issuer fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch issuer',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/issuers', requireAdminKey, requireDialect('registry'), idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { address, name, metadataURI = '' } = req.body;
+      if (!ethers.isAddress(address) || !name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Issuer address and name are required'
+        });
+      }
+
+      console.log('\n🏛  Registering issuer:', address, name);
+      const tx = await sendContractTransaction('registerIssuer', [address, name, metadataURI]);
+      console.log('📝 TX:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Registered in block:', receipt.blockNumber);
+
+      res.json({
+        success: true,
+        message: 'Issuer registered successfully',
+        data: {
+          issuer: ethers.getAddress(address),
+          ...(await getIssuerInfo(address)),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber
+        }
+      });
+    } catch (error) {
+      console.error('❌ Issuer register error:', error);
+      sendIssuerAdminError(res, error, 'Failed to register issuer');
+    }
+  });
+
+  router.post('/api/issuers/:address/:action', requireAdminKey, requireDialect('registry'), idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { address, action } = req.params;
+      const issuerAction = ISSUER_ACTIONS[action];
+      if (!issuerAction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unknown issuer action'
+        });
+      }
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid issuer address'
+        });
+      }
+
+      console.log(`\n🏛  ${action} issuer:`, address);
+      const tx = await sendContractTransaction(issuerAction.method, [address]);
+      const receipt = await tx.wait();
+      console.log('✅ Updated in block:', receipt.blockNumber);
+
+      res.json({
+        success: true,
+        message: issuerAction.message,
+        data: {
+          issuer: ethers.getAddress(address),
+          ...(await getIssuerInfo(address)),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber
+        }
+      });
+    } catch (error) {
+      console.error('❌ Issuer update error:', error);
+      sendIssuerAdminError(res, error, 'Failed to update issuer');
+    }
+  });
+
+  router.delete('/api/issuers/:address', requireAdminKey, requireDialect('registry'), idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { address } = req.params;
+      if (!ethers.isAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid issuer address'
+        });
+      }
+
+      console.log('\n🏛  Removing issuer:', address);
+      const tx = await sendContractTransaction('removeIssuer', [address]);
+      const receipt = await tx.wait();
+      console.log('✅ Removed in block:', receipt.blockNumber);
+
+      res.json({
+        success: true,
+        message: 'Issuer removed successfully',
+        data: {
+          issuer: ethers.getAddress(address),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber
+        }
+      });
+    } catch (error) {
+      console.error('❌ Issuer remove error:', error);
+      sendIssuerAdminError(res, error, 'Failed to remove issuer');
+    }
+  });
+
+  return router;
+};
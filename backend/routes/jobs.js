@@ -0,0 +1,59 @@
+const express = require('express');
+
+// Progress of queued issue/revoke jobs, polled or streamed
+module.exports = function createJobsRouter(ctx) {
+  const { getJob, formatJob, isFinished, watchJob } = ctx;
+  const router = express.Router();
+
+  router.get('/api/jobs/:jobId', (req, res) => {
+    const job = getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job)
+    });
+  });
+
+  // Server-Sent Events: one "job" event per state change, the stream ends once the job has finished
+  router.get('/api/jobs/:jobId/events', (req, res) => {
+    const job = getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (current) => {
+      res.write(`event: job\ndata: ${JSON.stringify(formatJob(current))}\n\n`);
+      if (isFinished(current)) {
+        cleanup();
+        res.end();
+      }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unwatch();
+    };
+
+    const unwatch = watchJob(job.id, send);
+    req.on('close', cleanup);
+    send(job);
+  });
+
+  return router;
+};
@@ -0,0 +1,493 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { RELAY_SIGNATURE_TTL } = require('../config');
+const { storeFile, storageLinks } = require('../storage');
+const { buildQRPayload, generateQRCode } = require('../features/qr');
+const { requireApiKey } = require('../features/apiKeys');
+
+// Must match ISSUE_TYPEHASH / REVOKE_TYPEHASH in the contract
+const EIP712_TYPES = {
+  IssueCertificate: [
+    { name: 'certHash', type: 'bytes32' },
+    { name: 'ipfsCID', type: 'string' },
+    { name: 'expiresAt', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  RevokeCertificate: [
+    { name: 'certHash', type: 'bytes32' },
+    { name: 'reason', type: 'uint8' },
+    { name: 'note', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Meta-transactions: the issuer signs EIP-712 typed data and the server's wallet submits it, paying the gas
+module.exports = function createRelayRouter(ctx) {
+  const {
+    resolveNetwork, requireKnownNetwork, contract, upload, requireDialect, idempotent,
+    sendContractTransaction, describeFinality, safeIndex, indexIssuedCertificate, indexRevokedCertificate,
+    generatePDFHash, hexToBytes32, parseExpiry, parseRevocation, findCertificate,
+    getIssuerInfo, getRevocationInfo, storageProviderFor, recordStoredFile, REVOCABLE_STATUSES, REVOCATION_REASONS
+  } = ctx;
+  const router = express.Router();
+
+  // Signatures are bound to one chain and contract, so a signature for one network cannot be replayed on another
+  function getEIP712Domain(network) {
+    return {
+      name: 'CertificateVerification',
+      version: '1',
+      chainId: network.chainId,
+      verifyingContract: network.contractAddress
+    };
+  }
+
+  // Typed data for the issuer to sign with eth_signTypedData_v4; numbers are strings so it survives JSON
+  async function buildTypedData(network, primaryType, issuer, fields) {
+    const nonce = await network.contract.nonces(issuer);
+    return {
+      domain: getEIP712Domain(network),
+      types: { [primaryType]: EIP712_TYPES[primaryType] },
+      primaryType,
+      message: {
+        ...fields,
+        nonce: nonce.toString(),
+        deadline: String(Math.floor(Date.now() / 1000) + RELAY_SIGNATURE_TTL)
+      }
+    };
+  }
+
+  // Returns the first signed field whose shape the contract would not accept, or null
+  function findInvalidField(primaryType, message) {
+    for (const { name, type } of EIP712_TYPES[primaryType]) {
+      const value = message[name];
+      const valid = type === 'bytes32' ? /^0x[0-9a-fA-F]{64}$/.test(value)
+        : type === 'string' ? typeof value === 'string'
+        : /^\d{1,78}$/.test(typeof value === 'number' ? String(value) : value);
+      if (!valid) return name;
+    }
+    if (primaryType === 'RevokeCertificate' && !REVOCATION_REASONS[Number(message.reason)]) {
+      return 'reason';
+    }
+    return null;
+  }
+
+  // Returns an error message for an unusable signed message, or null if the relayer can submit it
+  async function checkRelaySignature(network, primaryType, issuer, message, signature) {
+    if (!message || typeof message !== 'object' || typeof signature !== 'string') {
+      return 'Signed message and signature are required';
+    }
+
+    const invalidField = findInvalidField(primaryType, message);
+    if (invalidField) {
+      return `Invalid signed message: malformed ${invalidField}`;
+    }
+
+    let signer;
+    try {
+      const domain = getEIP712Domain(network);
+      signer = ethers.verifyTypedData(domain, { [primaryType]: EIP712_TYPES[primaryType] }, message, signature);
+    } catch (e) {
+      return 'Invalid signature';
+    }
+    if (signer !== ethers.getAddress(issuer)) {
+      return 'Invalid signature: signer does not match issuer';
+    }
+    if (Number(message.deadline) < Math.floor(Date.now() / 1000)) {
+      return 'Signature expired';
+    }
+    if (BigInt(message.nonce) !== await network.contract.nonces(issuer)) {
+      return 'Signature nonce already used';
+    }
+    return null;
+  }
+
+  router.post('/api/relay/issue-certificate/prepare', requireApiKey, requireDialect('registry'), upload.single('certificate'), requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF file uploaded'
+        });
+      }
+
+      const { issuer } = req.body;
+      if (!ethers.isAddress(issuer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid issuer address'
+        });
+      }
+
+      const network = resolveNetwork(req.body.network);
+
+      console.log('\n✍️  Preparing signed issuance...');
+      console.log('📄 File:', req.file.originalname);
+      console.log('🏛  Issuer:', issuer);
+      console.log('🌐 Network:', network.name);
+
+      const issuerInfo = await getIssuerInfo(issuer, network);
+      if (issuerInfo.issuerStatus !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: `Issuer ${issuerInfo.issuerStatus}: not an active registered issuer`,
+          data: { issuer: ethers.getAddress(issuer), ...issuerInfo }
+        });
+      }
+
+      let expiresAt;
+      try {
+        expiresAt = parseExpiry(req.body.expiresAt);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid expiry date: must be a future date'
+        });
+      }
+
+      const pdfHash = generatePDFHash(req.file.buffer);
+      const bytes32Hash = hexToBytes32(pdfHash);
+
+      const { cert: existingCert, network: existingNetwork } = await findCertificate(bytes32Hash);
+      if (existingCert.status !== 'not-issued') {
+        return res.status(400).json({
+          success: false,
+          message: 'Certificate already issued',
+          data: { certificateHash: pdfHash, network: existingNetwork.name, status: existingCert.status }
+        });
+      }
+
+      console.log('☁️  Uploading to storage...');
+      const ipfsResult = await storeFile(req.file.buffer, req.file.originalname);
+      console.log('📌 CID:', ipfsResult.ipfsHash);
+      // The submit step indexes the certificate with the provider that holds its file
+      safeIndex('relay-prepare', () => recordStoredFile(ipfsResult.ipfsHash, ipfsResult.provider));
+
+      const typedData = await buildTypedData(network, 'IssueCertificate', issuer, {
+        certHash: bytes32Hash,
+        ipfsCID: ipfsResult.ipfsHash,
+        expiresAt: String(expiresAt)
+      });
+
+      res.json({
+        success: true,
+        message: 'Sign typedData with the issuer key and submit it to /api/relay/issue-certificate',
+        data: {
+          certificateHash: pdfHash,
+          bytes32Hash: bytes32Hash,
+          ipfsCID: ipfsResult.ipfsHash,
+          storageProvider: ipfsResult.provider,
+          ...storageLinks(ipfsResult.ipfsHash, ipfsResult.provider),
+          network: network.name,
+          issuer: ethers.getAddress(issuer),
+          typedData: typedData
+        }
+      });
+    } catch (error) {
+      console.error('❌ Relay prepare error:', error);
+      res.status(error.message.includes('IPFS') ? 503 : 500).json({
+        success: false,
+        message: error.message.includes('IPFS') ? error.message : 'Failed to prepare signed issuance',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/relay/issue-certificate', requireApiKey, requireDialect('registry'), requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { issuer, message, signature } = req.body;
+      if (!ethers.isAddress(issuer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid issuer address'
+        });
+      }
+
+      // Submit to the network named in the prepare response; the signed domain pins the chain anyway
+      const network = resolveNetwork(req.body.network);
+      const { wallet } = network;
+
+      console.log('\n📨 Relaying signed issuance...');
+      console.log('🏛  Issuer:', issuer);
+      console.log('🌐 Network:', network.name);
+
+      const signatureError = await checkRelaySignature(network, 'IssueCertificate', issuer, message, signature);
+      if (signatureError) {
+        return res.status(signatureError.startsWith('Invalid signature') ? 401 : 400).json({
+          success: false,
+          message: signatureError
+        });
+      }
+
+      console.log('💳 Blockchain transaction...');
+      const tx = await sendContractTransaction('issueCertificateBySig', [
+        issuer,
+        message.certHash,
+        message.ipfsCID,
+        message.expiresAt,
+        message.deadline,
+        signature
+      ], network);
+      console.log('📝 TX:', tx.hash);
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Block:', receipt.blockNumber);
+
+      const certificateHash = message.certHash.replace(/^0x/, '');
+      const expiresAt = Number(message.expiresAt);
+      const storageProvider = storageProviderFor(message.ipfsCID);
+
+      console.log('📱 Generating QR...');
+      const qrCode = await generateQRCode(certificateHash, null, null, network);
+
+      // The signer performed the issuance; the relayer only paid for gas
+      safeIndex('relay-issue', () => indexIssuedCertificate({
+        certificateHash,
+        network: network.name,
+        issuer: ethers.getAddress(issuer),
+        ipfsCID: message.ipfsCID,
+        storageProvider,
+        expiresAt,
+        qrPayload: buildQRPayload(certificateHash, null, null, network),
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        performedBy: ethers.getAddress(issuer),
+        details: { relayer: wallet.address }
+      }));
+
+      res.json({
+        success: true,
+        message: 'Certificate issued successfully',
+        data: {
+          certificateHash: certificateHash,
+          bytes32Hash: message.certHash,
+          ipfsCID: message.ipfsCID,
+          storageProvider,
+          ...storageLinks(message.ipfsCID, storageProvider),
+          network: network.name,
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          issuer: ethers.getAddress(issuer),
+          issuerName: (await getIssuerInfo(issuer, network)).issuerName,
+          relayer: wallet.address,
+          expiryDate: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+          expiresAt: expiresAt || null,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network),
+          qrCode: qrCode
+        }
+      });
+    } catch (error) {
+      console.error('❌ Relay issue error:', error);
+      sendRelayError(res, error, 'Failed to relay certificate issuance');
+    }
+  });
+
+  router.post('/api/relay/revoke-certificate/prepare', requireApiKey, requireDialect('registry'), requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { certificateHash, issuer } = req.body;
+      if (!/^(0x)?[0-9a-fA-F]{64}$/.test(certificateHash || '')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid hash format'
+        });
+      }
+      if (!ethers.isAddress(issuer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid issuer address'
+        });
+      }
+
+      let revocation;
+      try {
+        revocation = parseRevocation(req.body);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      const bytes32Hash = hexToBytes32(certificateHash);
+      console.log('\n✍️  Preparing signed revocation:', bytes32Hash);
+
+      const { cert: existingCert, network } = await findCertificate(
+        bytes32Hash, null, req.body.network ? resolveNetwork(req.body.network) : null
+      );
+      if (!REVOCABLE_STATUSES.includes(existingCert.status)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificate does not exist'
+        });
+      }
+      if (existingCert.issuer !== ethers.getAddress(issuer)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized: only issuer can revoke'
+        });
+      }
+
+      const typedData = await buildTypedData(network, 'RevokeCertificate', issuer, {
+        certHash: bytes32Hash,
+        reason: revocation.reasonCode,
+        note: revocation.note
+      });
+
+      res.json({
+        success: true,
+        message: 'Sign typedData with the issuer key and submit it to /api/relay/revoke-certificate',
+        data: {
+          certificateHash: bytes32Hash.replace(/^0x/, ''),
+          bytes32Hash: bytes32Hash,
+          network: network.name,
+          issuer: ethers.getAddress(issuer),
+          typedData: typedData
+        }
+      });
+    } catch (error) {
+      console.error('❌ Relay prepare error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to prepare signed revocation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/relay/revoke-certificate', requireApiKey, requireDialect('registry'), requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { issuer, message, signature } = req.body;
+      if (!ethers.isAddress(issuer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid issuer address'
+        });
+      }
+
+      const network = resolveNetwork(req.body.network);
+      const { wallet } = network;
+
+      console.log('\n📨 Relaying signed revocation...');
+      console.log('🏛  Issuer:', issuer);
+      console.log('🌐 Network:', network.name);
+
+      const signatureError = await checkRelaySignature(network, 'RevokeCertificate', issuer, message, signature);
+      if (signatureError) {
+        return res.status(signatureError.startsWith('Invalid signature') ? 401 : 400).json({
+          success: false,
+          message: signatureError
+        });
+      }
+
+      console.log('💳 Revoking...', REVOCATION_REASONS[Number(message.reason)]);
+      const tx = await sendContractTransaction('revokeCertificateBySig', [
+        issuer,
+        message.certHash,
+        message.reason,
+        message.note,
+        message.deadline,
+        signature
+      ], network);
+      console.log('📝 TX:', tx.hash);
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Revoked in block:', receipt.blockNumber);
+
+      safeIndex('relay-revoke', () => indexRevokedCertificate(message.certHash, {
+        reason: REVOCATION_REASONS[Number(message.reason)],
+        note: message.note,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        performedBy: ethers.getAddress(issuer),
+        details: { relayer: wallet.address }
+      }));
+
+      res.json({
+        success: true,
+        message: 'Certificate revoked successfully',
+        data: {
+          certificateHash: message.certHash.replace(/^0x/, ''),
+          bytes32Hash: message.certHash,
+          network: network.name,
+          ...(await getRevocationInfo(message.certHash, network)),
+          issuer: ethers.getAddress(issuer),
+          relayer: wallet.address,
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Relay revoke error:', error);
+      sendRelayError(res, error, 'Failed to relay certificate revocation');
+    }
+  });
+
+  function sendRelayError(res, error, fallbackMessage) {
+    let errorMessage = fallbackMessage;
+    let statusCode = 500;
+
+    if (error.message.includes('Invalid signature')) {
+      errorMessage = 'Invalid signature';
+      statusCode = 401;
+    } else if (error.message.includes('Signature expired')) {
+      errorMessage = 'Signature expired';
+      statusCode = 400;
+    } else if (error.message.includes('already issued')) {
+      errorMessage = 'Certificate already issued';
+      statusCode = 400;
+    } else if (error.message.includes('does not exist')) {
+      errorMessage = 'Certificate does not exist';
+      statusCode = 404;
+    } else if (error.message.includes('Not authorized')) {
+      errorMessage = error.message.includes('suspended')
+        ? 'Not authorized: issuer not registered or suspended'
+        : 'Not authorized: only issuer can revoke';
+      statusCode = 403;
+    } else if (error.message.includes('insufficient funds')) {
+      errorMessage = 'Insufficient funds';
+      statusCode = 402;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: errorMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  return router;
+};
@@ -0,0 +1,520 @@
+const express = require('express');
+const { DIALECT, MAX_BULK_REVOKE } = require('../config');
+const { requireApiKey } = require('../features/apiKeys');
+
+// Revocation, bulk revocation and temporary suspension
+module.exports = function createRevokeRouter(ctx) {
+  const {
+    contract, db, upload, requireDialect, idempotent, asyncJob, advanceJob,
+    resolveNetwork, networkFromQR, unknownQRNetwork, requireKnownNetwork,
+    sendContractTransaction, describeFinality, safeIndex, indexRevokedCertificate, indexSuspensionChange,
+    generatePDFHash, hexToBytes32, stripHexPrefix, parseQRPayload, parseRevocation, parseSuspensionNote,
+    findCertificate, lookupCertificate, getRevocationInfo, getSuspensionHistory, REVOCABLE_STATUSES
+  } = ctx;
+  const router = express.Router();
+
+  router.post('/api/revoke-certificate', requireApiKey, requireDialect('revocable'), upload.single('certificate'), requireKnownNetwork, idempotent, asyncJob('revoke', async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF file uploaded'
+        });
+      }
+
+      console.log('\n🚫 Revoking certificate...');
+      console.log('📄 File:', req.file.originalname);
+
+      let revocation;
+      try {
+        revocation = parseRevocation(req.body);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      const pdfHash = generatePDFHash(req.file.buffer);
+      const bytes32Hash = hexToBytes32(pdfHash);
+
+      const { cert: existingCert, network } = await findCertificate(
+        bytes32Hash, null, req.body.network ? resolveNetwork(req.body.network) : null
+      );
+      if (!REVOCABLE_STATUSES.includes(existingCert.status)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificate does not exist'
+        });
+      }
+      const { wallet } = network;
+
+      console.log('💳 Revoking on', network.name, '...', revocation.reason);
+      const tx = await sendContractTransaction(...DIALECT.revokeCall(bytes32Hash, revocation), network);
+      console.log('📝 TX:', tx.hash);
+      advanceJob(req, 'tx-sent', { transactionHash: tx.hash });
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Revoked in block:', receipt.blockNumber);
+      advanceJob(req, 'confirmed', { blockNumber: receipt.blockNumber });
+
+      safeIndex('revoke', () => indexRevokedCertificate(pdfHash, {
+        reason: revocation.reason,
+        note: revocation.note,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        performedBy: wallet.address
+      }));
+
+      res.json({
+        success: true,
+        message: 'Certificate revoked successfully',
+        data: {
+          certificateHash: pdfHash,
+          bytes32Hash: bytes32Hash,
+          network: network.name,
+          ...(await getRevocationInfo(bytes32Hash, network)),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Revoke error:', error);
+
+      let errorMessage = 'Failed to revoke certificate';
+      let statusCode = 500;
+
+      if (error.message.includes('does not exist')) {
+        errorMessage = 'Certificate does not exist';
+        statusCode = 404;
+      } else if (error.message.includes('Not authorized')) {
+        errorMessage = 'Not authorized to revoke';
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: errorMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }));
+
+  router.post('/api/revoke-qr', requireApiKey, requireDialect('revocable'), idempotent, asyncJob('revoke', async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { qrData } = req.body;
+      if (!qrData) {
+        return res.status(400).json({
+          success: false,
+          message: 'No QR data provided'
+        });
+      }
+
+      let revocation;
+      try {
+        revocation = parseRevocation(req.body);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      console.log('\n🚫 Revoking via QR...');
+
+      let payload;
+      try {
+        payload = parseQRPayload(qrData);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid QR code format'
+        });
+      }
+      const { certificateHash, batchProof } = payload;
+
+      if (batchProof) {
+        return res.status(400).json({
+          success: false,
+          message: 'Batch certificates can only be revoked as a whole batch',
+          data: { merkleRoot: batchProof.merkleRoot }
+        });
+      }
+
+      const qrNetwork = networkFromQR(payload);
+      if (payload.network && !qrNetwork) {
+        return res.status(400).json(unknownQRNetwork(payload));
+      }
+
+      console.log('📱 Hash from QR:', certificateHash);
+      const bytes32Hash = hexToBytes32(certificateHash);
+
+      const { cert: existingCert, network } = await findCertificate(bytes32Hash, null, qrNetwork);
+      if (!REVOCABLE_STATUSES.includes(existingCert.status)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificate does not exist'
+        });
+      }
+      const { wallet } = network;
+
+      console.log('💳 Revoking on', network.name, '...', revocation.reason);
+      const tx = await sendContractTransaction(...DIALECT.revokeCall(bytes32Hash, revocation), network);
+      console.log('📝 TX:', tx.hash);
+      advanceJob(req, 'tx-sent', { transactionHash: tx.hash });
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Revoked in block:', receipt.blockNumber);
+      advanceJob(req, 'confirmed', { blockNumber: receipt.blockNumber });
+
+      safeIndex('revoke', () => indexRevokedCertificate(certificateHash, {
+        reason: revocation.reason,
+        note: revocation.note,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        performedBy: wallet.address,
+        details: { method: 'qr' }
+      }));
+
+      res.json({
+        success: true,
+        message: 'Certificate revoked successfully',
+        data: {
+          certificateHash: certificateHash,
+          bytes32Hash: bytes32Hash,
+          network: network.name,
+          ...(await getRevocationInfo(bytes32Hash, network)),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network),
+          revocationMethod: 'QR Code'
+        }
+      });
+    } catch (error) {
+      console.error('❌ QR revoke error:', error);
+
+      let errorMessage = 'Failed to revoke certificate';
+      let statusCode = 500;
+
+      if (error.message.includes('does not exist')) {
+        errorMessage = 'Certificate does not exist';
+        statusCode = 404;
+      } else if (error.message.includes('Not authorized')) {
+        errorMessage = 'Not authorized to revoke';
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: errorMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }));
+
+  // Revokes certificates one transaction at a time so one failure doesn't stop the rest
+  router.post('/api/revoke-bulk', requireApiKey, requireDialect('revocable'), requireKnownNetwork, idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { certificateHashes } = req.body;
+      if (!Array.isArray(certificateHashes) || certificateHashes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'certificateHashes must be a non-empty array'
+        });
+      }
+      if (certificateHashes.length > MAX_BULK_REVOKE) {
+        return res.status(400).json({
+          success: false,
+          message: `Too many certificates: maximum ${MAX_BULK_REVOKE} per request`
+        });
+      }
+      if (!certificateHashes.every((hash) => /^(0x)?[0-9a-fA-F]{64}$/.test(hash))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid hash format'
+        });
+      }
+
+      let revocation;
+      try {
+        revocation = parseRevocation(req.body);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      const hashes = [...new Set(certificateHashes.map(stripHexPrefix))];
+      console.log('\n🚫 Bulk revoking', hashes.length, 'certificates...', revocation.reason);
+
+      const onlyNetwork = req.body.network ? resolveNetwork(req.body.network) : null;
+      const results = [];
+      for (const certificateHash of hashes) {
+        const bytes32Hash = hexToBytes32(certificateHash);
+        try {
+          const { cert: existingCert, network } = await findCertificate(bytes32Hash, null, onlyNetwork);
+          const { wallet } = network;
+          if (!REVOCABLE_STATUSES.includes(existingCert.status)) {
+            const indexed = db && db.prepare('SELECT merkle_root FROM certificates WHERE certificate_hash = ?').get(certificateHash);
+            results.push({
+              certificateHash,
+              success: false,
+              message: indexed?.merkle_root
+                ? 'Batch certificates can only be revoked as a whole batch'
+                : existingCert.status === 'revoked' ? 'Certificate already revoked' : 'Certificate does not exist'
+            });
+            continue;
+          }
+          if (existingCert.issuer !== wallet.address) {
+            results.push({ certificateHash, success: false, message: 'Not authorized to revoke' });
+            continue;
+          }
+
+          const tx = await sendContractTransaction(...DIALECT.revokeCall(bytes32Hash, revocation), network);
+          const receipt = await tx.wait();
+          console.log('✅ Revoked', certificateHash.slice(0, 10), 'in block:', receipt.blockNumber);
+
+          safeIndex('revoke-bulk', () => indexRevokedCertificate(certificateHash, {
+            reason: revocation.reason,
+            note: revocation.note,
+            transactionHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            performedBy: wallet.address,
+            details: { method: 'bulk' }
+          }));
+
+          results.push({
+            certificateHash,
+            success: true,
+            network: network.name,
+            transactionHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            finality: await describeFinality(receipt, network)
+          });
+        } catch (error) {
+          console.error('❌ Bulk revoke error:', certificateHash, error.message);
+          results.push({
+            certificateHash,
+            success: false,
+            message: error.message.includes('Not authorized') ? 'Not authorized to revoke' : 'Failed to revoke certificate',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+          });
+        }
+      }
+
+      const revoked = results.filter((result) => result.success).length;
+      res.status(revoked > 0 ? 200 : 400).json({
+        success: revoked > 0,
+        message: `Revoked ${revoked} of ${hashes.length} certificates`,
+        data: {
+          revocationReason: revocation.reason,
+          revocationNote: revocation.note || null,
+          revoked,
+          failed: hashes.length - revoked,
+          results
+        }
+      });
+    } catch (error) {
+      console.error('❌ Bulk revoke error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke certificates',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  const SUSPENSION_ACTIONS = {
+    suspend: {
+      method: 'suspendCertificate',
+      fromStatuses: ['valid', 'expired'],
+      message: 'Certificate suspended successfully'
+    },
+    reinstate: {
+      method: 'reinstateCertificate',
+      fromStatuses: ['suspended'],
+      message: 'Certificate reinstated successfully'
+    }
+  };
+
+  // Accepts either a certificate PDF (multipart) or qrData (JSON), like the revoke routes
+  async function handleSuspensionAction(action, req, res) {
+    const suspensionAction = SUSPENSION_ACTIONS[action];
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      if (!req.file && !req.body.qrData) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF file or QR data provided'
+        });
+      }
+
+      let note;
+      try {
+        note = parseSuspensionNote(req.body);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: e.message
+        });
+      }
+
+      console.log(`\n⏸️  ${action} certificate...`);
+
+      let certificateHash;
+      let onlyNetwork = req.body.network ? resolveNetwork(req.body.network) : null;
+      if (req.file) {
+        console.log('📄 File:', req.file.originalname);
+        certificateHash = generatePDFHash(req.file.buffer);
+      } else {
+        let payload;
+        try {
+          payload = parseQRPayload(req.body.qrData);
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid QR code format'
+          });
+        }
+
+        ({ certificateHash } = payload);
+
+        if (payload.batchProof) {
+          return res.status(400).json({
+            success: false,
+            message: 'Batch certificates cannot be suspended individually',
+            data: { merkleRoot: payload.batchProof.merkleRoot }
+          });
+        }
+        if (payload.network) {
+          onlyNetwork = networkFromQR(payload);
+          if (!onlyNetwork) {
+            return res.status(400).json(unknownQRNetwork(payload));
+          }
+        }
+        console.log('📱 Hash from QR:', certificateHash);
+      }
+      const bytes32Hash = hexToBytes32(certificateHash);
+
+      const { cert: existingCert, network } = await findCertificate(bytes32Hash, null, onlyNetwork);
+      if (existingCert.status === 'not-issued' || existingCert.status === 'revoked') {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificate does not exist'
+        });
+      }
+      if (!suspensionAction.fromStatuses.includes(existingCert.status)) {
+        return res.status(400).json({
+          success: false,
+          message: existingCert.status === 'suspended'
+            ? 'Certificate already suspended'
+            : 'Certificate is not suspended',
+          data: { certificateHash, status: existingCert.status }
+        });
+      }
+
+      console.log('💳 Updating...');
+      const tx = await sendContractTransaction(suspensionAction.method, [bytes32Hash, note], network);
+      console.log('📝 TX:', tx.hash);
+
+      console.log('⏳ Confirming...');
+      const receipt = await tx.wait();
+      console.log('✅ Updated in block:', receipt.blockNumber);
+
+      const updatedCert = await lookupCertificate(bytes32Hash, null, network);
+
+      safeIndex(action, () => indexSuspensionChange(certificateHash, action, {
+        note,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        performedBy: network.wallet.address
+      }));
+
+      res.json({
+        success: true,
+        message: suspensionAction.message,
+        data: {
+          certificateHash: certificateHash,
+          bytes32Hash: bytes32Hash,
+          network: network.name,
+          status: updatedCert.status,
+          suspensionHistory: await getSuspensionHistory(bytes32Hash, network),
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          finality: await describeFinality(receipt, network),
+          ...(!req.file && { method: 'QR Code' })
+        }
+      });
+    } catch (error) {
+      console.error(`❌ ${action} error:`, error);
+
+      let errorMessage = `Failed to ${action} certificate`;
+      let statusCode = 500;
+
+      if (error.message.includes('does not exist')) {
+        errorMessage = 'Certificate does not exist';
+        statusCode = 404;
+      } else if (error.message.includes('Not authorized')) {
+        errorMessage = `Not authorized to ${action}`;
+        statusCode = 403;
+      } else if (error.message.includes('already suspended')) {
+        errorMessage = 'Certificate already suspended';
+        statusCode = 400;
+      } else if (error.message.includes('not suspended')) {
+        errorMessage = 'Certificate is not suspended';
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: errorMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  router.post('/api/suspend-certificate', requireApiKey, requireDialect('registry'), upload.single('certificate'), requireKnownNetwork, idempotent, (req, res) =>
+    handleSuspensionAction('suspend', req, res)
+  );
+
+  router.post('/api/reinstate-certificate', requireApiKey, requireDialect('registry'), upload.single('certificate'), requireKnownNetwork, idempotent, (req, res) =>
+    handleSuspensionAction('reinstate', req, res)
+  );
+
+  return router;
+};
@@ -0,0 +1,241 @@
+const express = require('express');
+const { INDEXER_ENABLED, INDEXER_POLL_INTERVAL } = require('../config');
+
+// Indexer progress, finality of sent transactions and the transaction manager's queue
+module.exports = function createSyncRouter(ctx) {
+  const {
+    networks, primaryNetwork, resolveNetwork, db, requireDialect, indexers, describeFinality,
+    formatManagedTransaction, pendingTransactionCount, formatIndexedCertificate
+  } = ctx;
+  const { wallet, contract } = primaryNetwork || {};
+  const router = express.Router();
+
+  // Progress of one network's indexer; an unreachable network is reported instead of failing the request
+  async function indexerProgress(indexer) {
+    const { network, status } = indexer;
+    try {
+      const chainHead = await network.provider.getBlockNumber();
+      const startBlock = indexer.getState('start_block');
+      const lastBlock = indexer.getState('last_block');
+      const lag = lastBlock === null ? null : Math.max(chainHead - Number(lastBlock), 0);
+      const onNetwork = 'COALESCE(network, ?) = ?';
+      const params = [primaryNetwork.name, network.name];
+
+      return {
+        network: network.name,
+        chainId: network.chainId,
+        reachable: true,
+        running: status.running,
+        synced: lag === 0,
+        contract: network.contractAddress,
+        startBlock: startBlock === null ? null : Number(startBlock),
+        lastIndexedBlock: lastBlock === null ? null : Number(lastBlock),
+        chainHead,
+        lag,
+        lastSyncedAt: status.lastSyncedAt,
+        lastError: status.lastError,
+        eventsIndexed: db.prepare('SELECT COUNT(*) AS count FROM chain_events WHERE network = ?').get(network.name).count,
+        certificatesIndexed: db.prepare(`SELECT COUNT(*) AS count FROM certificates WHERE status != 'not-issued' AND ${onNetwork}`).get(...params).count,
+        reorgs: status.reorgs,
+        lastReorgAt: status.lastReorgAt,
+        confirmationDepth: network.confirmationDepth,
+        pendingFinality: db.prepare(`SELECT COUNT(*) AS count FROM certificates WHERE finality = 'pending' AND ${onNetwork}`).get(...params).count,
+        reorgedIssuances: db.prepare(`SELECT COUNT(*) AS count FROM certificates WHERE finality = 'reorged' AND ${onNetwork}`).get(...params).count
+      };
+    } catch (error) {
+      return {
+        network: network.name,
+        chainId: network.chainId,
+        reachable: false,
+        running: status.running,
+        lastError: status.lastError,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      };
+    }
+  }
+
+  router.get('/api/sync-status', requireDialect('registry'), async (req, res) => {
+    try {
+      if (!db || !contract) {
+        return res.status(503).json({
+          success: false,
+          message: !db ? 'Database not initialized' : 'Blockchain not initialized'
+        });
+      }
+
+      // The top-level fields describe the primary network, as they did before there was more than one
+      const progress = await Promise.all(indexers.map(indexerProgress));
+      const [primary] = progress;
+      if (!primary.reachable) {
+        throw new Error(primary.error || `Network ${primary.network} is unreachable`);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          enabled: INDEXER_ENABLED,
+          ...primary,
+          pollInterval: INDEXER_POLL_INTERVAL,
+          networks: progress
+        }
+      });
+    } catch (error) {
+      console.error('❌ Sync status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sync status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Re-check an issuance or revocation reported as pending finality
+  router.get('/api/finality/:transactionHash', async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { transactionHash } = req.params;
+      if (!/^0x[0-9a-fA-F]{64}$/.test(transactionHash)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transaction hash'
+        });
+      }
+
+      const requested = resolveNetwork(req.query.network);
+      if (!requested) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown network: ${req.query.network}`
+        });
+      }
+
+      // Without ?network= every network is asked; a transaction hash belongs to one chain
+      const candidates = req.query.network ? [requested] : networks;
+      let network = requested;
+      let receipt = null;
+      let inMempool = null;
+      for (const candidate of candidates) {
+        receipt = await candidate.provider.getTransactionReceipt(transactionHash);
+        inMempool = receipt ? null : await candidate.provider.getTransaction(transactionHash);
+        if (receipt || inMempool) {
+          network = candidate;
+          break;
+        }
+      }
+
+      let finality;
+      if (receipt) {
+        finality = await describeFinality(receipt, network);
+        if (db && finality.status === 'final') {
+          db.prepare("UPDATE certificates SET finality = 'final', issued_block = ? WHERE issued_tx_hash = ? AND finality = 'pending'")
+            .run(receipt.blockNumber, transactionHash);
+        }
+      } else {
+        const reorged = db && db.prepare("SELECT 1 FROM certificate_events WHERE action = 'reorged' AND transaction_hash = ?")
+          .get(transactionHash);
+        finality = {
+          status: inMempool ? 'pending' : reorged ? 'reorged' : 'not-found',
+          confirmations: 0,
+          requiredConfirmations: network.confirmationDepth
+        };
+      }
+
+      const certificates = db
+        ? db.prepare('SELECT * FROM certificates WHERE issued_tx_hash = ? OR revoked_tx_hash = ?')
+          .all(transactionHash, transactionHash)
+          .map(formatIndexedCertificate)
+        : [];
+
+      res.json({
+        success: true,
+        data: {
+          transactionHash,
+          network: receipt || inMempool ? network.name : null,
+          blockNumber: receipt ? receipt.blockNumber : null,
+          ...finality,
+          certificates
+        }
+      });
+    } catch (error) {
+      console.error('❌ Finality error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check finality',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/transactions', (req, res) => {
+    try {
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          message: 'Database not initialized'
+        });
+      }
+
+      const { status, network } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const conditions = [];
+      const params = [];
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (network) {
+        conditions.push('COALESCE(network, ?) = ?');
+        params.push(primaryNetwork ? primaryNetwork.name : null, network);
+      }
+      const rows = db.prepare(`
+        SELECT * FROM managed_transactions
+        ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY created_at DESC, nonce DESC LIMIT ?
+      `).all(...params, limit);
+
+      res.json({
+        success: true,
+        data: {
+          wallet: wallet ? wallet.address : null,
+          nextNonce: primaryNetwork ? primaryNetwork.nextNonce : null,
+          networks: networks.map((entry) => ({
+            name: entry.name,
+            wallet: entry.wallet.address,
+            nextNonce: entry.nextNonce
+          })),
+          pending: pendingTransactionCount(),
+          transactions: rows.map((row) => formatManagedTransaction({
+            id: row.id,
+            network: row.network,
+            method: row.method,
+            nonce: row.nonce,
+            status: row.status,
+            hashes: JSON.parse(row.tx_hashes),
+            minedHash: row.mined_hash,
+            fees: JSON.parse(row.fees),
+            blockNumber: row.block_number,
+            error: row.error,
+            createdAt: row.created_at,
+            sentAt: row.sent_at,
+            updatedAt: row.updated_at
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('❌ Transactions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch transactions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  return router;
+};
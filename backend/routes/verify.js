@@ -0,0 +1,336 @@
+const express = require('express');
+const crypto = require('crypto');
+const { DIALECT, RECIPIENT_CHALLENGE_TTL } = require('../config');
+
+// PDF, QR and hash lookups plus recipient challenges
+module.exports = function createVerifyRouter(ctx) {
+  const {
+    contract, upload, requireDialect, requireKnownNetwork, resolveNetwork, networkFromQR, unknownQRNetwork, idempotent, safeIndex,
+    recordVerification, generatePDFHash, hexToBytes32, parseQRPayload, parseBatchProof, findCertificate,
+    describeCertificate, statusMessage, STATUS_MESSAGES, getRecipientBinding, checkRecipientClaim, recipientChallenges
+  } = ctx;
+
+  const router = express.Router();
+
+  router.post('/api/verify-certificate', upload.single('certificate'), requireKnownNetwork, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF file uploaded'
+        });
+      }
+
+      console.log('\n🔍 Verifying certificate...');
+      console.log('📄 File:', req.file.originalname);
+
+      let batchProof;
+      try {
+        batchProof = parseBatchProof(req.body.merkleRoot, req.body.proof);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid Merkle proof'
+        });
+      }
+
+      const pdfHash = generatePDFHash(req.file.buffer);
+      const bytes32Hash = hexToBytes32(pdfHash);
+
+      // Every configured network is searched unless the verifier names one
+      console.log('🔎 Querying blockchain...');
+      const { cert, network } = await findCertificate(
+        bytes32Hash, batchProof, req.body.network ? resolveNetwork(req.body.network) : null
+      );
+
+      console.log('📋 Result:', { network: network.name, status: cert.status, issuer: cert.issuer, issuedAt: cert.issuedAt, ipfsCID: cert.ipfsCID });
+
+      if (cert.status !== 'not-issued') {
+        const details = await describeCertificate(cert, bytes32Hash, true, network);
+        console.log(cert.isValid ? '✅ VALID' : `❌ ${details.status.toUpperCase()}`);
+        safeIndex('verify', () => recordVerification(pdfHash, 'pdf', details.status, req));
+
+        res.json({
+          success: true,
+          message: statusMessage(details),
+          data: {
+            isValid: cert.isValid,
+            certificateHash: pdfHash,
+            bytes32Hash: bytes32Hash,
+            ...details,
+            blockchainVerified: true
+          }
+        });
+      } else {
+        console.log('❌ NOT FOUND');
+        safeIndex('verify', () => recordVerification(pdfHash, 'pdf', cert.status, req));
+
+        res.json({
+          success: true,
+          message: STATUS_MESSAGES['not-issued'],
+          data: {
+            isValid: false,
+            status: cert.status,
+            certificateHash: pdfHash,
+            bytes32Hash: bytes32Hash,
+            blockchainVerified: false
+          }
+        });
+      }
+    } catch (error) {
+      console.error('❌ Verify error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify certificate',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/verify-qr', async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { qrData } = req.body;
+      if (!qrData) {
+        return res.status(400).json({
+          success: false,
+          message: 'No QR data provided'
+        });
+      }
+
+      console.log('\n🔍 Verifying via QR...');
+
+      let payload;
+      try {
+        payload = parseQRPayload(qrData);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid QR code format'
+        });
+      }
+      const { certificateHash, batchProof, recipientSalt } = payload;
+
+      // Newer QR codes name their network; older ones are looked up everywhere
+      const qrNetwork = networkFromQR(payload);
+      if (payload.network && !qrNetwork) {
+        return res.status(400).json(unknownQRNetwork(payload));
+      }
+
+      console.log('📱 Hash from QR:', certificateHash);
+      const bytes32Hash = hexToBytes32(certificateHash);
+
+      console.log('🔎 Querying blockchain...');
+      const { cert, network } = await findCertificate(bytes32Hash, batchProof, qrNetwork);
+
+      if (cert.status !== 'not-issued') {
+        const details = await describeCertificate(cert, bytes32Hash, true, network);
+        console.log(cert.isValid ? '✅ VALID' : `❌ ${details.status.toUpperCase()}`);
+        safeIndex('verify', () => recordVerification(certificateHash, 'qr', details.status, req));
+
+        // Optional holder check: { name, email } or { challengeId, signature } from /api/recipient-challenge
+        if (DIALECT.registry && req.body.recipient && !batchProof) {
+          const recipientResult = await checkRecipientClaim(bytes32Hash, recipientSalt, req.body.recipient, network);
+          console.log(recipientResult.recipientVerified ? '🪪 Recipient verified' : '🪪 Recipient not verified');
+          Object.assign(details, recipientResult);
+        }
+
+        res.json({
+          success: true,
+          message: statusMessage(details),
+          data: {
+            isValid: cert.isValid,
+            certificateHash: certificateHash,
+            bytes32Hash: bytes32Hash,
+            ...details,
+            blockchainVerified: true,
+            verificationMethod: 'QR Code'
+          }
+        });
+      } else {
+        console.log('❌ NOT FOUND');
+        safeIndex('verify', () => recordVerification(certificateHash, 'qr', cert.status, req));
+
+        res.json({
+          success: true,
+          message: STATUS_MESSAGES['not-issued'],
+          data: {
+            isValid: false,
+            status: cert.status,
+            certificateHash: certificateHash,
+            bytes32Hash: bytes32Hash,
+            blockchainVerified: false,
+            verificationMethod: 'QR Code'
+          }
+        });
+      }
+    } catch (error) {
+      console.error('❌ QR verify error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify certificate',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/recipient-challenge', requireDialect('registry'), idempotent, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      let certificateHash = req.body.certificateHash;
+      let qrNetwork = null;
+      if (req.body.qrData) {
+        let payload;
+        try {
+          payload = parseQRPayload(req.body.qrData);
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid QR code format'
+          });
+        }
+        certificateHash = payload.certificateHash;
+        qrNetwork = networkFromQR(payload);
+        if (payload.network && !qrNetwork) {
+          return res.status(400).json(unknownQRNetwork(payload));
+        }
+      }
+      if (!/^(0x)?[0-9a-fA-F]{64}$/.test(certificateHash || '')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid hash format'
+        });
+      }
+
+      const bytes32Hash = hexToBytes32(certificateHash).toLowerCase();
+      const { network } = await findCertificate(bytes32Hash, null, qrNetwork);
+      const { recipientBinding } = await getRecipientBinding(bytes32Hash, network);
+      if (recipientBinding !== 'wallet') {
+        return res.status(400).json({
+          success: false,
+          message: 'Certificate is not bound to a recipient wallet'
+        });
+      }
+
+      const now = Date.now();
+      for (const [id, pending] of recipientChallenges) {
+        if (pending.expiresAt < now) {
+          recipientChallenges.delete(id);
+        }
+      }
+
+      const challengeId = crypto.randomBytes(16).toString('hex');
+      const expiresAt = now + RECIPIENT_CHALLENGE_TTL * 1000;
+      const message = [
+        'Certificate holder verification',
+        `Certificate: ${bytes32Hash.replace(/^0x/, '')}`,
+        `Challenge: ${challengeId}`,
+        `Expires: ${new Date(expiresAt).toISOString()}`
+      ].join('\n');
+      recipientChallenges.set(challengeId, { certificateHash: bytes32Hash, message, expiresAt });
+
+      console.log('\n🪪 Recipient challenge issued for:', bytes32Hash);
+
+      res.json({
+        success: true,
+        message: 'Sign the challenge with the recipient wallet (personal_sign) and send it to /api/verify-qr',
+        data: {
+          challengeId,
+          challenge: message,
+          expiresAt: new Date(expiresAt).toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('❌ Challenge error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create challenge',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/certificate/:hash', requireKnownNetwork, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({
+          success: false,
+          message: 'Blockchain not initialized'
+        });
+      }
+
+      const { hash } = req.params;
+      if (!/^(0x)?[0-9a-fA-F]{64}$/.test(hash)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid hash format'
+        });
+      }
+
+      let batchProof;
+      try {
+        batchProof = parseBatchProof(req.query.merkleRoot, req.query.proof);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid Merkle proof'
+        });
+      }
+
+      const bytes32Hash = hexToBytes32(hash);
+      console.log('\n🔍 Fetching by hash:', bytes32Hash);
+
+      const { cert, network } = await findCertificate(
+        bytes32Hash, batchProof, req.query.network ? resolveNetwork(req.query.network) : null
+      );
+
+      if (cert.status !== 'not-issued') {
+        const details = await describeCertificate(cert, bytes32Hash, true, network);
+
+        res.json({
+          success: true,
+          message: statusMessage(details),
+          data: {
+            isValid: cert.isValid,
+            certificateHash: hash.replace(/^0x/, ''),
+            bytes32Hash: bytes32Hash,
+            ...details
+          }
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          message: STATUS_MESSAGES['not-issued']
+        });
+      }
+    } catch (error) {
+      console.error('❌ Fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch certificate',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  return router;
+};
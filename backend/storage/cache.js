@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// On-disk LRU cache for downloaded certificate files. Only content that already passed
+// verification is put here. Each entry's mtime is its last access, so the eviction
+// order survives a restart. A maxSize of 0 turns the cache off.
+
+module.exports = function createDownloadCache({ directory, maxSize }) {
+  // File name -> size, least recently used first (Map keeps insertion order)
+  const entries = new Map();
+  let totalSize = 0;
+  let enabled = maxSize > 0;
+  let ready = null;
+
+  function fileName(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  async function load() {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const found = [];
+    for (const name of await fs.promises.readdir(directory)) {
+      const file = path.join(directory, name);
+      if (!/^[0-9a-f]{64}$/.test(name)) {
+        // Leftover temporary file from an interrupted write
+        if (name.endsWith('.tmp')) await fs.promises.rm(file, { force: true });
+        continue;
+      }
+      const stat = await fs.promises.stat(file);
+      found.push({ name, size: stat.size, accessedAt: stat.mtimeMs });
+    }
+
+    found.sort((a, b) => a.accessedAt - b.accessedAt);
+    for (const entry of found) {
+      entries.set(entry.name, entry.size);
+      totalSize += entry.size;
+    }
+    await evict();
+    console.log(`✅ Download cache: ${entries.size} files, ${(totalSize / 1024 / 1024).toFixed(1)} MB (${directory})`);
+  }
+
+  // A cache directory that cannot be read only costs the cache, never the download
+  async function initialize() {
+    ready = ready || load().catch((error) => {
+      console.warn('⚠️  Download cache disabled:', error.message);
+      enabled = false;
+    });
+    await ready;
+    return enabled;
+  }
+
+  function forget(name) {
+    if (!entries.has(name)) return;
+    totalSize -= entries.get(name);
+    entries.delete(name);
+  }
+
+  async function evict() {
+    for (const [name] of entries) {
+      if (totalSize <= maxSize) break;
+      forget(name);
+      await fs.promises.rm(path.join(directory, name), { force: true });
+    }
+  }
+
+  async function get(key) {
+    if (!enabled || !(await initialize())) return null;
+
+    const name = fileName(key);
+    if (!entries.has(name)) return null;
+
+    const file = path.join(directory, name);
+    try {
+      const buffer = await fs.promises.readFile(file);
+      // Move to the most recently used end
+      const size = entries.get(name);
+      entries.delete(name);
+      entries.set(name, size);
+      const now = new Date();
+      await fs.promises.utimes(file, now, now).catch(() => {});
+      return buffer;
+    } catch (error) {
+      console.warn('⚠️  Download cache read failed:', error.message);
+      forget(name);
+      return null;
+    }
+  }
+
+  async function set(key, buffer) {
+    if (!enabled || buffer.length > maxSize || !(await initialize())) return;
+
+    const name = fileName(key);
+    const file = path.join(directory, name);
+    // Write then rename, so a crash never leaves a truncated entry
+    const temporary = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(temporary, buffer);
+      await fs.promises.rename(temporary, file);
+    } catch (error) {
+      console.warn('⚠️  Download cache write failed:', error.message);
+      await fs.promises.rm(temporary, { force: true });
+      return;
+    }
+
+    forget(name);
+    entries.set(name, buffer.length);
+    totalSize += buffer.length;
+    await evict();
+  }
+
+  async function remove(key) {
+    if (!enabled || !(await initialize())) return;
+
+    const name = fileName(key);
+    forget(name);
+    await fs.promises.rm(path.join(directory, name), { force: true });
+  }
+
+  return {
+    get,
+    set,
+    remove
+  };
+};
@@ -0,0 +1,86 @@
+const { fileCid, isComputableCid } = require('./cid');
+
+// Content-addressed storage on top of a plain key/value store (local disk, S3).
+// Files are keyed by the same CIDv1 IPFS would give them. A batch directory is a JSON
+// listing of file name to CID, stored and addressed like any other object.
+
+function directoryListing(files, directoryName) {
+  const entries = {};
+  for (const file of files) {
+    entries[file.name] = fileCid(file.buffer);
+  }
+  return Buffer.from(JSON.stringify({ type: 'directory', name: directoryName, entries }));
+}
+
+function notFoundError(message) {
+  const error = new Error(message);
+  error.code = 'STORAGE_NOT_FOUND';
+  return error;
+}
+
+function createContentAddressedStorage({ name, putObject, getObject }) {
+  async function readObject(cid) {
+    if (!isComputableCid(cid)) {
+      throw notFoundError(`Not a ${name} storage CID: ${cid}`);
+    }
+    const buffer = await getObject(cid);
+    if (fileCid(buffer) !== cid) {
+      throw new Error(`Stored object ${cid} does not match its content address`);
+    }
+    return buffer;
+  }
+
+  async function upload(fileBuffer) {
+    const cid = fileCid(fileBuffer);
+    await putObject(cid, fileBuffer, 'application/pdf');
+    return {
+      ipfsHash: cid,
+      pinSize: fileBuffer.length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async function uploadDirectory(files, directoryName) {
+    for (const file of files) {
+      await upload(file.buffer);
+    }
+
+    const listing = directoryListing(files, directoryName);
+    const cid = fileCid(listing);
+    await putObject(cid, listing, 'application/json');
+    return {
+      ipfsHash: cid,
+      pinSize: files.reduce((total, file) => total + file.buffer.length, listing.length),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // "<cid>" or "<directory cid>/<file name>", as recorded for batch certificates
+  async function download(cidPath) {
+    const [cid, fileName] = cidPath.split('/');
+    if (!fileName) {
+      return readObject(cid);
+    }
+
+    const listing = JSON.parse((await readObject(cid)).toString('utf8'));
+    const entry = listing.type === 'directory' && Object.hasOwn(listing.entries, fileName) && listing.entries[fileName];
+    if (!entry) {
+      throw notFoundError(`${fileName} is not in directory ${cid}`);
+    }
+    return readObject(entry);
+  }
+
+  return {
+    name,
+    ipfs: false,
+    directoryCid: (files, directoryName) => fileCid(directoryListing(files, directoryName)),
+    upload,
+    uploadDirectory,
+    download
+  };
+}
+
+module.exports = {
+  notFoundError,
+  createContentAddressedStorage
+};
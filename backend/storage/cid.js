@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// CIDv1 computed the way `ipfs add --cid-version=1` (Kubo, Pinata) does it: the file
+// is cut into 256 KiB chunks stored as raw blocks, and files with more than one chunk
+// get a balanced tree of dag-pb UnixFS nodes of at most 174 links. A file that fits in
+// one chunk is addressed by its raw block. Computing it before upload lets the server
+// check the provider's answer instead of trusting it.
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+const RAW = 0x55;
+const DAG_PB = 0x70;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function varint(number) {
+  const bytes = [];
+  let rest = number;
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+  return Buffer.from(bytes);
+}
+
+// Protobuf length-delimited field
+function field(number, bytes) {
+  return Buffer.concat([varint((number << 3) | 2), varint(bytes.length), bytes]);
+}
+
+// Protobuf varint field
+function numberField(number, value) {
+  return Buffer.concat([varint(number << 3), varint(value)]);
+}
+
+function cidBytes(codec, block) {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  // version 1, codec, sha2-256 multihash of 32 bytes
+  return Buffer.concat([Buffer.from([0x01, codec, 0x12, 0x20]), digest]);
+}
+
+function cidString(bytes) {
+  return 'b' + base32(bytes);
+}
+
+// dag-pb writes links (field 2) before data (field 1)
+function encodeNode(links, data) {
+  return Buffer.concat([
+    ...links.map((link) => field(2, Buffer.concat([
+      field(1, link.cid),
+      field(2, Buffer.from(link.name || '', 'utf8')),
+      numberField(3, link.tsize)
+    ]))),
+    field(1, data)
+  ]);
+}
+
+// Each entry: cid (binary), tsize (block plus everything below it), fileSize (bytes of file data)
+function fileNode(children) {
+  const fileSize = children.reduce((total, child) => total + child.fileSize, 0);
+  const data = Buffer.concat([
+    numberField(1, UNIXFS_FILE),
+    numberField(3, fileSize),
+    ...children.map((child) => numberField(4, child.fileSize))
+  ]);
+  const block = encodeNode(children, data);
+  return {
+    cid: cidBytes(DAG_PB, block),
+    tsize: block.length + children.reduce((total, child) => total + child.tsize, 0),
+    fileSize
+  };
+}
+
+function buildFile(buffer) {
+  let level = [];
+  for (let offset = 0; offset < buffer.length || level.length === 0; offset += CHUNK_SIZE) {
+    const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+    level.push({ cid: cidBytes(RAW, chunk), tsize: chunk.length, fileSize: chunk.length });
+  }
+
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      parents.push(fileNode(level.slice(i, i + MAX_LINKS)));
+    }
+    level = parents;
+  }
+  return level[0];
+}
+
+function fileCid(buffer) {
+  return cidString(buildFile(buffer).cid);
+}
+
+// A plain (non-sharded) UnixFS directory holding the given files, links sorted by name
+function directoryCid(files) {
+  const links = files
+    .map((file) => ({ name: file.name, ...buildFile(file.buffer) }))
+    .sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)));
+  const block = encodeNode(links, numberField(1, UNIXFS_DIRECTORY));
+  return cidString(cidBytes(DAG_PB, block));
+}
+
+// Only base32 CIDv1 can be recomputed; older CIDv0 ("Qm...") pins are left unchecked
+function isComputableCid(cid) {
+  return /^b[a-z2-7]{58}$/.test(cid);
+}
+
+module.exports = {
+  fileCid,
+  directoryCid,
+  isComputableCid
+};
@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+// Fetches a path from public IPFS gateways, one after the other. A gateway that fails,
+// times out or serves bytes `accept` rejects is skipped, so a single bad gateway cannot
+// block or poison a download.
+async function fetchFromGateways(ipfsPath, { gateways, timeout, maxFileSize, accept = () => true }) {
+  let rejected = false;
+  let notFound = 0;
+  let lastError = null;
+
+  for (const gateway of gateways) {
+    try {
+      const response = await axios.get(`${gateway}/ipfs/${ipfsPath}`, {
+        responseType: 'arraybuffer',
+        timeout,
+        // Bounds the whole transfer, not just the wait for the first byte
+        signal: AbortSignal.timeout(timeout),
+        maxContentLength: maxFileSize
+      });
+      const buffer = Buffer.from(response.data);
+      if (accept(buffer)) {
+        return buffer;
+      }
+      rejected = true;
+      console.warn(`⚠️  ${gateway} served content that does not match ${ipfsPath}, trying next gateway...`);
+    } catch (error) {
+      lastError = error;
+      if (error.response?.status === 404) notFound++;
+      console.warn(`⚠️  ${gateway} failed (${error.message}), trying next gateway...`);
+    }
+  }
+
+  const error = new Error(rejected
+    ? `No gateway served content matching ${ipfsPath}`
+    : `All gateways failed for ${ipfsPath}: ${lastError?.message || 'no gateways configured'}`);
+  if (rejected) {
+    error.code = 'CID_MISMATCH';
+  } else if (gateways.length > 0 && notFound === gateways.length) {
+    error.code = 'STORAGE_NOT_FOUND';
+  }
+  throw error;
+}
+
+module.exports = {
+  fetchFromGateways
+};
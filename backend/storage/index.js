@@ -0,0 +1,133 @@
+const config = require('../config');
+const createPinataStorage = require('./pinata');
+const createKuboStorage = require('./kubo');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+const { fileCid, isComputableCid } = require('./cid');
+
+// Certificate file storage. STORAGE_PROVIDER picks where new files go; each certificate
+// record keeps the provider that holds its file, so files stored under a previous
+// setting can still be downloaded. Providers implement upload, uploadDirectory and
+// download; `ipfs` marks those whose CIDs are also reachable through IPFS gateways.
+// CIDs are computed locally and a provider that reports a different one is rejected,
+// so the CID written on-chain always addresses the bytes that were hashed.
+
+// No stored file is larger than an issuance archive
+const GATEWAY_OPTIONS = {
+  gateways: config.IPFS_GATEWAYS,
+  gatewayTimeout: config.IPFS_GATEWAY_TIMEOUT,
+  maxFileSize: config.MAX_ARCHIVE_SIZE
+};
+
+const PROVIDER_FACTORIES = {
+  pinata: () => createPinataStorage({
+    jwt: config.PINATA_JWT,
+    apiKey: config.PINATA_API_KEY,
+    apiSecret: config.PINATA_API_SECRET,
+    apiUrl: config.PINATA_API_URL,
+    gatewayUrl: config.PINATA_GATEWAY_URL,
+    ...GATEWAY_OPTIONS
+  }),
+  kubo: () => createKuboStorage({
+    apiUrl: config.KUBO_API_URL,
+    auth: config.KUBO_API_AUTH,
+    gatewayUrl: config.KUBO_GATEWAY_URL,
+    ...GATEWAY_OPTIONS
+  }),
+  local: () => createLocalStorage({
+    directory: config.LOCAL_STORAGE_DIR
+  }),
+  s3: () => createS3Storage({
+    endpoint: config.S3_ENDPOINT,
+    region: config.S3_REGION,
+    bucket: config.S3_BUCKET,
+    accessKeyId: config.S3_ACCESS_KEY_ID,
+    secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+    prefix: config.S3_PREFIX
+  })
+};
+
+const providers = {};
+
+function getStorageProvider(name = config.STORAGE_PROVIDER) {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown storage provider "${name}"`);
+  }
+  providers[name] = providers[name] || PROVIDER_FACTORIES[name]();
+  return providers[name];
+}
+
+function isStorageConfigured() {
+  return getStorageProvider().isConfigured();
+}
+
+function activeProvider() {
+  const provider = getStorageProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`Storage provider ${provider.name} is not configured`);
+  }
+  return provider;
+}
+
+function cidMismatchError(message) {
+  const error = new Error(message);
+  error.code = 'CID_MISMATCH';
+  return error;
+}
+
+function checkStoredCid(provider, result, expectedCid) {
+  if (result.ipfsHash !== expectedCid) {
+    throw cidMismatchError(`${provider.name} returned CID ${result.ipfsHash}, expected ${expectedCid}`);
+  }
+}
+
+async function storeFile(fileBuffer, fileName, keyvalues = {}) {
+  const provider = activeProvider();
+  const expectedCid = fileCid(fileBuffer);
+  const result = await provider.upload(fileBuffer, fileName, keyvalues);
+  checkStoredCid(provider, result, expectedCid);
+  console.log(`✅ Stored (${provider.name}):`, expectedCid);
+  return { ...result, ipfsHash: expectedCid, provider: provider.name };
+}
+
+async function storeDirectory(files, directoryName) {
+  const provider = activeProvider();
+  const expectedCid = provider.directoryCid(files, directoryName);
+  const result = await provider.uploadDirectory(files, directoryName);
+  checkStoredCid(provider, result, expectedCid);
+  console.log(`✅ Stored directory (${provider.name}):`, expectedCid);
+  return { ...result, ipfsHash: expectedCid, provider: provider.name };
+}
+
+// `accept` lets the caller add its own check (e.g. the expected certificate hash); providers
+// with several sources use it to skip one that serves the wrong bytes. A file inside a
+// directory can only be checked that way.
+async function fetchFile(ipfsPath, providerName = config.STORAGE_PROVIDER, accept = () => true) {
+  const matches = (buffer) => (!isComputableCid(ipfsPath) || fileCid(buffer) === ipfsPath) && accept(buffer);
+  const buffer = await getStorageProvider(providerName).download(ipfsPath, matches);
+  if (!matches(buffer)) {
+    throw cidMismatchError(`Content served for ${ipfsPath} does not match the CID or the expected hash`);
+  }
+  return buffer;
+}
+
+// Download links for a stored file; gateway URLs only exist for IPFS providers
+function storageLinks(ipfsPath, providerName = config.STORAGE_PROVIDER) {
+  const provider = getStorageProvider(providerName);
+  return {
+    ...(provider.ipfs && {
+      ipfsUrl: `${provider.gatewayUrl}/ipfs/${ipfsPath}`,
+      ipfsGatewayUrl: `https://ipfs.io/ipfs/${ipfsPath}`
+    }),
+    downloadUrl: `/api/download/${ipfsPath}`
+  };
+}
+
+module.exports = {
+  getStorageProvider,
+  isStorageConfigured,
+  storeFile,
+  storeDirectory,
+  fetchFile,
+  storageLinks
+};
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { directoryCid } = require('./cid');
+const { fetchFromGateways } = require('./gateways');
+
+// Adds and pins files on a Kubo (go-ipfs) node through its RPC API, which only accepts POST.
+// Downloads read from the node first and fall back to the IPFS_GATEWAYS list.
+
+module.exports = function createKuboStorage({ apiUrl, auth, gatewayUrl, gateways, gatewayTimeout, maxFileSize }) {
+  const headers = auth ? { Authorization: auth } : {};
+
+  async function add(formData, params) {
+    try {
+      const response = await axios.post(`${apiUrl}/api/v0/add`, formData, {
+        params: { 'cid-version': 1, pin: true, ...params },
+        headers: { ...headers, ...formData.getHeaders() },
+        maxBodyLength: Infinity,
+        responseType: 'text'
+      });
+      // One JSON line per added entry; a wrapping directory comes last
+      return response.data.trim().split('\n').map((line) => JSON.parse(line));
+    } catch (error) {
+      console.error('❌ Kubo error:', error.response?.data || error.message);
+      throw new Error('IPFS upload failed: ' + (error.response?.data || error.message));
+    }
+  }
+
+  async function upload(fileBuffer, fileName) {
+    const formData = new FormData();
+    formData.append('file', fileBuffer, {
+      filename: fileName,
+      contentType: 'application/pdf'
+    });
+
+    const [added] = await add(formData);
+    return {
+      ipfsHash: added.Hash,
+      pinSize: Number(added.Size),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async function uploadDirectory(files) {
+    const formData = new FormData();
+    for (const file of files) {
+      formData.append('file', file.buffer, {
+        filename: file.name,
+        contentType: 'application/pdf'
+      });
+    }
+
+    const entries = await add(formData, { 'wrap-with-directory': true });
+    const directory = entries.find((entry) => entry.Name === '');
+    return {
+      ipfsHash: directory.Hash,
+      pinSize: Number(directory.Size),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async function download(ipfsPath, accept = () => true) {
+    try {
+      const response = await axios.post(`${apiUrl}/api/v0/cat`, null, {
+        params: { arg: ipfsPath },
+        headers,
+        responseType: 'arraybuffer',
+        timeout: gatewayTimeout,
+        maxContentLength: maxFileSize
+      });
+      const buffer = Buffer.from(response.data);
+      if (accept(buffer)) {
+        return buffer;
+      }
+      console.warn(`⚠️  Kubo node served content that does not match ${ipfsPath}, trying gateways...`);
+    } catch (error) {
+      console.warn(`⚠️  Kubo node failed (${error.message}), trying gateways...`);
+    }
+    return fetchFromGateways(ipfsPath, { gateways, timeout: gatewayTimeout, maxFileSize, accept });
+  }
+
+  return {
+    name: 'kubo',
+    ipfs: true,
+    gatewayUrl,
+    directoryCid,
+    isConfigured: () => !!apiUrl,
+    describe: () => `Kubo node (${apiUrl})`,
+    upload,
+    uploadDirectory,
+    download
+  };
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const { createContentAddressedStorage, notFoundError } = require('./cas');
+
+// Content-addressed store in a local directory; nothing leaves the machine
+
+module.exports = function createLocalStorage({ directory }) {
+  async function putObject(cid, buffer) {
+    const target = path.join(directory, cid);
+    if (fs.existsSync(target)) return;
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    // Write then rename, so a crash never leaves a partial file under a valid CID
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, buffer);
+    await fs.promises.rename(temporary, target);
+  }
+
+  async function getObject(cid) {
+    try {
+      return await fs.promises.readFile(path.join(directory, cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw notFoundError(`${cid} is not in local storage`);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    ...createContentAddressedStorage({ name: 'local', putObject, getObject }),
+    isConfigured: () => true,
+    describe: () => `local directory (${directory})`
+  };
+};
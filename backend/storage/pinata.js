@@ -0,0 +1,110 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { directoryCid } = require('./cid');
+const { fetchFromGateways } = require('./gateways');
+
+// Pins through the Pinata API; files are fetched back through the IPFS_GATEWAYS list
+
+module.exports = function createPinataStorage({ jwt, apiKey, apiSecret, apiUrl, gatewayUrl, gateways, gatewayTimeout, maxFileSize }) {
+  function isConfigured() {
+    return !!(jwt || (apiKey && apiSecret));
+  }
+
+  async function pinFormData(formData) {
+    if (!isConfigured()) {
+      throw new Error('Missing Pinata credentials');
+    }
+
+    const headers = {
+      'Content-Type': `multipart/form-data; boundary=${formData._boundary}`,
+    };
+
+    if (jwt) {
+      headers['Authorization'] = `Bearer ${jwt}`;
+    } else {
+      headers['pinata_api_key'] = apiKey;
+      headers['pinata_secret_api_key'] = apiSecret;
+    }
+
+    try {
+      const response = await axios.post(
+        `${apiUrl}/pinning/pinFileToIPFS`,
+        formData,
+        { maxBodyLength: Infinity, headers }
+      );
+
+      return {
+        ipfsHash: response.data.IpfsHash,
+        pinSize: response.data.PinSize,
+        timestamp: response.data.Timestamp
+      };
+    } catch (error) {
+      console.error('❌ Pinata error:', error.response?.data || error.message);
+      throw new Error('IPFS upload failed: ' + (error.response?.data?.error || error.message));
+    }
+  }
+
+  async function upload(fileBuffer, fileName, keyvalues = {}) {
+    const formData = new FormData();
+    formData.append('file', fileBuffer, {
+      filename: fileName,
+      contentType: 'application/pdf'
+    });
+
+    const metadata = JSON.stringify({
+      name: fileName,
+      keyvalues: {
+        ...keyvalues,
+        type: 'certificate',
+        uploadedAt: new Date().toISOString()
+      }
+    });
+    formData.append('pinataMetadata', metadata);
+
+    const options = JSON.stringify({ cidVersion: 1 });
+    formData.append('pinataOptions', options);
+
+    return pinFormData(formData);
+  }
+
+  async function uploadDirectory(files, directoryName) {
+    const formData = new FormData();
+    for (const file of files) {
+      formData.append('file', file.buffer, {
+        filepath: `${directoryName}/${file.name}`,
+        contentType: 'application/pdf'
+      });
+    }
+
+    const metadata = JSON.stringify({
+      name: directoryName,
+      keyvalues: {
+        type: 'certificate-batch',
+        certificateCount: files.length,
+        uploadedAt: new Date().toISOString()
+      }
+    });
+    formData.append('pinataMetadata', metadata);
+
+    const options = JSON.stringify({ cidVersion: 1 });
+    formData.append('pinataOptions', options);
+
+    return pinFormData(formData);
+  }
+
+  async function download(ipfsPath, accept) {
+    return fetchFromGateways(ipfsPath, { gateways, timeout: gatewayTimeout, maxFileSize, accept });
+  }
+
+  return {
+    name: 'pinata',
+    ipfs: true,
+    gatewayUrl,
+    directoryCid,
+    isConfigured,
+    describe: () => `Pinata (${apiUrl})`,
+    upload,
+    uploadDirectory,
+    download
+  };
+};
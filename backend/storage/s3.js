@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createContentAddressedStorage, notFoundError } = require('./cas');
+
+// Content-addressed store in an S3-compatible bucket (AWS S3, MinIO). Requests use
+// path-style URLs and are signed with AWS Signature Version 4.
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+module.exports = function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix }) {
+  const baseUrl = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+
+  function signedHeaders(method, url, payload, extraHeaders = {}) {
+    const { host, pathname } = new URL(url);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(payload || '');
+
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...extraHeaders
+    };
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      pathname,
+      '',
+      names.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+    );
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    // The HTTP client sets Host itself from the URL
+    delete headers.host;
+    return {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  function objectUrl(cid) {
+    const key = `${prefix}${cid}`.split('/').map(encodeURIComponent).join('/');
+    return `${baseUrl}/${encodeURIComponent(bucket)}/${key}`;
+  }
+
+  async function putObject(cid, buffer, contentType) {
+    const url = objectUrl(cid);
+    try {
+      await axios.put(url, buffer, {
+        headers: signedHeaders('PUT', url, buffer, { 'content-type': contentType }),
+        maxBodyLength: Infinity
+      });
+    } catch (error) {
+      console.error('❌ S3 error:', error.response?.data?.toString() || error.message);
+      throw new Error('Storage upload failed: ' + (error.response ? `S3 returned ${error.response.status}` : error.message));
+    }
+  }
+
+  async function getObject(cid) {
+    const url = objectUrl(cid);
+    try {
+      const response = await axios.get(url, {
+        headers: signedHeaders('GET', url),
+        responseType: 'arraybuffer',
+        timeout: 30000
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw notFoundError(`${cid} is not in bucket ${bucket}`);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    ...createContentAddressedStorage({ name: 's3', putObject, getObject }),
+    isConfigured: () => !!(bucket && accessKeyId && secretAccessKey),
+    describe: () => `S3 bucket ${bucket} (${baseUrl})`
+  };
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+
+// 1MB uploads, so the expanded archive is capped at 4MB
+process.env.MAX_ARCHIVE_SIZE_MB = '1';
+const { readArchive } = require('../features/archive');
+
+function zipOf(files) {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(files)) {
+    zip.addFile(name, data);
+  }
+  return zip.toBuffer();
+}
+
+// Rewrites the uncompressed size every local and central header declares, as a hostile uploader could
+function forgeDeclaredSize(buffer, size) {
+  const forged = Buffer.from(buffer);
+  for (let offset = 0; offset < forged.length - 4; offset++) {
+    const signature = forged.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      forged.writeUInt32LE(size, offset + 22);
+    } else if (signature === 0x02014b50) {
+      forged.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return forged;
+}
+
+test('reads PDFs by base name and skips folders, resource forks and other files', () => {
+  const files = readArchive(zipOf({
+    'class/Alice.pdf': Buffer.from('%PDF-alice'),
+    '__MACOSX/class/._Alice.pdf': Buffer.from('junk'),
+    'class/notes.txt': Buffer.from('notes')
+  }));
+
+  assert.deepStrictEqual([...files.keys()], ['alice.pdf']);
+  assert.strictEqual(files.get('alice.pdf').fileName, 'Alice.pdf');
+  assert.strictEqual(files.get('alice.pdf').buffer.toString(), '%PDF-alice');
+});
+
+test('rejects a certificate over 5MB', () => {
+  assert.throws(
+    () => readArchive(zipOf({ 'big.pdf': Buffer.alloc(5 * 1024 * 1024 + 1) })),
+    /big\.pdf exceeds the 5MB certificate limit/
+  );
+});
+
+test('rejects an entry whose header understates its size', () => {
+  const archive = forgeDeclaredSize(zipOf({ 'bomb.pdf': Buffer.alloc(6 * 1024 * 1024) }), 1024);
+  assert.throws(() => readArchive(archive), /bomb\.pdf (could not be extracted|exceeds the 5MB certificate limit)/);
+});
+
+test('rejects an entry whose header declares it empty', () => {
+  const archive = forgeDeclaredSize(zipOf({ 'bomb.pdf': Buffer.alloc(6 * 1024 * 1024) }), 0);
+  assert.throws(() => readArchive(archive), /bomb\.pdf is empty/);
+});
+
+test('rejects an archive that expands beyond four times the upload limit', () => {
+  const files = {};
+  for (let i = 0; i < 5; i++) {
+    files[`cert-${i}.pdf`] = Buffer.alloc(900 * 1024, i);
+  }
+  assert.throws(() => readArchive(zipOf(files)), /Archive expands beyond the allowed size/);
+});
+
+test('rejects the same file name in two folders', () => {
+  assert.throws(
+    () => readArchive(zipOf({ 'a/cert.pdf': Buffer.from('%PDF-1'), 'b/CERT.pdf': Buffer.from('%PDF-2') })),
+    /Archive contains CERT\.pdf more than once/
+  );
+});
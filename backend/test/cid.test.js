@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fileCid, directoryCid, isComputableCid } = require('../storage/cid');
+
+// Expected CIDs come from `ipfs add --cid-version=1` semantics (js ipfs-unixfs-importer with
+// raw leaves, 256 KiB chunks and a balanced layout of 174 links)
+
+// Byte i is i % 251, so no two chunks are alike
+function patterned(length) {
+  const buffer = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    buffer[i] = i % 251;
+  }
+  return buffer;
+}
+
+test('a file within one chunk is its raw block', () => {
+  assert.strictEqual(fileCid(Buffer.from('hello world\n')), 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4');
+  assert.strictEqual(fileCid(Buffer.alloc(0)), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+  assert.strictEqual(fileCid(patterned(262144)), 'bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy');
+});
+
+test('a file over 256 KiB is a dag-pb node over its chunks', () => {
+  assert.strictEqual(fileCid(patterned(262145)), 'bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi');
+});
+
+test('a file of more than 174 chunks gets a second tree level', () => {
+  assert.strictEqual(fileCid(patterned(174 * 262144 + 1)), 'bafybeib4y7ghw2rq7bracc4xwtxrbzo7cfvagdpte2tmrkgwl6dyard3cm');
+});
+
+test('a directory links its files sorted by name', () => {
+  const files = [
+    { name: 'b.pdf', buffer: Buffer.from('%PDF-b') },
+    { name: 'a.pdf', buffer: patterned(300000) }
+  ];
+  assert.strictEqual(directoryCid(files), 'bafybeiguo3igrbli43mulri3eculm5x2tu72qtgfwmixsv67wshcs4sese');
+});
+
+test('only base32 CIDv1 is computable', () => {
+  assert.ok(isComputableCid('bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4'));
+  assert.ok(!isComputableCid('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o'));
+  assert.ok(!isComputableCid('bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4/a.pdf'));
+});
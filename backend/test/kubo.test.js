@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+process.env.STORAGE_PROVIDER = 'kubo';
+process.env.KUBO_API_URL = 'http://kubo.test:5001';
+process.env.IPFS_GATEWAYS = 'https://gateway.test';
+const { storeFile, storeDirectory, fetchFile } = require('../storage');
+const { fileCid, directoryCid } = require('../storage/cid');
+
+const certificate = Buffer.from('%PDF-certificate');
+const forged = Buffer.from('%PDF-forged');
+
+// /api/v0/add answers with one JSON line per added entry
+function addResponse(entries) {
+  return { data: entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n' };
+}
+
+test('stores a file when the node reports the computed CID', async (t) => {
+  t.mock.method(axios, 'post', async () => addResponse([{ Name: 'c.pdf', Hash: fileCid(certificate), Size: '24' }]));
+
+  const result = await storeFile(certificate, 'c.pdf');
+  assert.strictEqual(result.ipfsHash, fileCid(certificate));
+  assert.strictEqual(result.provider, 'kubo');
+});
+
+test('rejects a file when the node reports another CID', async (t) => {
+  t.mock.method(axios, 'post', async () => addResponse([{ Name: 'c.pdf', Hash: fileCid(forged), Size: '19' }]));
+
+  await assert.rejects(storeFile(certificate, 'c.pdf'), { code: 'CID_MISMATCH' });
+});
+
+test('rejects a directory when the node reports another CID', async (t) => {
+  const files = [{ name: 'a.pdf', buffer: certificate }];
+  t.mock.method(axios, 'post', async () => addResponse([
+    { Name: 'a.pdf', Hash: fileCid(certificate), Size: '24' },
+    { Name: '', Hash: directoryCid([{ name: 'a.pdf', buffer: forged }]), Size: '80' }
+  ]));
+
+  await assert.rejects(storeDirectory(files, 'batch'), { code: 'CID_MISMATCH' });
+});
+
+test('falls back to the gateways when the node serves other bytes', async (t) => {
+  t.mock.method(axios, 'post', async () => ({ data: forged }));
+  const get = t.mock.method(axios, 'get', async () => ({ data: certificate }));
+
+  assert.deepStrictEqual(await fetchFile(fileCid(certificate), 'kubo'), certificate);
+  assert.strictEqual(get.mock.calls[0].arguments[0], `https://gateway.test/ipfs/${fileCid(certificate)}`);
+});
+
+test('rejects a download when no source serves the CID', async (t) => {
+  t.mock.method(axios, 'post', async () => ({ data: forged }));
+  t.mock.method(axios, 'get', async () => ({ data: forged }));
+
+  await assert.rejects(fetchFile(fileCid(certificate), 'kubo'), { code: 'CID_MISMATCH' });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createLocalStorage = require('../storage/local');
+const { fileCid } = require('../storage/cid');
+
+let directory;
+let storage;
+
+test.beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+  storage = createLocalStorage({ directory });
+});
+
+test.afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('stores a file under its CID and reads it back', async () => {
+  const buffer = Buffer.from('%PDF-certificate');
+  const result = await storage.upload(buffer);
+
+  assert.strictEqual(result.ipfsHash, fileCid(buffer));
+  assert.strictEqual(result.pinSize, buffer.length);
+  assert.ok(fs.existsSync(path.join(directory, result.ipfsHash)));
+  assert.deepStrictEqual(await storage.download(result.ipfsHash), buffer);
+});
+
+test('storing the same file twice keeps the first copy', async () => {
+  const buffer = Buffer.from('%PDF-certificate');
+  const { ipfsHash } = await storage.upload(buffer);
+  const stored = fs.statSync(path.join(directory, ipfsHash));
+
+  await storage.upload(buffer);
+
+  assert.strictEqual(fs.statSync(path.join(directory, ipfsHash)).mtimeMs, stored.mtimeMs);
+  assert.deepStrictEqual(fs.readdirSync(directory), [ipfsHash]);
+});
+
+test('reads batch files through the directory listing', async () => {
+  const files = [
+    { name: 'alice.pdf', buffer: Buffer.from('%PDF-alice') },
+    { name: 'bob.pdf', buffer: Buffer.from('%PDF-bob') }
+  ];
+  const { ipfsHash } = await storage.uploadDirectory(files, 'class-of-2024');
+
+  assert.strictEqual(ipfsHash, storage.directoryCid(files, 'class-of-2024'));
+  assert.deepStrictEqual(await storage.download(`${ipfsHash}/bob.pdf`), files[1].buffer);
+  await assert.rejects(storage.download(`${ipfsHash}/carol.pdf`), { code: 'STORAGE_NOT_FOUND' });
+});
+
+test('reports a missing CID as not found', async () => {
+  await assert.rejects(storage.download(fileCid(Buffer.from('never stored'))), { code: 'STORAGE_NOT_FOUND' });
+  await assert.rejects(storage.download('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o'), { code: 'STORAGE_NOT_FOUND' });
+});
+
+test('rejects a stored file that no longer matches its CID', async () => {
+  const { ipfsHash } = await storage.upload(Buffer.from('%PDF-original'));
+  fs.writeFileSync(path.join(directory, ipfsHash), '%PDF-altered');
+
+  await assert.rejects(storage.download(ipfsHash), /does not match its content address/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+process.env.STORAGE_PROVIDER = 'pinata';
+process.env.PINATA_JWT = 'test-jwt';
+process.env.IPFS_GATEWAYS = 'https://bad.gateway.test,https://good.gateway.test';
+const { storeFile, storeDirectory, fetchFile } = require('../storage');
+const { fileCid, directoryCid } = require('../storage/cid');
+
+const certificate = Buffer.from('%PDF-certificate');
+const forged = Buffer.from('%PDF-forged');
+
+function pinResponse(cid) {
+  return { data: { IpfsHash: cid, PinSize: 24, Timestamp: '2024-01-01T00:00:00.000Z' } };
+}
+
+test('stores a file when Pinata reports the computed CID', async (t) => {
+  t.mock.method(axios, 'post', async () => pinResponse(fileCid(certificate)));
+
+  const result = await storeFile(certificate, 'c.pdf');
+  assert.strictEqual(result.ipfsHash, fileCid(certificate));
+  assert.strictEqual(result.provider, 'pinata');
+});
+
+test('rejects a file when Pinata reports another CID', async (t) => {
+  t.mock.method(axios, 'post', async () => pinResponse(fileCid(forged)));
+
+  await assert.rejects(storeFile(certificate, 'c.pdf'), { code: 'CID_MISMATCH' });
+});
+
+test('rejects a directory when Pinata reports another CID', async (t) => {
+  t.mock.method(axios, 'post', async () => pinResponse(directoryCid([{ name: 'a.pdf', buffer: forged }])));
+
+  await assert.rejects(storeDirectory([{ name: 'a.pdf', buffer: certificate }], 'batch'), { code: 'CID_MISMATCH' });
+});
+
+test('skips a gateway that serves other bytes', async (t) => {
+  t.mock.method(axios, 'get', async (url) => ({ data: url.startsWith('https://bad.') ? forged : certificate }));
+
+  assert.deepStrictEqual(await fetchFile(fileCid(certificate), 'pinata'), certificate);
+});
+
+test('rejects a download when no gateway serves the CID', async (t) => {
+  t.mock.method(axios, 'get', async () => ({ data: forged }));
+
+  await assert.rejects(fetchFile(fileCid(certificate), 'pinata'), { code: 'CID_MISMATCH' });
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+
+// Poll fast and treat a transaction as stuck after 200ms
+process.env.TX_MONITOR_INTERVAL = '100';
+process.env.TX_RESUBMIT_AFTER = '0.2';
+const createTransactionManager = require('../transactions');
+const { initializeDatabase } = require('../database');
+
+const ARTIFACT_PATH = path.join(__dirname, '../../build/contracts/CertificateVerification.json');
+const ADMIN_KEY = ethers.hexlify(ethers.randomBytes(32));
+
+let chain;
+let provider;
+let contractAddress;
+let tmpDir;
+
+// Each manager gets fresh network objects, as a restarted server would
+function connectNetwork() {
+  const wallet = new ethers.Wallet(ADMIN_KEY, provider);
+  const { abi } = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+  return {
+    name: 'development',
+    chainId: 1337,
+    provider,
+    wallet,
+    contract: new ethers.Contract(contractAddress, abi, wallet),
+    contractAddress,
+    confirmationDepth: 1,
+    sendLock: Promise.resolve(),
+    nextNonce: null
+  };
+}
+
+async function startManager(db) {
+  const network = connectNetwork();
+  const manager = createTransactionManager({ db, networks: [network] });
+  await manager.start();
+  return { network, manager };
+}
+
+function registerIssuer(manager, network) {
+  return manager.sendContractTransaction('registerIssuer', [ethers.Wallet.createRandom().address, 'Test University', ''], network);
+}
+
+function managedRows(db) {
+  return db.prepare('SELECT * FROM managed_transactions ORDER BY nonce').all();
+}
+
+// The manager's timers are unref'd (the HTTP server keeps the process alive), so hold the event loop open
+async function keepAlive(promise) {
+  const timer = setInterval(() => {}, 1000);
+  try {
+    return await promise;
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+async function waitFor(check, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the transaction manager');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+test.before(async () => {
+  chain = ganache.provider({
+    logging: { quiet: true },
+    chain: { chainId: 1337 },
+    wallet: { accounts: [{ secretKey: ADMIN_KEY, balance: ethers.toBeHex(ethers.parseEther('100')) }] }
+  });
+  // Uncached like the server's providers, so nonce and receipt lookups always reach the node
+  provider = new ethers.BrowserProvider(chain, undefined, { cacheTimeout: -1 });
+
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+  const factory = new ethers.ContractFactory(abi, bytecode, new ethers.Wallet(ADMIN_KEY, provider));
+  const deployed = await factory.deploy();
+  await deployed.waitForDeployment();
+  contractAddress = await deployed.getAddress();
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tx-manager-'));
+});
+
+test.after(async () => {
+  provider.destroy();
+  await chain.disconnect();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('concurrent sends get sequential nonces with no gaps', async () => {
+  const db = initializeDatabase(path.join(tmpDir, 'concurrent.db'));
+  const { network, manager } = await startManager(db);
+  const firstNonce = await provider.getTransactionCount(network.wallet.address, 'latest');
+
+  const txs = await Promise.all(Array.from({ length: 5 }, () => registerIssuer(manager, network)));
+  const receipts = await keepAlive(Promise.all(txs.map((tx) => tx.wait())));
+
+  assert.deepStrictEqual(txs.map((tx) => tx.nonce).sort((a, b) => a - b), [0, 1, 2, 3, 4].map((i) => firstNonce + i));
+  assert.ok(receipts.every((receipt) => receipt.status === 1));
+  assert.strictEqual(await provider.getTransactionCount(network.wallet.address, 'latest'), firstNonce + 5);
+  assert.ok(managedRows(db).every((row) => row.status === 'mined'));
+  db.close();
+});
+
+test('a stuck transaction is replaced with higher fees', async () => {
+  const db = initializeDatabase(path.join(tmpDir, 'stuck.db'));
+  const { network, manager } = await startManager(db);
+
+  await provider.send('miner_stop', []);
+  try {
+    const tx = await registerIssuer(manager, network);
+    const firstHash = tx.hash;
+    const firstFees = JSON.parse(managedRows(db)[0].fees);
+    const mined = tx.wait();
+
+    await waitFor(() => JSON.parse(managedRows(db)[0].tx_hashes).length > 1);
+    await provider.send('evm_mine', []);
+    const receipt = await keepAlive(mined);
+
+    const [row] = managedRows(db);
+    const hashes = JSON.parse(row.tx_hashes);
+    assert.strictEqual(row.status, 'mined');
+    assert.strictEqual(hashes[0], firstHash);
+    assert.strictEqual(receipt.hash, hashes[hashes.length - 1]);
+    assert.strictEqual(await provider.getTransactionReceipt(firstHash), null);
+
+    const replacement = await provider.getTransaction(receipt.hash);
+    assert.strictEqual(replacement.nonce, tx.nonce);
+    assert.ok(replacement.maxFeePerGas > BigInt(firstFees.maxFeePerGas));
+    assert.ok(replacement.maxPriorityFeePerGas > BigInt(firstFees.maxPriorityFeePerGas));
+  } finally {
+    await provider.send('miner_start', []);
+  }
+  db.close();
+});
+
+test('a restarted manager resumes pending transactions instead of re-sending them', async () => {
+  const dbPath = path.join(tmpDir, 'restart.db');
+  let db = initializeDatabase(dbPath);
+  const { network, manager } = await startManager(db);
+
+  await provider.send('miner_stop', []);
+  try {
+    const txs = [await registerIssuer(manager, network), await registerIssuer(manager, network)];
+    db.close();
+
+    db = initializeDatabase(dbPath);
+    const restarted = await startManager(db);
+    assert.strictEqual(restarted.manager.pendingCount(), 2);
+
+    // New work queues behind the recovered nonces
+    const next = await registerIssuer(restarted.manager, restarted.network);
+    assert.strictEqual(next.nonce, txs[1].nonce + 1);
+
+    await provider.send('evm_mine', []);
+    assert.strictEqual((await keepAlive(next.wait())).status, 1);
+    await waitFor(() => restarted.manager.pendingCount() === 0);
+
+    // Same rows and nonces; a recovered transaction may only have been re-sent with higher fees
+    const rows = managedRows(db);
+    assert.deepStrictEqual(rows.map((row) => row.nonce), [txs[0].nonce, txs[1].nonce, next.nonce]);
+    assert.ok(rows.every((row) => row.status === 'mined'));
+    rows.slice(0, 2).forEach((row, i) => {
+      const hashes = JSON.parse(row.tx_hashes);
+      assert.strictEqual(hashes[0], txs[i].hash);
+      assert.ok(hashes.includes(row.mined_hash));
+    });
+    assert.strictEqual(await provider.getTransactionCount(network.wallet.address, 'latest'), next.nonce + 1);
+  } finally {
+    await provider.send('miner_start', []);
+  }
+  db.close();
+});
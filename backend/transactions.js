@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const {
+  TX_MONITOR_INTERVAL,
+  TX_RESUBMIT_AFTER,
+  TX_GAS_BUMP_PERCENT,
+  TX_MAX_FEE_GWEI
+} = require('./config');
+
+// Every contract write goes through sendContractTransaction so concurrent requests
+// never race for the wallet's nonce. Each signed transaction is stored before it is
+// broadcast, re-sent with a higher fee while it stays unmined, and picked up again
+// after a restart.
+module.exports = function createTransactionManager(ctx) {
+  const { db, networks } = ctx;
+  // The first network is primary
+  const primaryNetwork = networks[0] || null;
+
+  // Transactions sent by the wallet and not yet mined: id => record (mirrored in managed_transactions)
+  const pendingTransactions = new Map();
+  const txEvents = new EventEmitter();
+  txEvents.setMaxListeners(0);
+  let txMonitorTimer = null;
+  let txMonitorRunning = false;
+
+  // An action is final once its block has confirmationDepth confirmations (the block itself counts)
+  async function describeFinality(receipt, network = primaryNetwork) {
+    const head = await network.provider.getBlockNumber();
+    const confirmations = Math.max(head - receipt.blockNumber + 1, 0);
+    return {
+      status: confirmations >= network.confirmationDepth ? 'final' : 'pending-finality',
+      confirmations,
+      requiredConfirmations: network.confirmationDepth,
+      blockHash: receipt.blockHash,
+      checkUrl: `/api/finality/${receipt.hash}`
+    };
+  }
+
+  // Runs fn after every previously queued send has finished, successful or not
+  function withSendLock(network, fn) {
+    const run = network.sendLock.then(fn, fn);
+    network.sendLock = run.catch(() => {});
+    return run;
+  }
+
+  // Rows written before multi-network support belong to the primary network
+  function transactionNetwork(record) {
+    return record.network ? networks.find((network) => network.name === record.network) || null : primaryNetwork;
+  }
+
+  function serializeTransactionArgs(args) {
+    return JSON.stringify(args, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  }
+
+  function formatManagedTransaction(record) {
+    return {
+      id: record.id,
+      network: record.network || (primaryNetwork && primaryNetwork.name),
+      method: record.method,
+      nonce: record.nonce,
+      status: record.status,
+      transactionHash: record.minedHash || record.hashes[record.hashes.length - 1],
+      replacedHashes: record.hashes.filter((hash) => hash !== (record.minedHash || record.hashes[record.hashes.length - 1])),
+      attempts: record.hashes.length,
+      fees: record.fees,
+      blockNumber: record.blockNumber,
+      error: record.error,
+      createdAt: record.createdAt,
+      sentAt: record.sentAt,
+      updatedAt: record.updatedAt
+    };
+  }
+
+  function saveManagedTransaction(record) {
+    record.updatedAt = new Date().toISOString();
+    if (!db) return;
+    db.prepare(`
+      INSERT INTO managed_transactions (
+        id, network, nonce, method, args, to_address, data, gas_limit, fees, raw_transaction,
+        tx_hashes, status, mined_hash, block_number, error, created_at, sent_at, updated_at
+      ) VALUES (
+        @id, @network, @nonce, @method, @args, @to, @data, @gasLimit, @fees, @raw,
+        @hashes, @status, @minedHash, @blockNumber, @error, @createdAt, @sentAt, @updatedAt
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        fees = excluded.fees, raw_transaction = excluded.raw_transaction, tx_hashes = excluded.tx_hashes,
+        status = excluded.status, mined_hash = excluded.mined_hash, block_number = excluded.block_number,
+        error = excluded.error, sent_at = excluded.sent_at, updated_at = excluded.updated_at
+    `).run({
+      ...record,
+      network: record.network || null,
+      gasLimit: record.gasLimit.toString(),
+      fees: JSON.stringify(record.fees),
+      hashes: JSON.stringify(record.hashes),
+      blockNumber: record.blockNumber ?? null,
+      minedHash: record.minedHash ?? null,
+      error: record.error ?? null
+    });
+  }
+
+  async function currentFees(network) {
+    const feeData = await network.provider.getFeeData();
+    return feeData.maxFeePerGas
+      ? { maxFeePerGas: feeData.maxFeePerGas.toString(), maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString() }
+      : { gasPrice: feeData.gasPrice.toString() };
+  }
+
+  // Nodes only accept a replacement that raises every fee field, by at least 10% on geth
+  function bumpFees(fees) {
+    const cap = TX_MAX_FEE_GWEI ? ethers.parseUnits(String(TX_MAX_FEE_GWEI), 'gwei') : null;
+    const bumped = {};
+    for (const [field, value] of Object.entries(fees)) {
+      const raised = BigInt(value) * BigInt(100 + TX_GAS_BUMP_PERCENT) / 100n;
+      bumped[field] = (cap && raised > cap ? cap : raised).toString();
+    }
+    return bumped;
+  }
+
+  async function signManagedTransaction(record) {
+    const network = transactionNetwork(record);
+    const fees = Object.fromEntries(Object.entries(record.fees).map(([field, value]) => [field, BigInt(value)]));
+    return network.wallet.signTransaction({
+      to: record.to,
+      data: record.data,
+      nonce: record.nonce,
+      gasLimit: record.gasLimit,
+      chainId: network.chainId,
+      ...(fees.gasPrice ? { type: 0 } : { type: 2 }),
+      ...fees
+    });
+  }
+
+  // Resolves like ethers' tx.wait(); hash follows fee bumps so handlers record the mined hash
+  function managedTransactionResponse(record) {
+    return {
+      get hash() {
+        return record.minedHash || record.hashes[record.hashes.length - 1];
+      },
+      nonce: record.nonce,
+      wait: () => new Promise((resolve, reject) => {
+        const settle = () => {
+          if (record.status === 'mined') {
+            resolve(record.receipt);
+          } else if (record.status !== 'pending') {
+            reject(new Error(`Transaction ${record.status}: ${record.error}`));
+          } else {
+            return false;
+          }
+          txEvents.off(record.id, settle);
+          return true;
+        };
+        if (!settle()) {
+          txEvents.on(record.id, settle);
+          scheduleTransactionMonitor(0);
+        }
+      })
+    };
+  }
+
+  async function sendContractTransaction(method, args, network = primaryNetwork) {
+    const { provider, wallet, contract } = network;
+    return withSendLock(network, async () => {
+      // Reverts surface here, before a nonce is used, with the contract's reason decoded
+      const gasLimit = await contract[method].estimateGas(...args);
+      const populated = await contract[method].populateTransaction(...args);
+
+      for (let attempt = 1; ; attempt++) {
+        const chainNonce = await provider.getTransactionCount(wallet.address, 'pending');
+        const createdAt = new Date().toISOString();
+        const record = {
+          id: crypto.randomBytes(8).toString('hex'),
+          network: network.name,
+          nonce: Math.max(network.nextNonce ?? 0, chainNonce),
+          method,
+          args: serializeTransactionArgs(args),
+          to: populated.to,
+          data: populated.data,
+          gasLimit,
+          fees: await currentFees(network),
+          hashes: [],
+          status: 'pending',
+          createdAt,
+          sentAt: createdAt
+        };
+
+        record.raw = await signManagedTransaction(record);
+        record.hashes.push(ethers.keccak256(record.raw));
+        saveManagedTransaction(record);
+
+        try {
+          await provider.broadcastTransaction(record.raw);
+        } catch (error) {
+          record.status = 'failed';
+          record.error = error.shortMessage || error.message;
+          saveManagedTransaction(record);
+
+          // Another sender used this nonce (or the node restarted): resync from the chain once
+          if (attempt < 2 && /nonce/i.test(error.message)) {
+            console.warn(`⚠️  Nonce ${record.nonce} rejected on ${network.name}, resyncing`);
+            network.nextNonce = null;
+            continue;
+          }
+          throw error;
+        }
+
+        network.nextNonce = record.nonce + 1;
+        pendingTransactions.set(record.id, record);
+        console.log(`📨 ${method} sent on ${network.name} with nonce ${record.nonce}`);
+        return managedTransactionResponse(record);
+      }
+    });
+  }
+
+  function settleManagedTransaction(record, changes) {
+    Object.assign(record, changes);
+    saveManagedTransaction(record);
+    pendingTransactions.delete(record.id);
+    txEvents.emit(record.id);
+  }
+
+  async function findManagedReceipt(record) {
+    const { provider } = transactionNetwork(record);
+    for (const hash of [...record.hashes].reverse()) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async function checkManagedTransaction(record) {
+    const { provider, wallet } = transactionNetwork(record);
+    let receipt = await findManagedReceipt(record);
+    if (!receipt && await provider.getTransactionCount(wallet.address, 'latest') > record.nonce) {
+      // The nonce is used; look once more in case our transaction was mined in between
+      receipt = await findManagedReceipt(record);
+      if (!receipt) {
+        console.warn(`⚠️  ${record.method} (nonce ${record.nonce}) was replaced by an unknown transaction`);
+        return settleManagedTransaction(record, { status: 'dropped', error: 'Nonce used by another transaction' });
+      }
+    }
+
+    if (receipt) {
+      if (receipt.status === 1) {
+        console.log(`⛏️  ${record.method} (nonce ${record.nonce}) mined in block ${receipt.blockNumber}`);
+        return settleManagedTransaction(record, { status: 'mined', minedHash: receipt.hash, blockNumber: receipt.blockNumber, receipt });
+      }
+      return settleManagedTransaction(record, {
+        status: 'failed',
+        minedHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        receipt,
+        error: 'Transaction reverted'
+      });
+    }
+
+    const latestHash = record.hashes[record.hashes.length - 1];
+    if (Date.now() - new Date(record.sentAt).getTime() >= TX_RESUBMIT_AFTER * 1000) {
+      const fees = bumpFees(record.fees);
+      if (JSON.stringify(fees) === JSON.stringify(record.fees)) {
+        console.warn(`⚠️  ${record.method} (nonce ${record.nonce}) is stuck at the fee cap`);
+        record.sentAt = new Date().toISOString();
+        return saveManagedTransaction(record);
+      }
+
+      record.fees = fees;
+      record.raw = await signManagedTransaction(record);
+      record.hashes.push(ethers.keccak256(record.raw));
+      record.sentAt = new Date().toISOString();
+      saveManagedTransaction(record);
+      console.log(`⛽ Resubmitting ${record.method} (nonce ${record.nonce}) with higher fees`, fees);
+      await provider.broadcastTransaction(record.raw);
+    } else if (!await provider.getTransaction(latestHash)) {
+      // The node forgot it, e.g. after a restart of either side
+      console.log(`📨 Rebroadcasting ${record.method} (nonce ${record.nonce})`);
+      await provider.broadcastTransaction(record.raw);
+    }
+  }
+
+  async function monitorPendingTransactions() {
+    txMonitorTimer = null;
+    if (txMonitorRunning) return;
+    txMonitorRunning = true;
+
+    for (const record of [...pendingTransactions.values()]) {
+      try {
+        await checkManagedTransaction(record);
+      } catch (error) {
+        console.error(`❌ Transaction monitor error (${record.method}, nonce ${record.nonce}):`, error.shortMessage || error.message);
+      }
+    }
+
+    txMonitorRunning = false;
+    if (pendingTransactions.size > 0) {
+      scheduleTransactionMonitor(TX_MONITOR_INTERVAL);
+    }
+  }
+
+  function scheduleTransactionMonitor(delay) {
+    if (txMonitorTimer) {
+      if (delay > 0) return;
+      clearTimeout(txMonitorTimer);
+    }
+    txMonitorTimer = setTimeout(monitorPendingTransactions, delay);
+    txMonitorTimer.unref();
+  }
+
+  async function startTransactionManager() {
+    if (db) {
+      const rows = db.prepare(`
+        SELECT * FROM managed_transactions WHERE status = 'pending' ORDER BY nonce
+      `).all();
+      let recovered = 0;
+      for (const row of rows) {
+        const network = transactionNetwork(row);
+        if (!network) {
+          console.warn(`⚠️  Pending ${row.method} (nonce ${row.nonce}) is on ${row.network}, which is not connected`);
+          continue;
+        }
+        pendingTransactions.set(row.id, {
+          id: row.id,
+          network: row.network,
+          nonce: row.nonce,
+          method: row.method,
+          args: row.args,
+          to: row.to_address,
+          data: row.data,
+          gasLimit: BigInt(row.gas_limit),
+          fees: JSON.parse(row.fees),
+          raw: row.raw_transaction,
+          hashes: JSON.parse(row.tx_hashes),
+          status: row.status,
+          createdAt: row.created_at,
+          sentAt: row.sent_at,
+          updatedAt: row.updated_at
+        });
+        network.nextNonce = Math.max(network.nextNonce ?? 0, row.nonce + 1);
+        recovered++;
+      }
+      if (recovered > 0) {
+        console.log(`🔁 Recovering ${recovered} pending transaction(s)`);
+        scheduleTransactionMonitor(0);
+      }
+    }
+
+    console.log('✅ Transaction manager ready');
+  }
+
+  return {
+    sendContractTransaction,
+    describeFinality,
+    formatManagedTransaction,
+    start: startTransactionManager,
+    pendingCount: () => pendingTransactions.size
+  };
+};
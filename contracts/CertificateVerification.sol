@@ -11,19 +11,113 @@ contract CertificateVerification {
     // ---------------------
     // Certificate Structure
     // ---------------------
+    enum CertificateStatus { NotIssued, Valid, Expired, Revoked, Suspended }
+
+    // Identity = salted hash of name + email; Wallet = salted hash of the recipient's address
+    enum RecipientBinding { None, Identity, Wallet }
+
     struct Certificate {
         bool isValid;
         address issuer;
+        RecipientBinding recipientBinding;
         uint256 issuedAt;
+        uint256 expiresAt;
+        bytes32 recipientCommitment;
         string ipfsCID;
     }
 
+    // ---------------------
+    // Revocation Structure
+    // ---------------------
+    enum RevocationReason { Unspecified, ClericalError, Fraud, IssuedInError, Misconduct, Other, Superseded }
+
+    struct Revocation {
+        uint256 revokedAt;
+        RevocationReason reason;
+        string note;
+    }
+
+    // ---------------------
+    // Suspension Structure
+    // ---------------------
+    struct SuspensionRecord {
+        bool suspended;
+        address actor;
+        uint256 timestamp;
+        string note;
+    }
+
+    // ---------------------
+    // Batch Structure
+    // ---------------------
+    struct Batch {
+        bool isValid;
+        address issuer;
+        uint256 issuedAt;
+        uint256 certificateCount;
+        string ipfsCID;
+    }
+
+    // ---------------------
+    // Issuer Registry
+    // ---------------------
+    enum IssuerStatus { None, Active, Suspended }
+
+    struct Issuer {
+        string name;
+        string metadataURI;
+        IssuerStatus status;
+        uint256 registeredAt;
+    }
+
     // Mapping: certificate hash => Certificate details
     mapping(bytes32 => Certificate) private certificates;
 
+    // Mapping: certificate hash => Revocation details
+    mapping(bytes32 => Revocation) private revocations;
+
+    // Suspension state and audit trail: certificate hash => suspend/reinstate records
+    mapping(bytes32 => bool) private suspended;
+    mapping(bytes32 => SuspensionRecord[]) private suspensionHistory;
+
+    // Supersession chain: old hash => replacement hash, and replacement => old hash
+    mapping(bytes32 => bytes32) private supersededBy;
+    mapping(bytes32 => bytes32) private supersedes;
+
+    // Mapping: Merkle root => Batch details
+    mapping(bytes32 => Batch) private batches;
+
+    // Mapping: issuer address => Issuer details
+    mapping(address => Issuer) private issuers;
+
+    // Access control
+    address public owner;
+    mapping(address => bool) public admins;
+
+    // EIP-712 signed issuance: issuers sign, any relayer may submit
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant ISSUE_TYPEHASH = keccak256(
+        "IssueCertificate(bytes32 certHash,string ipfsCID,uint256 expiresAt,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant REVOKE_TYPEHASH = keccak256(
+        "RevokeCertificate(bytes32 certHash,uint8 reason,string note,uint256 nonce,uint256 deadline)"
+    );
+
+    // Mapping: issuer address => next signature nonce
+    mapping(address => uint256) public nonces;
+
+    // Soulbound certificate tokens: tokenId = uint256(certHash)
+    string public constant name = "Verified Certificate";
+    string public constant symbol = "CERT";
+    mapping(uint256 => address) private tokenOwners;
+    mapping(address => uint256) private tokenBalances;
+
     // Statistics
     uint256 public totalIssued;
     uint256 public totalRevoked;
+    uint256 public totalBatches;
 
     // ---------------------
     // Events
@@ -36,9 +130,63 @@ contract CertificateVerification {
     );
 
     event CertificateRevoked(
-        bytes32 indexed certHash
+        bytes32 indexed certHash,
+        RevocationReason reason,
+        uint256 revokedAt,
+        string note
+    );
+
+    event CertificateSuperseded(
+        bytes32 indexed oldCertHash,
+        bytes32 indexed newCertHash
     );
 
+    event CertificateSuspended(
+        bytes32 indexed certHash,
+        address indexed actor,
+        uint256 suspendedAt,
+        string note
+    );
+
+    event CertificateReinstated(
+        bytes32 indexed certHash,
+        address indexed actor,
+        uint256 reinstatedAt,
+        string note
+    );
+
+    event RecipientBound(
+        bytes32 indexed certHash,
+        RecipientBinding binding,
+        bytes32 commitment
+    );
+
+    event CertificateExpirySet(
+        bytes32 indexed certHash,
+        uint256 expiresAt
+    );
+
+    event BatchIssued(
+        bytes32 indexed merkleRoot,
+        address indexed issuer,
+        uint256 certificateCount,
+        string ipfsCID
+    );
+
+    event BatchRevoked(
+        bytes32 indexed merkleRoot
+    );
+
+    // ERC-721 / ERC-5192
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Locked(uint256 tokenId);
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event AdminUpdated(address indexed account, bool isAdmin);
+    event IssuerRegistered(address indexed issuer, string name, string metadataURI);
+    event IssuerStatusChanged(address indexed issuer, IssuerStatus status);
+    event IssuerRemoved(address indexed issuer);
+
     // ---------------------
     // Modifiers
     // ---------------------
@@ -58,6 +206,42 @@ contract CertificateVerification {
         _;
     }
 
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized: only owner");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(msg.sender == owner || admins[msg.sender], "Not authorized: only admin");
+        _;
+    }
+
+    modifier onlyActiveIssuer() {
+        require(
+            issuers[msg.sender].status == IssuerStatus.Active,
+            "Not authorized: issuer not registered or suspended"
+        );
+        _;
+    }
+
+    modifier issuerRegistered(address account) {
+        require(issuers[account].status != IssuerStatus.None, "Issuer not registered");
+        _;
+    }
+
+    modifier batchExists(bytes32 merkleRoot) {
+        require(batches[merkleRoot].isValid, "Batch does not exist or has been revoked");
+        _;
+    }
+
+    modifier onlyBatchIssuer(bytes32 merkleRoot) {
+        require(
+            batches[merkleRoot].issuer == msg.sender,
+            "Not authorized: only issuer can revoke"
+        );
+        _;
+    }
+
     modifier onlyIssuer(bytes32 certHash) {
         require(
             certificates[certHash].issuer == msg.sender,
@@ -71,46 +255,279 @@ contract CertificateVerification {
     // ---------------------
     
     constructor() {
+        owner = msg.sender;
         totalIssued = 0;
         totalRevoked = 0;
     }
 
+    // ---------------------
+    // Access Control
+    // ---------------------
+
+    /**
+     * @dev Transfer contract ownership
+     * @param newOwner Address of the new owner
+     */
+    function transferOwnership(address newOwner) public onlyOwner {
+        require(newOwner != address(0), "Invalid owner address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    /**
+     * @dev Grant or revoke the admin role
+     * @param account Address to update
+     * @param isAdmin True to grant, false to revoke
+     */
+    function setAdmin(address account, bool isAdmin) public onlyOwner {
+        require(account != address(0), "Invalid admin address");
+        admins[account] = isAdmin;
+        emit AdminUpdated(account, isAdmin);
+    }
+
+    // ---------------------
+    // Issuer Registry
+    // ---------------------
+
+    /**
+     * @dev Register a new issuer or update an existing issuer's details
+     * @param account Issuer address
+     * @param issuerName Display name of the issuing institution
+     * @param metadataURI URI pointing to additional issuer metadata
+     */
+    function registerIssuer(address account, string memory issuerName, string memory metadataURI)
+        public
+        onlyAdmin
+    {
+        require(account != address(0), "Invalid issuer address");
+        require(bytes(issuerName).length > 0, "Invalid issuer name");
+
+        Issuer storage issuer = issuers[account];
+        if (issuer.status == IssuerStatus.None) {
+            issuer.status = IssuerStatus.Active;
+            issuer.registeredAt = block.timestamp;
+        }
+        issuer.name = issuerName;
+        issuer.metadataURI = metadataURI;
+
+        emit IssuerRegistered(account, issuerName, metadataURI);
+    }
+
+    /**
+     * @dev Suspend an issuer; suspended issuers cannot issue new certificates
+     * @param account Issuer address
+     */
+    function suspendIssuer(address account) public onlyAdmin issuerRegistered(account) {
+        issuers[account].status = IssuerStatus.Suspended;
+        emit IssuerStatusChanged(account, IssuerStatus.Suspended);
+    }
+
+    /**
+     * @dev Reactivate a suspended issuer
+     * @param account Issuer address
+     */
+    function activateIssuer(address account) public onlyAdmin issuerRegistered(account) {
+        issuers[account].status = IssuerStatus.Active;
+        emit IssuerStatusChanged(account, IssuerStatus.Active);
+    }
+
+    /**
+     * @dev Remove an issuer from the registry
+     * @param account Issuer address
+     */
+    function removeIssuer(address account) public onlyAdmin issuerRegistered(account) {
+        delete issuers[account];
+        emit IssuerRemoved(account);
+    }
+
+    /**
+     * @dev Get an issuer's registry entry
+     * @param account Issuer address
+     * @return issuerName Display name of the issuer
+     * @return metadataURI URI of the issuer metadata
+     * @return status Registry status (0 = none, 1 = active, 2 = suspended)
+     * @return registeredAt Timestamp when the issuer was registered
+     */
+    function getIssuer(address account)
+        public
+        view
+        returns (
+            string memory issuerName,
+            string memory metadataURI,
+            IssuerStatus status,
+            uint256 registeredAt
+        )
+    {
+        Issuer memory issuer = issuers[account];
+        return (issuer.name, issuer.metadataURI, issuer.status, issuer.registeredAt);
+    }
+
     // ---------------------
     // Main Functions
     // ---------------------
 
     /**
-     * @dev Issue a new certificate
+     * @dev Issue a new certificate that never expires (only by an active registered issuer)
      * @param certHash SHA-256 hash of the certificate PDF
      * @param ipfsCID IPFS Content Identifier where the certificate is stored
      */
     function issueCertificate(bytes32 certHash, string memory ipfsCID) 
         public 
+    {
+        issueCertificateWithExpiry(certHash, ipfsCID, 0);
+    }
+
+    /**
+     * @dev Issue a new certificate valid until a given time (only by an active registered issuer)
+     * @param certHash SHA-256 hash of the certificate PDF
+     * @param ipfsCID IPFS Content Identifier where the certificate is stored
+     * @param expiresAt Expiry timestamp, or 0 for a certificate that never expires
+     */
+    function issueCertificateWithExpiry(bytes32 certHash, string memory ipfsCID, uint256 expiresAt)
+        public
+        onlyActiveIssuer
+        validHash(certHash)
+        validCID(ipfsCID)
+    {
+        _issueCertificate(msg.sender, certHash, ipfsCID, expiresAt);
+    }
+
+    /**
+     * @dev Issue a certificate and mint a non-transferable token for it to the recipient
+     *      (only by an active registered issuer)
+     * @param certHash SHA-256 hash of the certificate PDF
+     * @param ipfsCID IPFS Content Identifier where the certificate is stored
+     * @param expiresAt Expiry timestamp, or 0 for a certificate that never expires
+     * @param recipient Wallet that receives the soulbound token
+     */
+    function issueCertificateToRecipient(bytes32 certHash, string memory ipfsCID, uint256 expiresAt, address recipient)
+        public
+        onlyActiveIssuer
+        validHash(certHash)
+        validCID(ipfsCID)
+    {
+        _issueCertificate(msg.sender, certHash, ipfsCID, expiresAt);
+        _mintToken(recipient, uint256(certHash));
+    }
+
+    /**
+     * @dev Issue a certificate bound to its recipient, optionally minting a token
+     *      (only by an active registered issuer)
+     * @param certHash SHA-256 hash of the certificate PDF
+     * @param ipfsCID IPFS Content Identifier where the certificate is stored
+     * @param expiresAt Expiry timestamp, or 0 for a certificate that never expires
+     * @param tokenRecipient Wallet that receives the soulbound token, or zero for no token
+     * @param binding Kind of recipient identity committed to
+     * @param commitment Salted hash of the recipient identity (computed off-chain)
+     */
+    function issueBoundCertificate(
+        bytes32 certHash,
+        string memory ipfsCID,
+        uint256 expiresAt,
+        address tokenRecipient,
+        RecipientBinding binding,
+        bytes32 commitment
+    )
+        public
+        onlyActiveIssuer
         validHash(certHash)
         validCID(ipfsCID)
     {
+        require(binding != RecipientBinding.None && commitment != bytes32(0), "Invalid recipient binding");
+
+        _issueCertificate(msg.sender, certHash, ipfsCID, expiresAt);
+        _bindRecipient(certHash, binding, commitment);
+        if (tokenRecipient != address(0)) {
+            _mintToken(tokenRecipient, uint256(certHash));
+        }
+    }
+
+    /**
+     * @dev Replace a certificate with a corrected one: revokes the old certificate with reason
+     *      Superseded and issues the new one with the same expiry and recipient binding
+     *      (only by original issuer).
+     *      If the old certificate had a token, its holder receives a token for the replacement.
+     * @param oldHash SHA-256 hash of the certificate being replaced
+     * @param newHash SHA-256 hash of the replacement certificate PDF
+     * @param ipfsCID IPFS Content Identifier where the replacement is stored
+     */
+    function supersedeCertificate(bytes32 oldHash, bytes32 newHash, string memory ipfsCID)
+        public
+        onlyActiveIssuer
+        validHash(oldHash)
+        validHash(newHash)
+        validCID(ipfsCID)
+        certExists(oldHash)
+        onlyIssuer(oldHash)
+    {
+        uint256 expiresAt = certificates[oldHash].expiresAt;
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Cannot supersede an expired certificate");
+        require(!suspended[oldHash], "Cannot supersede a suspended certificate");
+
+        address holder = tokenOwners[uint256(oldHash)];
+
+        _issueCertificate(msg.sender, newHash, ipfsCID, expiresAt);
+        _revokeCertificate(oldHash, RevocationReason.Superseded, "");
+        if (holder != address(0)) {
+            _mintToken(holder, uint256(newHash));
+        }
+
+        Certificate storage oldCert = certificates[oldHash];
+        if (oldCert.recipientBinding != RecipientBinding.None) {
+            _bindRecipient(newHash, oldCert.recipientBinding, oldCert.recipientCommitment);
+        }
+
+        supersededBy[oldHash] = newHash;
+        supersedes[newHash] = oldHash;
+
+        emit CertificateSuperseded(oldHash, newHash);
+    }
+
+    /**
+     * @dev Store a new certificate; shared by issue, supersede and signed issue
+     */
+    function _issueCertificate(address issuer, bytes32 certHash, string memory ipfsCID, uint256 expiresAt) internal {
         require(!certificates[certHash].isValid, "Certificate already issued");
         require(certificates[certHash].issuer == address(0), "Certificate was previously issued");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Invalid expiry date");
 
         certificates[certHash] = Certificate({
             isValid: true,
-            issuer: msg.sender,
+            issuer: issuer,
+            recipientBinding: RecipientBinding.None,
             issuedAt: block.timestamp,
+            expiresAt: expiresAt,
+            recipientCommitment: bytes32(0),
             ipfsCID: ipfsCID
         });
 
         totalIssued++;
 
-        emit CertificateIssued(certHash, msg.sender, ipfsCID);
+        emit CertificateIssued(certHash, issuer, ipfsCID);
+        if (expiresAt != 0) {
+            emit CertificateExpirySet(certHash, expiresAt);
+        }
+    }
+
+    /**
+     * @dev Record the recipient commitment of a freshly issued certificate
+     */
+    function _bindRecipient(bytes32 certHash, RecipientBinding binding, bytes32 commitment) internal {
+        certificates[certHash].recipientBinding = binding;
+        certificates[certHash].recipientCommitment = commitment;
+
+        emit RecipientBound(certHash, binding, commitment);
     }
 
     /**
      * @dev Verify a certificate's validity and get its details
      * @param certHash SHA-256 hash of the certificate to verify
-     * @return validity Whether the certificate is valid
+     * @return validity Whether the certificate is valid (issued, not revoked, not expired)
      * @return certIssuer Address of the certificate issuer
      * @return issueTimestamp Timestamp when the certificate was issued
      * @return storageCID IPFS CID of the certificate file
+     * @return status Current status (0 = not issued, 1 = valid, 2 = expired, 3 = revoked, 4 = suspended)
+     * @return expiryTimestamp Expiry timestamp, or 0 if the certificate never expires
      */
     function verifyCertificate(bytes32 certHash)
         public
@@ -120,27 +537,535 @@ contract CertificateVerification {
             bool validity,
             address certIssuer,
             uint256 issueTimestamp,
-            string memory storageCID
+            string memory storageCID,
+            CertificateStatus status,
+            uint256 expiryTimestamp
         )
     {
         Certificate memory cert = certificates[certHash];
-        return (cert.isValid, cert.issuer, cert.issuedAt, cert.ipfsCID);
+        CertificateStatus certStatus = _certificateStatus(certHash, cert);
+        return (
+            certStatus == CertificateStatus.Valid,
+            cert.issuer,
+            cert.issuedAt,
+            cert.ipfsCID,
+            certStatus,
+            cert.expiresAt
+        );
     }
 
     /**
-     * @dev Revoke a certificate (only by original issuer)
+     * @dev Revoke a certificate without giving a reason (only by original issuer)
      * @param certHash SHA-256 hash of the certificate to revoke
      */
     function revokeCertificate(bytes32 certHash) 
         public 
+    {
+        revokeCertificateWithReason(certHash, RevocationReason.Unspecified, "");
+    }
+
+    /**
+     * @dev Revoke a certificate and record why (only by original issuer)
+     * @param certHash SHA-256 hash of the certificate to revoke
+     * @param reason Reason code for the revocation
+     * @param note Optional free-text explanation
+     */
+    function revokeCertificateWithReason(bytes32 certHash, RevocationReason reason, string memory note)
+        public
         validHash(certHash)
         certExists(certHash)
         onlyIssuer(certHash)
     {
+        _validateRevocation(reason, note);
+        _revokeCertificate(certHash, reason, note);
+    }
+
+    /**
+     * @dev Check a caller-supplied revocation reason and note
+     */
+    function _validateRevocation(RevocationReason reason, string memory note) internal pure {
+        require(reason != RevocationReason.Superseded, "Use supersedeCertificate to supersede");
+        require(bytes(note).length <= 256, "Revocation note too long");
+    }
+
+    /**
+     * @dev Mark a certificate revoked, record why and burn its token; shared by revoke, signed revoke and supersede
+     */
+    function _revokeCertificate(bytes32 certHash, RevocationReason reason, string memory note) internal {
         certificates[certHash].isValid = false;
+        if (tokenOwners[uint256(certHash)] != address(0)) {
+            _burnToken(uint256(certHash));
+        }
+        revocations[certHash] = Revocation({
+            revokedAt: block.timestamp,
+            reason: reason,
+            note: note
+        });
         totalRevoked++;
 
-        emit CertificateRevoked(certHash);
+        emit CertificateRevoked(certHash, reason, block.timestamp, note);
+    }
+
+    // ---------------------
+    // Signed (Relayed) Functions
+    // ---------------------
+
+    /**
+     * @dev EIP-712 domain separator for signed issue/revoke messages
+     * @return bytes32 The domain separator for this contract on the current chain
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes("CertificateVerification")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @dev Issue a certificate on behalf of an issuer who signed an IssueCertificate message;
+     *      the signer, not the relayer, is recorded as the issuer
+     * @param issuer Address of the active registered issuer that signed the message
+     * @param certHash SHA-256 hash of the certificate PDF
+     * @param ipfsCID IPFS Content Identifier where the certificate is stored
+     * @param expiresAt Expiry timestamp, or 0 for a certificate that never expires
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature 65-byte EIP-712 signature by the issuer
+     */
+    function issueCertificateBySig(
+        address issuer,
+        bytes32 certHash,
+        string memory ipfsCID,
+        uint256 expiresAt,
+        uint256 deadline,
+        bytes memory signature
+    )
+        public
+        validHash(certHash)
+        validCID(ipfsCID)
+    {
+        require(
+            issuers[issuer].status == IssuerStatus.Active,
+            "Not authorized: issuer not registered or suspended"
+        );
+
+        bytes32 structHash = keccak256(abi.encode(
+            ISSUE_TYPEHASH,
+            certHash,
+            keccak256(bytes(ipfsCID)),
+            expiresAt,
+            nonces[issuer],
+            deadline
+        ));
+        _useSignature(issuer, structHash, deadline, signature);
+
+        _issueCertificate(issuer, certHash, ipfsCID, expiresAt);
+    }
+
+    /**
+     * @dev Revoke a certificate on behalf of its issuer who signed a RevokeCertificate message
+     * @param issuer Address of the certificate's issuer that signed the message
+     * @param certHash SHA-256 hash of the certificate to revoke
+     * @param reason Reason code for the revocation
+     * @param note Optional free-text explanation
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature 65-byte EIP-712 signature by the issuer
+     */
+    function revokeCertificateBySig(
+        address issuer,
+        bytes32 certHash,
+        RevocationReason reason,
+        string memory note,
+        uint256 deadline,
+        bytes memory signature
+    )
+        public
+        validHash(certHash)
+        certExists(certHash)
+    {
+        require(certificates[certHash].issuer == issuer, "Not authorized: only issuer can revoke");
+        _validateRevocation(reason, note);
+
+        bytes32 structHash = keccak256(abi.encode(
+            REVOKE_TYPEHASH,
+            certHash,
+            reason,
+            keccak256(bytes(note)),
+            nonces[issuer],
+            deadline
+        ));
+        _useSignature(issuer, structHash, deadline, signature);
+
+        _revokeCertificate(certHash, reason, note);
+    }
+
+    /**
+     * @dev Check a signed message against its expected signer and consume the signer's nonce
+     */
+    function _useSignature(address signer, bytes32 structHash, uint256 deadline, bytes memory signature) internal {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        require(_recoverSigner(digest, signature) == signer, "Invalid signature");
+
+        nonces[signer]++;
+    }
+
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature
+     */
+    function _recoverSigner(bytes32 digest, bytes memory signature) internal pure returns (address) {
+        require(signature.length == 65, "Invalid signature length");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 0x20))
+            s := mload(add(signature, 0x40))
+            v := byte(0, mload(add(signature, 0x60)))
+        }
+        if (v < 27) {
+            v += 27;
+        }
+
+        // Reject malleable signatures (upper-range s)
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+
+    // ---------------------
+    // Soulbound Token (ERC-721 / ERC-5192)
+    // ---------------------
+
+    /**
+     * @dev ERC-165 interface detection: ERC-165, ERC-721, ERC-721 Metadata and ERC-5192
+     * @param interfaceId Interface identifier
+     * @return bool True if the interface is supported
+     */
+    function supportsInterface(bytes4 interfaceId) public pure returns (bool) {
+        return interfaceId == 0x01ffc9a7
+            || interfaceId == 0x80ac58cd
+            || interfaceId == 0x5b5e139f
+            || interfaceId == 0xb45a3c0e;
+    }
+
+    /**
+     * @dev Number of certificate tokens held by an address
+     * @param holder Token holder
+     * @return uint256 The balance
+     */
+    function balanceOf(address holder) public view returns (uint256) {
+        require(holder != address(0), "Invalid holder address");
+        return tokenBalances[holder];
+    }
+
+    /**
+     * @dev Holder of a certificate token
+     * @param tokenId Token ID (the certificate hash as uint256)
+     * @return address The holder
+     */
+    function ownerOf(uint256 tokenId) public view returns (address) {
+        address holder = tokenOwners[tokenId];
+        require(holder != address(0), "Token does not exist");
+        return holder;
+    }
+
+    /**
+     * @dev Metadata URI of a certificate token: the certificate file on IPFS
+     * @param tokenId Token ID (the certificate hash as uint256)
+     * @return string ipfs:// URI of the certificate
+     */
+    function tokenURI(uint256 tokenId) public view returns (string memory) {
+        require(tokenOwners[tokenId] != address(0), "Token does not exist");
+        return string(abi.encodePacked("ipfs://", certificates[bytes32(tokenId)].ipfsCID));
+    }
+
+    /**
+     * @dev ERC-5192: certificate tokens are always locked
+     * @param tokenId Token ID (the certificate hash as uint256)
+     * @return bool Always true for an existing token
+     */
+    function locked(uint256 tokenId) public view returns (bool) {
+        require(tokenOwners[tokenId] != address(0), "Token does not exist");
+        return true;
+    }
+
+    /**
+     * @dev Get the current token holder of a certificate
+     * @param certHash SHA-256 hash of the certificate
+     * @return address The holder, or zero if no token exists (none minted, or burned on revocation)
+     */
+    function getCertificateHolder(bytes32 certHash) public view returns (address) {
+        return tokenOwners[uint256(certHash)];
+    }
+
+    // Certificate tokens are soulbound: every transfer and approval reverts
+    function transferFrom(address, address, uint256) public pure {
+        revert("Soulbound: token is non-transferable");
+    }
+
+    function safeTransferFrom(address, address, uint256) public pure {
+        revert("Soulbound: token is non-transferable");
+    }
+
+    function safeTransferFrom(address, address, uint256, bytes memory) public pure {
+        revert("Soulbound: token is non-transferable");
+    }
+
+    function approve(address, uint256) public pure {
+        revert("Soulbound: token is non-transferable");
+    }
+
+    function setApprovalForAll(address, bool) public pure {
+        revert("Soulbound: token is non-transferable");
+    }
+
+    function getApproved(uint256) public pure returns (address) {
+        return address(0);
+    }
+
+    function isApprovedForAll(address, address) public pure returns (bool) {
+        return false;
+    }
+
+    /**
+     * @dev Mint a locked certificate token
+     */
+    function _mintToken(address to, uint256 tokenId) internal {
+        require(to != address(0), "Invalid recipient address");
+
+        tokenOwners[tokenId] = to;
+        tokenBalances[to]++;
+
+        emit Transfer(address(0), to, tokenId);
+        emit Locked(tokenId);
+    }
+
+    /**
+     * @dev Burn a certificate token
+     */
+    function _burnToken(uint256 tokenId) internal {
+        address holder = tokenOwners[tokenId];
+        tokenBalances[holder]--;
+        delete tokenOwners[tokenId];
+
+        emit Transfer(holder, address(0), tokenId);
+    }
+
+    // ---------------------
+    // Suspension Functions
+    // ---------------------
+
+    /**
+     * @dev Temporarily suspend a certificate, e.g. during an investigation (only by original issuer)
+     * @param certHash SHA-256 hash of the certificate to suspend
+     * @param note Optional free-text explanation
+     */
+    function suspendCertificate(bytes32 certHash, string memory note)
+        public
+        validHash(certHash)
+        certExists(certHash)
+        onlyIssuer(certHash)
+    {
+        require(!suspended[certHash], "Certificate already suspended");
+        _recordSuspension(certHash, true, note);
+
+        emit CertificateSuspended(certHash, msg.sender, block.timestamp, note);
+    }
+
+    /**
+     * @dev Lift a suspension and restore the certificate's previous status (only by original issuer)
+     * @param certHash SHA-256 hash of the certificate to reinstate
+     * @param note Optional free-text explanation
+     */
+    function reinstateCertificate(bytes32 certHash, string memory note)
+        public
+        validHash(certHash)
+        certExists(certHash)
+        onlyIssuer(certHash)
+    {
+        require(suspended[certHash], "Certificate not suspended");
+        _recordSuspension(certHash, false, note);
+
+        emit CertificateReinstated(certHash, msg.sender, block.timestamp, note);
+    }
+
+    /**
+     * @dev Update the suspension flag and append to the audit trail; shared by suspend and reinstate
+     */
+    function _recordSuspension(bytes32 certHash, bool isSuspended, string memory note) internal {
+        require(bytes(note).length <= 256, "Suspension note too long");
+
+        suspended[certHash] = isSuspended;
+        suspensionHistory[certHash].push(SuspensionRecord({
+            suspended: isSuspended,
+            actor: msg.sender,
+            timestamp: block.timestamp,
+            note: note
+        }));
+    }
+
+    // ---------------------
+    // Batch Functions
+    // ---------------------
+
+    /**
+     * @dev Anchor the Merkle root of a batch of certificates (only by an active registered issuer)
+     * @param merkleRoot Root of the Merkle tree built over the certificates' SHA-256 hashes
+     * @param ipfsCID IPFS CID of the directory holding the batch's certificate files
+     * @param certificateCount Number of certificates (leaves) in the batch
+     */
+    function issueBatch(bytes32 merkleRoot, string memory ipfsCID, uint256 certificateCount)
+        public
+        onlyActiveIssuer
+        validHash(merkleRoot)
+        validCID(ipfsCID)
+    {
+        require(certificateCount > 0, "Empty batch");
+        require(batches[merkleRoot].issuer == address(0), "Batch already issued");
+
+        batches[merkleRoot] = Batch({
+            isValid: true,
+            issuer: msg.sender,
+            issuedAt: block.timestamp,
+            certificateCount: certificateCount,
+            ipfsCID: ipfsCID
+        });
+
+        totalIssued += certificateCount;
+        totalBatches++;
+
+        emit BatchIssued(merkleRoot, msg.sender, certificateCount, ipfsCID);
+    }
+
+    /**
+     * @dev Revoke every certificate in a batch (only by original issuer)
+     * @param merkleRoot Merkle root of the batch to revoke
+     */
+    function revokeBatch(bytes32 merkleRoot)
+        public
+        validHash(merkleRoot)
+        batchExists(merkleRoot)
+        onlyBatchIssuer(merkleRoot)
+    {
+        batches[merkleRoot].isValid = false;
+        totalRevoked += batches[merkleRoot].certificateCount;
+
+        emit BatchRevoked(merkleRoot);
+    }
+
+    /**
+     * @dev Verify a batch certificate against an anchored Merkle root
+     * @param certHash SHA-256 hash of the certificate PDF
+     * @param merkleRoot Merkle root the certificate was issued under
+     * @param proof Sibling hashes from the leaf up to the root (sorted-pair hashing)
+     * @return validity Whether the proof is valid and the batch has not been revoked
+     * @return certIssuer Address of the batch issuer
+     * @return issueTimestamp Timestamp when the batch was anchored
+     * @return storageCID IPFS CID of the batch directory
+     * @return status Current status (0 = not issued, 1 = valid, 3 = revoked)
+     * @return expiryTimestamp Always 0; batch certificates do not expire
+     */
+    function verifyBatchCertificate(bytes32 certHash, bytes32 merkleRoot, bytes32[] memory proof)
+        public
+        view
+        validHash(certHash)
+        returns (
+            bool validity,
+            address certIssuer,
+            uint256 issueTimestamp,
+            string memory storageCID,
+            CertificateStatus status,
+            uint256 expiryTimestamp
+        )
+    {
+        Batch memory batch = batches[merkleRoot];
+        bool included = batch.issuer != address(0) && _processProof(certHash, proof) == merkleRoot;
+        if (!included) {
+            return (false, address(0), 0, "", CertificateStatus.NotIssued, 0);
+        }
+        CertificateStatus batchStatus = batch.isValid ? CertificateStatus.Valid : CertificateStatus.Revoked;
+        return (batch.isValid, batch.issuer, batch.issuedAt, batch.ipfsCID, batchStatus, 0);
+    }
+
+    /**
+     * @dev Get batch information
+     * @param merkleRoot Merkle root of the batch
+     * @return validity Whether the batch is currently valid
+     * @return batchIssuer The address that anchored the batch
+     * @return issueTimestamp The timestamp when anchored
+     * @return certificateCount Number of certificates in the batch
+     * @return storageCID IPFS CID of the batch directory
+     */
+    function getBatchDetails(bytes32 merkleRoot)
+        public
+        view
+        returns (
+            bool validity,
+            address batchIssuer,
+            uint256 issueTimestamp,
+            uint256 certificateCount,
+            string memory storageCID
+        )
+    {
+        Batch memory batch = batches[merkleRoot];
+        return (batch.isValid, batch.issuer, batch.issuedAt, batch.certificateCount, batch.ipfsCID);
+    }
+
+    /**
+     * @dev Derive a certificate's current status; revocation outranks suspension, which outranks expiry
+     * @param certHash SHA-256 hash of the certificate
+     * @param cert The stored certificate
+     * @return CertificateStatus The current status
+     */
+    function _certificateStatus(bytes32 certHash, Certificate memory cert)
+        internal
+        view
+        returns (CertificateStatus)
+    {
+        if (cert.issuer == address(0)) {
+            return CertificateStatus.NotIssued;
+        }
+        if (!cert.isValid) {
+            return CertificateStatus.Revoked;
+        }
+        if (suspended[certHash]) {
+            return CertificateStatus.Suspended;
+        }
+        if (cert.expiresAt != 0 && block.timestamp >= cert.expiresAt) {
+            return CertificateStatus.Expired;
+        }
+        return CertificateStatus.Valid;
+    }
+
+    /**
+     * @dev Rebuild the Merkle root from a leaf and its proof
+     * @param certHash SHA-256 hash of the certificate (leaf = keccak256(certHash))
+     * @param proof Sibling hashes from the leaf up to the root
+     * @return bytes32 The computed root
+     */
+    function _processProof(bytes32 certHash, bytes32[] memory proof)
+        internal
+        pure
+        returns (bytes32)
+    {
+        bytes32 computed = keccak256(abi.encodePacked(certHash));
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 sibling = proof[i];
+            computed = computed < sibling
+                ? keccak256(abi.encodePacked(computed, sibling))
+                : keccak256(abi.encodePacked(sibling, computed));
+        }
+        return computed;
     }
 
     // ---------------------
@@ -148,7 +1073,7 @@ contract CertificateVerification {
     // ---------------------
 
     /**
-     * @dev Check if a certificate exists and is valid
+     * @dev Check if a certificate exists and is valid (not revoked, suspended or expired)
      * @param certHash SHA-256 hash of the certificate
      * @return bool True if certificate is valid
      */
@@ -157,7 +1082,33 @@ contract CertificateVerification {
         view 
         returns (bool) 
     {
-        return certificates[certHash].isValid;
+        return _certificateStatus(certHash, certificates[certHash]) == CertificateStatus.Valid;
+    }
+
+    /**
+     * @dev Get the current status of a certificate
+     * @param certHash SHA-256 hash of the certificate
+     * @return CertificateStatus 0 = not issued, 1 = valid, 2 = expired, 3 = revoked, 4 = suspended
+     */
+    function getCertificateStatus(bytes32 certHash)
+        public
+        view
+        returns (CertificateStatus)
+    {
+        return _certificateStatus(certHash, certificates[certHash]);
+    }
+
+    /**
+     * @dev Get the expiry timestamp of a certificate
+     * @param certHash SHA-256 hash of the certificate
+     * @return uint256 The expiry timestamp, or 0 if it never expires
+     */
+    function getExpiryTimestamp(bytes32 certHash)
+        public
+        view
+        returns (uint256)
+    {
+        return certificates[certHash].expiresAt;
     }
 
     /**
@@ -186,6 +1137,68 @@ contract CertificateVerification {
         return certificates[certHash].ipfsCID;
     }
 
+    /**
+     * @dev Get the revocation record of a certificate
+     * @param certHash SHA-256 hash of the certificate
+     * @return revokedAt Timestamp of the revocation, or 0 if not revoked
+     * @return reason Reason code for the revocation
+     * @return note Free-text explanation
+     */
+    function getRevocationDetails(bytes32 certHash)
+        public
+        view
+        returns (
+            uint256 revokedAt,
+            RevocationReason reason,
+            string memory note
+        )
+    {
+        Revocation memory revocation = revocations[certHash];
+        return (revocation.revokedAt, revocation.reason, revocation.note);
+    }
+
+    /**
+     * @dev Get the recipient binding of a certificate
+     * @param certHash SHA-256 hash of the certificate
+     * @return binding Kind of identity committed to (0 = none, 1 = identity, 2 = wallet)
+     * @return commitment Salted hash of the recipient identity, or 0 if unbound
+     */
+    function getRecipientBinding(bytes32 certHash)
+        public
+        view
+        returns (RecipientBinding binding, bytes32 commitment)
+    {
+        Certificate storage cert = certificates[certHash];
+        return (cert.recipientBinding, cert.recipientCommitment);
+    }
+
+    /**
+     * @dev Get the suspend/reinstate audit trail of a certificate, oldest first
+     * @param certHash SHA-256 hash of the certificate
+     * @return SuspensionRecord[] Every suspension and reinstatement with actor, time and note
+     */
+    function getSuspensionHistory(bytes32 certHash)
+        public
+        view
+        returns (SuspensionRecord[] memory)
+    {
+        return suspensionHistory[certHash];
+    }
+
+    /**
+     * @dev Get the supersession links of a certificate
+     * @param certHash SHA-256 hash of the certificate
+     * @return replacedBy Hash of the certificate that superseded this one, or 0
+     * @return replaces Hash of the certificate this one superseded, or 0
+     */
+    function getSupersession(bytes32 certHash)
+        public
+        view
+        returns (bytes32 replacedBy, bytes32 replaces)
+    {
+        return (supersededBy[certHash], supersedes[certHash]);
+    }
+
     /**
      * @dev Get the issuance timestamp of a certificate
      * @param certHash SHA-256 hash of the certificate
@@ -220,11 +1233,13 @@ contract CertificateVerification {
     /**
      * @dev Get complete certificate information
      * @param certHash SHA-256 hash of the certificate
-     * @return validity Whether the certificate is currently valid
+     * @return validity Whether the certificate is currently valid (not revoked, suspended or expired)
      * @return certIssuer The address that issued the certificate
      * @return issueTimestamp The timestamp when issued
      * @return storageCID The IPFS CID
      * @return wasIssued Whether the certificate was ever issued
+     * @return status Current status (0 = not issued, 1 = valid, 2 = expired, 3 = revoked, 4 = suspended)
+     * @return expiryTimestamp Expiry timestamp, or 0 if the certificate never expires
      */
     function getCertificateDetails(bytes32 certHash)
         public
@@ -234,12 +1249,22 @@ contract CertificateVerification {
             address certIssuer,
             uint256 issueTimestamp,
             string memory storageCID,
-            bool wasIssued
+            bool wasIssued,
+            CertificateStatus status,
+            uint256 expiryTimestamp
         )
     {
         Certificate memory cert = certificates[certHash];
-        bool everIssued = cert.issuer != address(0);
-        return (cert.isValid, cert.issuer, cert.issuedAt, cert.ipfsCID, everIssued);
+        CertificateStatus certStatus = _certificateStatus(certHash, cert);
+        return (
+            certStatus == CertificateStatus.Valid,
+            cert.issuer,
+            cert.issuedAt,
+            cert.ipfsCID,
+            certStatus != CertificateStatus.NotIssued,
+            certStatus,
+            cert.expiresAt
+        );
     }
 
     /**
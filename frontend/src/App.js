@@ -1946,12 +1946,167 @@
 
 
 
-import React, { useState, useRef } from 'react';
-import { Upload, CheckCircle, XCircle, AlertCircle, Loader2, Shield, Sparkles, Award, QrCode, Download, Camera } from 'lucide-react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Upload, CheckCircle, XCircle, AlertCircle, Loader2, Shield, Sparkles, Award, QrCode, Download, Camera, LayoutDashboard, Search, ChevronLeft, ChevronRight, RefreshCw, BarChart3, FileArchive, FileSpreadsheet } from 'lucide-react';
 import jsQR from 'jsqr';
 
 const API_URL = 'http://localhost:3000';
 
+const REVOCATION_REASONS = [
+  { value: 'unspecified', label: 'Unspecified' },
+  { value: 'clerical-error', label: 'Clerical error' },
+  { value: 'fraud', label: 'Fraud' },
+  { value: 'issued-in-error', label: 'Issued in error' },
+  { value: 'misconduct', label: 'Misconduct' },
+  { value: 'other', label: 'Other' },
+];
+
+const revocationReasonLabel = (value) =>
+  REVOCATION_REASONS.find((reason) => reason.value === value)?.label || value;
+
+// Actions on the Revoke tab; suspension is temporary and can be lifted with reinstate
+const REVOKE_ACTIONS = {
+  revoke: { label: 'Revoke', pdfEndpoint: '/api/revoke-certificate', qrEndpoint: '/api/revoke-qr' },
+  suspend: { label: 'Suspend', pdfEndpoint: '/api/suspend-certificate', qrEndpoint: '/api/suspend-certificate' },
+  reinstate: { label: 'Reinstate', pdfEndpoint: '/api/reinstate-certificate', qrEndpoint: '/api/reinstate-certificate' },
+};
+
+const DASHBOARD_PAGE_SIZE = 20;
+const BATCH_POLL_INTERVAL = 1500;
+const JOB_POLL_INTERVAL = 1500;
+const SUBMIT_RETRIES = 2;
+const SUBMIT_RETRY_DELAY = 1000;
+
+const JOB_STEP_LABELS = {
+  uploaded: 'Uploaded',
+  pinned: 'Pinned to IPFS',
+  'tx-sent': 'Transaction sent',
+  confirmed: 'Confirmed on-chain',
+  'qr-ready': 'QR code ready',
+};
+
+const DASHBOARD_STATUSES = [
+  { value: '', label: 'All statuses' },
+  { value: 'valid', label: 'Valid' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'revoked', label: 'Revoked' },
+  { value: 'suspended', label: 'Suspended' },
+];
+
+const STATUS_BADGES = {
+  valid: 'bg-green-500/30 text-green-100',
+  expired: 'bg-gray-500/30 text-gray-100',
+  revoked: 'bg-red-500/30 text-red-100',
+  suspended: 'bg-amber-500/30 text-amber-100',
+  'not-issued': 'bg-gray-500/30 text-gray-300',
+};
+
+// Batch members can only be revoked with their whole batch
+const isBulkRevocable = (cert) => ['valid', 'expired', 'suspended'].includes(cert.status) && !cert.merkleRoot;
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}…${hash.slice(-6)}` : '-');
+
+// Bar heights are relative to the largest value across all series
+function StatsBarChart({ data, series }) {
+  const max = Math.max(1, ...data.flatMap((entry) => series.map((s) => entry[s.key])));
+
+  if (data.length === 0) {
+    return <p className="text-sm text-sky-200">No data for this period</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-end gap-2 h-40 overflow-x-auto">
+        {data.map((entry) => (
+          <div key={entry.period} className="flex flex-col items-center flex-1 min-w-[2.5rem] h-full">
+            <div className="flex items-end gap-0.5 w-full flex-1">
+              {series.map((s) => (
+                <div
+                  key={s.key}
+                  className={`flex-1 rounded-t ${s.className}`}
+                  style={{ height: `${(entry[s.key] / max) * 100}%` }}
+                  title={`${s.label}: ${entry[s.key].toLocaleString()}`}
+                />
+              ))}
+            </div>
+            <span className="text-[10px] text-sky-200 mt-1 whitespace-nowrap">{entry.period.length > 7 ? entry.period.slice(5) : entry.period}</span>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 mt-3 text-xs text-sky-100">
+        {series.map((s) => (
+          <span key={s.key} className="flex items-center gap-1">
+            <span className={`w-3 h-3 rounded ${s.className}`} /> {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function JobStepper({ job }) {
+  const done = job.completedSteps.map((entry) => entry.step);
+  const current = job.steps.find((step) => !done.includes(step));
+
+  return (
+    <div className="p-5 backdrop-blur-sm bg-white/5 rounded-xl border border-white/10 space-y-3">
+      {job.status === 'queued' && (
+        <p className="text-xs text-white/60">Waiting in queue...</p>
+      )}
+      <ol className="space-y-2">
+        {job.steps.map((step) => (
+          <li key={step} className="flex items-center gap-3 text-sm">
+            {done.includes(step)
+              ? <CheckCircle className="w-5 h-5 text-green-400" />
+              : step === current && job.status === 'running'
+                ? <Loader2 className="w-5 h-5 text-white animate-spin" />
+                : <div className="w-5 h-5 rounded-full border-2 border-white/30" />}
+            <span className={done.includes(step) || step === current ? 'text-white' : 'text-white/40'}>{JOB_STEP_LABELS[step]}</span>
+          </li>
+        ))}
+      </ol>
+      {job.transactionHash && (
+        <p className="text-xs text-white/60 font-mono break-all">TX: {job.transactionHash}</p>
+      )}
+    </div>
+  );
+}
+
+const FINALITY_LABELS = {
+  final: 'Final',
+  'pending-finality': 'Pending finality',
+  pending: 'Waiting to be mined',
+  reorged: 'Dropped by a chain reorganisation',
+  'not-found': 'Transaction not found',
+};
+
+function FinalityRow({ finality, checking, onRecheck }) {
+  if (!finality) return null;
+  const isFinal = finality.status === 'final';
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+      <span className="text-cyan-200 font-semibold">Finality:</span>
+      <div className="md:col-span-2 flex items-center gap-3 bg-black/20 px-3 py-2 rounded">
+        <span className={isFinal ? 'text-green-300' : finality.status === 'pending-finality' || finality.status === 'pending' ? 'text-yellow-300' : 'text-red-300'}>
+          {FINALITY_LABELS[finality.status] || finality.status}
+          {(isFinal || finality.status === 'pending-finality') && ` (${finality.confirmations}/${finality.requiredConfirmations} confirmations)`}
+        </span>
+        {!isFinal && finality.checkUrl && (
+          <button
+            onClick={onRecheck}
+            disabled={checking}
+            className="ml-auto flex items-center gap-1 text-xs text-white/80 hover:text-white disabled:opacity-50"
+          >
+            <RefreshCw className={`w-3 h-3 ${checking ? 'animate-spin' : ''}`} />
+            Re-check
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function App() {
   const [activeTab, setActiveTab] = useState('issue');
   const [file, setFile] = useState(null);
@@ -1961,10 +2116,39 @@ function App() {
   const [verificationMode, setVerificationMode] = useState('pdf');
   const [revokeMode, setRevokeMode] = useState('pdf');
   const [qrImage, setQrImage] = useState(null);
+  const [expiryDate, setExpiryDate] = useState('');
+  const [replacedFile, setReplacedFile] = useState(null);
+  const [recipientAddress, setRecipientAddress] = useState('');
+  const [bindRecipientWallet, setBindRecipientWallet] = useState(false);
+  const [recipientName, setRecipientName] = useState('');
+  const [recipientEmail, setRecipientEmail] = useState('');
+  const [revokeReason, setRevokeReason] = useState('unspecified');
+  const [revokeNote, setRevokeNote] = useState('');
+  const [revokeAction, setRevokeAction] = useState('revoke');
+  const [dashboardCertificates, setDashboardCertificates] = useState([]);
+  const [dashboardTotal, setDashboardTotal] = useState(0);
+  const [dashboardPage, setDashboardPage] = useState(0);
+  const [dashboardSearch, setDashboardSearch] = useState('');
+  const [dashboardFilters, setDashboardFilters] = useState({ q: '', status: '', from: '', to: '' });
+  const [dashboardLoading, setDashboardLoading] = useState(false);
+  const [selectedHashes, setSelectedHashes] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [statsPeriod, setStatsPeriod] = useState('day');
+  const [issueMode, setIssueMode] = useState('single');
+  const [batchArchive, setBatchArchive] = useState(null);
+  const [batchManifest, setBatchManifest] = useState(null);
+  const [batchRun, setBatchRun] = useState(null);
+  const [job, setJob] = useState(null);
+  const [finalityChecking, setFinalityChecking] = useState(false);
+  const [networks, setNetworks] = useState([]);
+  const [issueNetwork, setIssueNetwork] = useState('');
   const fileInputRef = useRef(null);
+  const replacedFileInputRef = useRef(null);
   const qrInputRef = useRef(null);
   const revokeFileInputRef = useRef(null);
   const revokeQrInputRef = useRef(null);
+  const batchArchiveInputRef = useRef(null);
+  const batchManifestInputRef = useRef(null);
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
@@ -1978,6 +2162,19 @@ function App() {
     }
   };
 
+  const handleReplacedFileChange = (e) => {
+    const selectedFile = e.target.files[0];
+    if (!selectedFile) {
+      setReplacedFile(null);
+    } else if (selectedFile.type === 'application/pdf') {
+      setReplacedFile(selectedFile);
+      setError(null);
+    } else {
+      setError('Please select a valid PDF file for the certificate being replaced');
+      setReplacedFile(null);
+    }
+  };
+
   const handleQRImageChange = async (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile && selectedFile.type.startsWith('image/')) {
@@ -2045,18 +2242,23 @@ function App() {
 
   const verifyWithQRData = async (qrData) => {
     try {
+      const body = { qrData };
+      if (recipientName.trim() && recipientEmail.trim()) {
+        body.recipient = { name: recipientName, email: recipientEmail };
+      }
+
       const response = await fetch(`${API_URL}/api/verify-qr`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ qrData }),
+        body: JSON.stringify(body),
       });
 
       const data = await response.json();
 
       if (data.success) {
-        setResult({ type: 'verify', data: data.data });
+        setResult({ type: 'verify', data: data.data, qrData });
         setQrImage(null);
       } else {
         setError(data.message || 'Failed to verify certificate');
@@ -2068,6 +2270,58 @@ function App() {
     }
   };
 
+  // Sends a mutating request with an Idempotency-Key and retries it with the same key after a
+  // network error, so the server replays its first response instead of acting twice
+  const submitOnce = async (url, options) => {
+    const headers = { ...options.headers, 'Idempotency-Key': crypto.randomUUID() };
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(url, { ...options, headers });
+        // 409: the first attempt is still running on the server
+        if (response.status !== 409 || attempt > SUBMIT_RETRIES) return response;
+      } catch (err) {
+        if (attempt > SUBMIT_RETRIES) throw err;
+      }
+      await new Promise((resolve) => setTimeout(resolve, SUBMIT_RETRY_DELAY * attempt));
+    }
+  };
+
+  // Queues the request as a server-side job and resolves with the route's final response.
+  // Progress comes over Server-Sent Events, with polling as a fallback if the stream drops.
+  const runJob = async (endpoint, options) => {
+    setJob(null);
+    const response = await submitOnce(`${API_URL}${endpoint}?async=true`, options);
+    const queued = await response.json();
+    if (response.status !== 202) return queued;
+
+    setJob(queued.data);
+    const pollJob = async () => {
+      for (;;) {
+        await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL));
+        const data = await (await fetch(`${API_URL}${queued.data.statusUrl}`)).json();
+        if (!data.success) return data;
+        setJob(data.data);
+        if (data.data.result) return data.data.result;
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      const events = new EventSource(`${API_URL}${queued.data.eventsUrl}`);
+      events.addEventListener('job', (e) => {
+        const update = JSON.parse(e.data);
+        setJob(update);
+        if (update.result) {
+          events.close();
+          resolve(update.result);
+        }
+      });
+      events.onerror = () => {
+        events.close();
+        pollJob().then(resolve, reject);
+      };
+    });
+  };
+
   const handleIssueCertificate = async () => {
     if (!file) {
       setError('Please select a PDF file');
@@ -2080,19 +2334,47 @@ function App() {
 
     const formData = new FormData();
     formData.append('certificate', file);
+    if (replacedFile) {
+      // A corrected copy keeps the original's expiry, so expiryDate is not sent
+      formData.append('oldCertificate', replacedFile);
+    } else {
+      if (issueNetwork) {
+        formData.append('network', issueNetwork);
+      }
+      if (expiryDate) {
+        formData.append('expiresAt', new Date(`${expiryDate}T23:59:59`).toISOString());
+      }
+      if (recipientAddress.trim()) {
+        formData.append('recipient', recipientAddress.trim());
+        if (bindRecipientWallet) {
+          formData.append('recipientWallet', recipientAddress.trim());
+        }
+      }
+      if (!bindRecipientWallet && recipientName.trim() && recipientEmail.trim()) {
+        formData.append('recipientName', recipientName.trim());
+        formData.append('recipientEmail', recipientEmail.trim());
+      }
+    }
+
+    const endpoint = replacedFile ? '/api/supersede-certificate' : '/api/issue-certificate';
 
     try {
-      const response = await fetch(`${API_URL}/api/issue-certificate`, {
+      const data = await runJob(endpoint, {
         method: 'POST',
         body: formData,
       });
 
-      const data = await response.json();
-
       if (data.success) {
         setResult({ type: 'issue', data });
         setFile(null);
+        setExpiryDate('');
+        setRecipientAddress('');
+        setBindRecipientWallet(false);
+        setRecipientName('');
+        setRecipientEmail('');
+        setReplacedFile(null);
         if (fileInputRef.current) fileInputRef.current.value = '';
+        if (replacedFileInputRef.current) replacedFileInputRef.current.value = '';
       } else {
         setError(data.message || 'Failed to issue certificate');
       }
@@ -2103,6 +2385,69 @@ function App() {
     }
   };
 
+  const handleIssueBatch = async () => {
+    if (!batchArchive || !batchManifest) {
+      setError('Please select a ZIP of PDFs and a CSV manifest');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setResult(null);
+    setBatchRun(null);
+
+    const formData = new FormData();
+    formData.append('archive', batchArchive);
+    formData.append('manifest', batchManifest);
+
+    try {
+      const response = await submitOnce(`${API_URL}/api/issue-batch`, {
+        method: 'POST',
+        body: formData,
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setBatchRun(data.data);
+        setBatchArchive(null);
+        setBatchManifest(null);
+        if (batchArchiveInputRef.current) batchArchiveInputRef.current.value = '';
+        if (batchManifestInputRef.current) batchManifestInputRef.current.value = '';
+      } else {
+        setError(data.message || 'Failed to start batch issuance');
+      }
+    } catch (err) {
+      setError('Network error: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The server issues rows one by one after accepting the batch, so poll until it is done
+  useEffect(() => {
+    if (!batchRun || batchRun.status !== 'processing') return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/issue-batch/${batchRun.batchId}`);
+        const data = await response.json();
+
+        if (data.success) {
+          setBatchRun(data.data);
+        } else {
+          setError(data.message || 'Failed to load batch progress');
+          setBatchRun((run) => ({ ...run, status: 'failed' }));
+        }
+      } catch (err) {
+        setError('Network error: ' + err.message);
+        setBatchRun((run) => ({ ...run, status: 'failed' }));
+      }
+    }, BATCH_POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [batchRun]);
+
   const handleVerifyCertificate = async () => {
     if (!file) {
       setError('Please select a PDF file');
@@ -2138,6 +2483,61 @@ function App() {
     }
   };
 
+  // The holder signs a one-time challenge with the wallet the certificate is bound to
+  const proveWalletOwnership = async () => {
+    if (!window.ethereum) {
+      setError('No browser wallet found. Install MetaMask to prove wallet ownership.');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const challengeResponse = await fetch(`${API_URL}/api/recipient-challenge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ qrData: result.qrData }),
+      });
+      const challengeData = await challengeResponse.json();
+      if (!challengeData.success) {
+        setError(challengeData.message || 'Failed to create challenge');
+        return;
+      }
+
+      const [account] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+      const signature = await window.ethereum.request({
+        method: 'personal_sign',
+        params: [challengeData.data.challenge, account],
+      });
+
+      const response = await fetch(`${API_URL}/api/verify-qr`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          qrData: result.qrData,
+          recipient: { challengeId: challengeData.data.challengeId, signature },
+        }),
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setResult({ type: 'verify', data: data.data, qrData: result.qrData });
+      } else {
+        setError(data.message || 'Failed to verify certificate');
+      }
+    } catch (err) {
+      setError('Wallet verification failed: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const revokeWithQRData = async (qrData) => {
     try {
       let certificateHash;
@@ -2154,24 +2554,28 @@ function App() {
         return;
       }
 
-      console.log('Revoking certificate hash from QR:', certificateHash);
+      console.log(`${REVOKE_ACTIONS[revokeAction].label} certificate hash from QR:`, certificateHash);
 
-      const response = await fetch(`${API_URL}/api/revoke-qr`, {
+      const body = revokeAction === 'revoke'
+        ? { qrData, reason: revokeReason, note: revokeNote }
+        : { qrData, note: revokeNote };
+
+      const data = await runJob(REVOKE_ACTIONS[revokeAction].qrEndpoint, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ qrData }),
+        body: JSON.stringify(body),
       });
 
-      const data = await response.json();
-
       if (data.success) {
-        setResult({ type: 'revoke', data: data.data });
+        setResult({ type: revokeAction === 'revoke' ? 'revoke' : 'suspension', data: data.data });
         setQrImage(null);
+        setRevokeReason('unspecified');
+        setRevokeNote('');
         if (revokeQrInputRef.current) revokeQrInputRef.current.value = '';
       } else {
-        setError(data.message || 'Failed to revoke certificate');
+        setError(data.message || `Failed to ${revokeAction} certificate`);
       }
     } catch (err) {
       setError('Network error: ' + err.message);
@@ -2192,21 +2596,175 @@ function App() {
 
     const formData = new FormData();
     formData.append('certificate', file);
+    if (revokeAction === 'revoke') {
+      formData.append('reason', revokeReason);
+    }
+    formData.append('note', revokeNote);
 
     try {
-      const response = await fetch(`${API_URL}/api/revoke-certificate`, {
+      const data = await runJob(REVOKE_ACTIONS[revokeAction].pdfEndpoint, {
         method: 'POST',
         body: formData,
       });
 
-      const data = await response.json();
-
       if (data.success) {
-        setResult({ type: 'revoke', data: data.data });
+        setResult({ type: revokeAction === 'revoke' ? 'revoke' : 'suspension', data: data.data });
         setFile(null);
+        setRevokeReason('unspecified');
+        setRevokeNote('');
         if (revokeFileInputRef.current) revokeFileInputRef.current.value = '';
       } else {
-        setError(data.message || 'Failed to revoke certificate');
+        setError(data.message || `Failed to ${revokeAction} certificate`);
+      }
+    } catch (err) {
+      setError('Network error: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const recheckFinality = async (finality) => {
+    setFinalityChecking(true);
+    try {
+      const response = await fetch(`${API_URL}${finality.checkUrl}`);
+      const data = await response.json();
+
+      if (data.success) {
+        const { status, confirmations, requiredConfirmations } = data.data;
+        const updated = { ...finality, status, confirmations, requiredConfirmations };
+        // Issue results keep the whole response body, the others only its data
+        setResult((current) => (current.type === 'issue'
+          ? { ...current, data: { ...current.data, data: { ...current.data.data, finality: updated } } }
+          : { ...current, data: { ...current.data, finality: updated } }));
+      } else {
+        setError(data.message || 'Failed to check finality');
+      }
+    } catch (err) {
+      setError('Network error: ' + err.message);
+    } finally {
+      setFinalityChecking(false);
+    }
+  };
+
+  const fetchDashboard = useCallback(async () => {
+    setDashboardLoading(true);
+    setError(null);
+
+    const params = new URLSearchParams({
+      limit: DASHBOARD_PAGE_SIZE,
+      offset: dashboardPage * DASHBOARD_PAGE_SIZE,
+    });
+    Object.entries(dashboardFilters).forEach(([name, value]) => {
+      if (value) params.append(name, value);
+    });
+
+    try {
+      const response = await fetch(`${API_URL}/api/certificates?${params}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setDashboardCertificates(data.data.certificates);
+        setDashboardTotal(data.data.total);
+      } else {
+        setError(data.message || 'Failed to load certificates');
+      }
+    } catch (err) {
+      setError('Network error: ' + err.message);
+    } finally {
+      setDashboardLoading(false);
+    }
+  }, [dashboardPage, dashboardFilters]);
+
+  useEffect(() => {
+    if (activeTab === 'dashboard') fetchDashboard();
+  }, [activeTab, fetchDashboard]);
+
+  const fetchStats = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_URL}/api/stats?period=${statsPeriod}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setStats(data.data);
+      } else {
+        setError(data.message || 'Failed to load statistics');
+      }
+    } catch (err) {
+      setError('Network error: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statsPeriod]);
+
+  useEffect(() => {
+    if (activeTab === 'stats') fetchStats();
+  }, [activeTab, fetchStats]);
+
+  // The network picker only appears when the server is connected to more than one chain
+  useEffect(() => {
+    fetch(`${API_URL}/`)
+      .then((response) => response.json())
+      .then((data) => setNetworks(data.blockchain?.networks || []))
+      .catch(() => setNetworks([]));
+  }, []);
+
+  const updateDashboardFilter = (name, value) => {
+    setDashboardFilters((filters) => ({ ...filters, [name]: value }));
+    setDashboardPage(0);
+    setSelectedHashes([]);
+  };
+
+  const applyDashboardSearch = (e) => {
+    e.preventDefault();
+    updateDashboardFilter('q', dashboardSearch.trim());
+  };
+
+  const selectableOnPage = dashboardCertificates.filter(isBulkRevocable).map((cert) => cert.certificateHash);
+
+  const toggleSelected = (hash) => {
+    setSelectedHashes((selected) => (
+      selected.includes(hash) ? selected.filter((h) => h !== hash) : [...selected, hash]
+    ));
+  };
+
+  const toggleSelectAll = () => {
+    const allSelected = selectableOnPage.every((hash) => selectedHashes.includes(hash));
+    setSelectedHashes((selected) => (
+      allSelected
+        ? selected.filter((hash) => !selectableOnPage.includes(hash))
+        : [...new Set([...selected, ...selectableOnPage])]
+    ));
+  };
+
+  const handleBulkRevoke = async () => {
+    if (!window.confirm(`Permanently revoke ${selectedHashes.length} certificate(s)? This cannot be undone.`)) {
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const response = await submitOnce(`${API_URL}/api/revoke-bulk`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ certificateHashes: selectedHashes, reason: revokeReason, note: revokeNote }),
+      });
+
+      const data = await response.json();
+
+      if (data.data?.results) {
+        setResult({ type: 'bulk-revoke', data: data.data });
+        setSelectedHashes([]);
+        setRevokeReason('unspecified');
+        setRevokeNote('');
+        fetchDashboard();
+      } else {
+        setError(data.message || 'Failed to revoke certificates');
       }
     } catch (err) {
       setError('Network error: ' + err.message);
@@ -2226,6 +2784,9 @@ function App() {
     }
   };
 
+  // Files on IPFS come from a gateway; local and S3 storage are served by the backend
+  const storedFileUrl = (data) => data?.ipfsUrl || (data?.downloadUrl ? `${API_URL}${data.downloadUrl}` : null);
+
   const downloadFromIPFS = (ipfsUrl, filename) => {
     const link = document.createElement('a');
     link.href = ipfsUrl;
@@ -2243,19 +2804,126 @@ function App() {
     return date.toLocaleDateString('en-US', options);
   };
 
+  const statusDisplay = (data) => {
+    switch (data.status) {
+      case 'valid':
+        return { title: '✓ Valid Certificate', description: 'This certificate is verified on the blockchain' };
+      case 'expired':
+        return { title: '⌛ Expired Certificate', description: `This certificate was genuine but expired on ${formatDate(data.expiryDate)}` };
+      case 'revoked':
+        return { title: '✗ Revoked Certificate', description: 'This certificate was issued but has since been revoked by its issuer' };
+      case 'superseded':
+        return { title: '↻ Superseded Certificate', description: 'This copy has been replaced by a corrected certificate. Use the replacement below.' };
+      case 'suspended':
+        return { title: '⏸ Suspended Certificate', description: 'This certificate is temporarily suspended by its issuer pending review' };
+      default:
+        return data.isValid
+          ? { title: '✓ Valid Certificate', description: 'This certificate is verified on the blockchain' }
+          : { title: '✗ Invalid Certificate', description: 'This certificate was not found on the blockchain' };
+    }
+  };
+
   const resetForm = () => {
     setResult(null);
     setError(null);
     setFile(null);
     setQrImage(null);
+    setExpiryDate('');
+    setReplacedFile(null);
+    setRecipientAddress('');
+    setBindRecipientWallet(false);
+    setRecipientName('');
+    setRecipientEmail('');
+    setRevokeReason('unspecified');
+    setRevokeNote('');
     setVerificationMode('pdf');
     setRevokeMode('pdf');
+    setRevokeAction('revoke');
+    setSelectedHashes([]);
+    setBatchArchive(null);
+    setBatchManifest(null);
+    setBatchRun(null);
+    setJob(null);
     if (fileInputRef.current) fileInputRef.current.value = '';
+    if (replacedFileInputRef.current) replacedFileInputRef.current.value = '';
     if (qrInputRef.current) qrInputRef.current.value = '';
     if (revokeFileInputRef.current) revokeFileInputRef.current.value = '';
     if (revokeQrInputRef.current) revokeQrInputRef.current.value = '';
+    if (batchArchiveInputRef.current) batchArchiveInputRef.current.value = '';
+    if (batchManifestInputRef.current) batchManifestInputRef.current.value = '';
   };
 
+  const revocationReasonFields = (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div>
+        <label htmlFor="revoke-reason" className="block text-sm font-semibold text-red-100 mb-3">Reason</label>
+        <select
+          id="revoke-reason"
+          value={revokeReason}
+          onChange={(e) => setRevokeReason(e.target.value)}
+          className="w-full bg-white/5 border border-red-400/50 rounded-xl px-4 py-3 text-red-100 focus:outline-none focus:border-red-400"
+        >
+          {REVOCATION_REASONS.map((reason) => (
+            <option key={reason.value} value={reason.value} className="text-gray-900">{reason.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="md:col-span-2">
+        <label htmlFor="revoke-note" className="block text-sm font-semibold text-red-100 mb-3">Details (optional)</label>
+        <input
+          type="text"
+          id="revoke-note"
+          value={revokeNote}
+          maxLength={256}
+          onChange={(e) => setRevokeNote(e.target.value)}
+          placeholder="e.g. Name misspelled on certificate"
+          className="w-full bg-white/5 border border-red-400/50 rounded-xl px-4 py-3 text-red-100 placeholder-red-300/50 focus:outline-none focus:border-red-400"
+        />
+      </div>
+    </div>
+  );
+
+  const suspensionNoteField = (
+    <div>
+      <label htmlFor="suspension-note" className="block text-sm font-semibold text-red-100 mb-3">Details (optional)</label>
+      <input
+        type="text"
+        id="suspension-note"
+        value={revokeNote}
+        maxLength={256}
+        onChange={(e) => setRevokeNote(e.target.value)}
+        placeholder={revokeAction === 'suspend' ? 'e.g. Under investigation by academic board' : 'e.g. Investigation closed, no findings'}
+        className="w-full bg-white/5 border border-red-400/50 rounded-xl px-4 py-3 text-red-100 placeholder-red-300/50 focus:outline-none focus:border-red-400"
+      />
+    </div>
+  );
+
+  const revokeActionNotice = revokeAction === 'revoke' ? (
+    <div className="bg-red-500/10 border border-red-400/30 rounded-lg p-4">
+      <div className="flex items-start gap-3">
+        <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
+        <div className="text-sm text-red-200">
+          <p className="font-semibold mb-1">Warning: Irreversible Action</p>
+          <p>Revoking a certificate will permanently invalidate it on the blockchain. This action cannot be undone.</p>
+        </div>
+      </div>
+    </div>
+  ) : (
+    <div className="bg-amber-500/10 border border-amber-400/30 rounded-lg p-4">
+      <div className="flex items-start gap-3">
+        <AlertCircle className="w-5 h-5 text-amber-300 flex-shrink-0 mt-0.5" />
+        <div className="text-sm text-amber-200">
+          <p className="font-semibold mb-1">{revokeAction === 'suspend' ? 'Temporary Action' : 'Lift Suspension'}</p>
+          <p>
+            {revokeAction === 'suspend'
+              ? 'Verifications will report this certificate as suspended until it is reinstated. Every suspension is recorded on-chain.'
+              : 'The certificate returns to its previous status. The reinstatement is added to its on-chain audit trail.'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-800 relative overflow-hidden">
       <div className="absolute inset-0 opacity-20">
@@ -2325,6 +2993,32 @@ function App() {
               Revoke Certificate
             </div>
           </button>
+          <button
+            onClick={() => { setActiveTab('dashboard'); resetForm(); }}
+            className={`flex-1 py-4 px-6 rounded-xl font-semibold transition-all duration-300 ${
+              activeTab === 'dashboard'
+                ? 'bg-gradient-to-r from-emerald-500 to-teal-600 text-white shadow-lg shadow-emerald-500/50 scale-105'
+                : 'text-cyan-100 hover:bg-white/10'
+            }`}
+          >
+            <div className="flex items-center justify-center gap-2">
+              <LayoutDashboard className="w-5 h-5" />
+              Dashboard
+            </div>
+          </button>
+          <button
+            onClick={() => { setActiveTab('stats'); resetForm(); }}
+            className={`flex-1 py-4 px-6 rounded-xl font-semibold transition-all duration-300 ${
+              activeTab === 'stats'
+                ? 'bg-gradient-to-r from-sky-500 to-indigo-600 text-white shadow-lg shadow-sky-500/50 scale-105'
+                : 'text-cyan-100 hover:bg-white/10'
+            }`}
+          >
+            <div className="flex items-center justify-center gap-2">
+              <BarChart3 className="w-5 h-5" />
+              Statistics
+            </div>
+          </button>
         </div>
 
         <div className="backdrop-blur-xl bg-white/10 rounded-3xl shadow-2xl border border-white/20 overflow-hidden">
@@ -2332,26 +3026,275 @@ function App() {
             {activeTab === 'issue' && (
               <div>
                 <div className="space-y-6">
-                  <div>
-                    <label className="block text-sm font-semibold text-cyan-100 mb-3">Certificate PDF</label>
-                    <input 
-                      type="file" 
-                      accept=".pdf" 
-                      onChange={handleFileChange} 
-                      className="hidden" 
-                      id="issue-file-upload"
-                      ref={fileInputRef}
-                    />
-                    <label htmlFor="issue-file-upload" className="flex flex-col items-center justify-center w-full h-48 border-2 border-dashed border-cyan-400/50 rounded-xl cursor-pointer hover:border-cyan-400 hover:bg-white/10 transition-all backdrop-blur-sm bg-white/5 group">
-                      <Upload className="w-12 h-12 text-cyan-400 mb-4 group-hover:scale-110 transition-transform" />
-                      <span className="text-base text-cyan-100 font-medium">{file ? file.name : 'Click to upload PDF certificate'}</span>
-                      <span className="text-sm text-cyan-300/70 mt-2">PDF will be hashed and stored on blockchain + IPFS</span>
-                    </label>
+                  <div className="flex gap-3 p-1 backdrop-blur-sm bg-white/5 rounded-xl border border-white/10">
+                    <button
+                      onClick={() => { setIssueMode('single'); setResult(null); setError(null); }}
+                      className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 ${
+                        issueMode === 'single'
+                          ? 'bg-cyan-500 text-white shadow-md'
+                          : 'text-cyan-100 hover:bg-white/10'
+                      }`}
+                    >
+                      <div className="flex items-center justify-center gap-2">
+                        <Upload className="w-4 h-4" />
+                        Single Certificate
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => { setIssueMode('batch'); setResult(null); setError(null); }}
+                      className={`flex-1 py-3 px-4 rounded-lg font-semibold transition-all duration-300 ${
+                        issueMode === 'batch'
+                          ? 'bg-cyan-500 text-white shadow-md'
+                          : 'text-cyan-100 hover:bg-white/10'
+                      }`}
+                    >
+                      <div className="flex items-center justify-center gap-2">
+                        <FileArchive className="w-4 h-4" />
+                        Batch Upload
+                      </div>
+                    </button>
                   </div>
 
-                  <button onClick={handleIssueCertificate} disabled={loading} className="w-full bg-gradient-to-r from-cyan-500 to-blue-600 text-white py-4 px-6 rounded-xl font-bold text-lg flex items-center justify-center gap-3 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed hover:shadow-cyan-500/50 transition-all">
-                    {loading ? <><Loader2 className="w-6 h-6 animate-spin" /> Processing...</> : <><CheckCircle className="w-6 h-6" /> Issue Certificate</>}
-                  </button>
+                  {issueMode === 'single' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-semibold text-cyan-100 mb-3">Certificate PDF</label>
+                        <input 
+                          type="file" 
+                          accept=".pdf" 
+                          onChange={handleFileChange} 
+                          className="hidden" 
+                          id="issue-file-upload"
+                          ref={fileInputRef}
+                        />
+                        <label htmlFor="issue-file-upload" className="flex flex-col items-center justify-center w-full h-48 border-2 border-dashed border-cyan-400/50 rounded-xl cursor-pointer hover:border-cyan-400 hover:bg-white/10 transition-all backdrop-blur-sm bg-white/5 group">
+                          <Upload className="w-12 h-12 text-cyan-400 mb-4 group-hover:scale-110 transition-transform" />
+                          <span className="text-base text-cyan-100 font-medium">{file ? file.name : 'Click to upload PDF certificate'}</span>
+                          <span className="text-sm text-cyan-300/70 mt-2">PDF will be hashed and stored on blockchain + IPFS</span>
+                        </label>
+                      </div>
+
+                      {networks.length > 1 && (
+                        <div>
+                          <label htmlFor="issue-network" className="block text-sm font-semibold text-cyan-100 mb-3">Network</label>
+                          <select
+                            id="issue-network"
+                            value={issueNetwork}
+                            disabled={!!replacedFile}
+                            onChange={(e) => setIssueNetwork(e.target.value)}
+                            className="w-full bg-white/5 border border-cyan-400/50 rounded-xl px-4 py-3 text-cyan-100 focus:outline-none focus:border-cyan-400 disabled:opacity-50"
+                          >
+                            {networks.map((network) => (
+                              <option key={network.name} value={network.primary ? '' : network.name} className="text-gray-900">
+                                {network.name} (chain {network.chainId}){network.primary ? ' - default' : ''}
+                              </option>
+                            ))}
+                          </select>
+                          <p className="text-xs text-cyan-300/70 mt-2">A corrected copy is issued on the same network as the original</p>
+                        </div>
+                      )}
+
+                      <div>
+                        <label htmlFor="issue-expiry-date" className="block text-sm font-semibold text-cyan-100 mb-3">Expiry Date (optional)</label>
+                        <input
+                          type="date"
+                          id="issue-expiry-date"
+                          value={expiryDate}
+                          min={new Date().toISOString().split('T')[0]}
+                          onChange={(e) => setExpiryDate(e.target.value)}
+                          className="w-full bg-white/5 border border-cyan-400/50 rounded-xl px-4 py-3 text-cyan-100 focus:outline-none focus:border-cyan-400"
+                        />
+                        <p className="text-xs text-cyan-300/70 mt-2">Leave empty for a certificate that never expires</p>
+                      </div>
+
+                      <div>
+                        <label htmlFor="issue-recipient" className="block text-sm font-semibold text-cyan-100 mb-3">Recipient Wallet (optional)</label>
+                        <input
+                          type="text"
+                          id="issue-recipient"
+                          value={recipientAddress}
+                          disabled={!!replacedFile}
+                          onChange={(e) => setRecipientAddress(e.target.value)}
+                          placeholder="0x..."
+                          className="w-full bg-white/5 border border-cyan-400/50 rounded-xl px-4 py-3 text-cyan-100 font-mono text-sm placeholder-cyan-300/50 focus:outline-none focus:border-cyan-400 disabled:opacity-50"
+                        />
+                        <p className="text-xs text-cyan-300/70 mt-2">
+                          {replacedFile
+                            ? 'A replacement goes to the holder of the original certificate\'s token'
+                            : 'Mints a non-transferable certificate token to this wallet'}
+                        </p>
+                        {!replacedFile && recipientAddress.trim() && (
+                          <label className="flex items-center gap-2 text-xs text-cyan-100 mt-2">
+                            <input
+                              type="checkbox"
+                              checked={bindRecipientWallet}
+                              onChange={(e) => setBindRecipientWallet(e.target.checked)}
+                            />
+                            Bind the certificate to this wallet (holder proves ownership by signing)
+                          </label>
+                        )}
+                      </div>
+
+                      {!replacedFile && !bindRecipientWallet && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <label htmlFor="issue-recipient-name" className="block text-sm font-semibold text-cyan-100 mb-3">Recipient Name (optional)</label>
+                            <input
+                              type="text"
+                              id="issue-recipient-name"
+                              value={recipientName}
+                              onChange={(e) => setRecipientName(e.target.value)}
+                              className="w-full bg-white/5 border border-cyan-400/50 rounded-xl px-4 py-3 text-cyan-100 focus:outline-none focus:border-cyan-400"
+                            />
+                          </div>
+                          <div>
+                            <label htmlFor="issue-recipient-email" className="block text-sm font-semibold text-cyan-100 mb-3">Recipient Email (optional)</label>
+                            <input
+                              type="email"
+                              id="issue-recipient-email"
+                              value={recipientEmail}
+                              onChange={(e) => setRecipientEmail(e.target.value)}
+                              className="w-full bg-white/5 border border-cyan-400/50 rounded-xl px-4 py-3 text-cyan-100 focus:outline-none focus:border-cyan-400"
+                            />
+                          </div>
+                          <p className="md:col-span-2 text-xs text-cyan-300/70">Both fields bind the certificate to its recipient; only a salted hash is stored on-chain</p>
+                        </div>
+                      )}
+
+                      <div>
+                        <label htmlFor="issue-replaced-upload" className="block text-sm font-semibold text-cyan-100 mb-3">Replaces Certificate (optional)</label>
+                        <input
+                          type="file"
+                          accept=".pdf"
+                          onChange={handleReplacedFileChange}
+                          id="issue-replaced-upload"
+                          ref={replacedFileInputRef}
+                          className="w-full text-sm text-cyan-100 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-cyan-500/20 file:text-cyan-100 hover:file:bg-cyan-500/30"
+                        />
+                        <p className="text-xs text-cyan-300/70 mt-2">
+                          {replacedFile
+                            ? 'The original will be revoked as superseded and keeps its expiry date'
+                            : 'Upload the original PDF to issue this one as a corrected replacement'}
+                        </p>
+                      </div>
+
+                      <button onClick={handleIssueCertificate} disabled={loading} className="w-full bg-gradient-to-r from-cyan-500 to-blue-600 text-white py-4 px-6 rounded-xl font-bold text-lg flex items-center justify-center gap-3 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed hover:shadow-cyan-500/50 transition-all">
+                        {loading ? <><Loader2 className="w-6 h-6 animate-spin" /> Processing...</> : <><CheckCircle className="w-6 h-6" /> Issue Certificate</>}
+                      </button>
+                      {loading && job && <JobStepper job={job} />}
+                    </>
+                  )}
+
+                  {issueMode === 'batch' && (
+                    <>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-semibold text-cyan-100 mb-3">Certificates ZIP</label>
+                          <input
+                            type="file"
+                            accept=".zip"
+                            onChange={(e) => { setBatchArchive(e.target.files[0] || null); setError(null); }}
+                            className="hidden"
+                            id="batch-archive-upload"
+                            ref={batchArchiveInputRef}
+                          />
+                          <label htmlFor="batch-archive-upload" className="flex flex-col items-center justify-center w-full h-40 border-2 border-dashed border-cyan-400/50 rounded-xl cursor-pointer hover:border-cyan-400 hover:bg-white/10 transition-all backdrop-blur-sm bg-white/5 group">
+                            <FileArchive className="w-10 h-10 text-cyan-400 mb-3 group-hover:scale-110 transition-transform" />
+                            <span className="text-base text-cyan-100 font-medium">{batchArchive ? batchArchive.name : 'Click to upload ZIP of PDFs'}</span>
+                          </label>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-semibold text-cyan-100 mb-3">Manifest CSV</label>
+                          <input
+                            type="file"
+                            accept=".csv"
+                            onChange={(e) => { setBatchManifest(e.target.files[0] || null); setError(null); }}
+                            className="hidden"
+                            id="batch-manifest-upload"
+                            ref={batchManifestInputRef}
+                          />
+                          <label htmlFor="batch-manifest-upload" className="flex flex-col items-center justify-center w-full h-40 border-2 border-dashed border-cyan-400/50 rounded-xl cursor-pointer hover:border-cyan-400 hover:bg-white/10 transition-all backdrop-blur-sm bg-white/5 group">
+                            <FileSpreadsheet className="w-10 h-10 text-cyan-400 mb-3 group-hover:scale-110 transition-transform" />
+                            <span className="text-base text-cyan-100 font-medium">{batchManifest ? batchManifest.name : 'Click to upload CSV manifest'}</span>
+                          </label>
+                        </div>
+                      </div>
+                      <p className="text-xs text-cyan-300/70">
+                        CSV columns: <span className="font-mono">filename,name,email,course,expiry</span>. Name and email bind each certificate to its recipient; leave expiry empty for certificates that never expire.
+                      </p>
+
+                      <button onClick={handleIssueBatch} disabled={loading || batchRun?.status === 'processing'} className="w-full bg-gradient-to-r from-cyan-500 to-blue-600 text-white py-4 px-6 rounded-xl font-bold text-lg flex items-center justify-center gap-3 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed hover:shadow-cyan-500/50 transition-all">
+                        {loading || batchRun?.status === 'processing'
+                          ? <><Loader2 className="w-6 h-6 animate-spin" /> Issuing...</>
+                          : <><CheckCircle className="w-6 h-6" /> Issue Batch</>}
+                      </button>
+
+                      {batchRun && (
+                        <div className="p-6 backdrop-blur-sm bg-white/5 rounded-xl border border-cyan-400/30 space-y-4">
+                          <div className="flex items-center justify-between text-sm text-cyan-100">
+                            <span className="font-semibold">
+                              {batchRun.status === 'processing' ? 'Issuing certificates...' : batchRun.status === 'completed' ? 'Batch complete' : 'Batch failed'}
+                            </span>
+                            <span>{batchRun.processed} / {batchRun.total}</span>
+                          </div>
+                          <div className="w-full h-3 bg-white/10 rounded-full overflow-hidden">
+                            <div
+                              className="h-full bg-gradient-to-r from-cyan-500 to-blue-600 transition-all duration-500"
+                              style={{ width: `${batchRun.total ? (batchRun.processed / batchRun.total) * 100 : 0}%` }}
+                            />
+                          </div>
+                          <div className="flex gap-4 text-sm">
+                            <span className="text-green-300">{batchRun.succeeded} issued</span>
+                            <span className="text-red-300">{batchRun.failed} failed</span>
+                          </div>
+
+                          {batchRun.results.length > 0 && (
+                            <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                              <table className="w-full text-sm text-left text-cyan-100">
+                                <thead className="text-xs uppercase text-cyan-300/70 border-b border-white/10">
+                                  <tr>
+                                    <th className="py-2 pr-4">Row</th>
+                                    <th className="py-2 pr-4">File</th>
+                                    <th className="py-2 pr-4">Status</th>
+                                    <th className="py-2 pr-4">CID</th>
+                                    <th className="py-2">Transaction / Error</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {batchRun.results.map((row) => (
+                                    <tr key={row.row} className="border-b border-white/5">
+                                      <td className="py-2 pr-4">{row.row}</td>
+                                      <td className="py-2 pr-4 break-all">{row.fileName}</td>
+                                      <td className="py-2 pr-4">
+                                        {row.status === 'issued'
+                                          ? <CheckCircle className="w-4 h-4 text-green-400" />
+                                          : <XCircle className="w-4 h-4 text-red-400" />}
+                                      </td>
+                                      <td className="py-2 pr-4 font-mono text-xs">{shortHash(row.ipfsCID)}</td>
+                                      <td className={`py-2 text-xs ${row.error ? 'text-red-300' : 'font-mono'}`}>
+                                        {row.error || shortHash(row.transactionHash)}
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          )}
+
+                          {batchRun.downloadUrl && (
+                            <a
+                              href={`${API_URL}${batchRun.downloadUrl}`}
+                              download
+                              className="w-full bg-gradient-to-r from-green-500 to-emerald-600 text-white py-3 px-6 rounded-xl font-bold flex items-center justify-center gap-2 shadow-lg hover:shadow-green-500/50 transition-all"
+                            >
+                              <Download className="w-5 h-5" />
+                              Download QR Codes & Results CSV
+                            </a>
+                          )}
+                        </div>
+                      )}
+                    </>
+                  )}
                 </div>
               </div>
             )}
@@ -2413,6 +3356,29 @@ function App() {
 
                   {verificationMode === 'qr' && (
                     <>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <label htmlFor="holder-name" className="block text-sm font-semibold text-purple-100 mb-3">Holder Name (optional)</label>
+                          <input
+                            type="text"
+                            id="holder-name"
+                            value={recipientName}
+                            onChange={(e) => setRecipientName(e.target.value)}
+                            className="w-full bg-white/5 border border-purple-400/50 rounded-xl px-4 py-3 text-purple-100 focus:outline-none focus:border-purple-400"
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor="holder-email" className="block text-sm font-semibold text-purple-100 mb-3">Holder Email (optional)</label>
+                          <input
+                            type="email"
+                            id="holder-email"
+                            value={recipientEmail}
+                            onChange={(e) => setRecipientEmail(e.target.value)}
+                            className="w-full bg-white/5 border border-purple-400/50 rounded-xl px-4 py-3 text-purple-100 focus:outline-none focus:border-purple-400"
+                          />
+                        </div>
+                        <p className="md:col-span-2 text-xs text-purple-300/70">Fill in both to check that the person presenting the certificate is its recipient</p>
+                      </div>
                       <div>
                         <label className="block text-sm font-semibold text-purple-100 mb-3">Upload QR Code Image</label>
                         <input 
@@ -2444,6 +3410,22 @@ function App() {
             {activeTab === 'revoke' && (
               <div>
                 <div className="space-y-6">
+                  <div className="flex gap-3 p-1 backdrop-blur-sm bg-white/5 rounded-xl border border-white/10">
+                    {Object.entries(REVOKE_ACTIONS).map(([action, { label }]) => (
+                      <button
+                        key={action}
+                        onClick={() => { setRevokeAction(action); setResult(null); setError(null); }}
+                        className={`flex-1 py-2 px-4 rounded-lg text-sm font-semibold transition-all duration-300 ${
+                          revokeAction === action
+                            ? 'bg-orange-500 text-white shadow-md'
+                            : 'text-red-100 hover:bg-white/10'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+
                   <div className="flex gap-3 p-1 backdrop-blur-sm bg-white/5 rounded-xl border border-white/10">
                     <button
                       onClick={() => { setRevokeMode('pdf'); setResult(null); setError(null); setQrImage(null); }}
@@ -2476,7 +3458,7 @@ function App() {
                   {revokeMode === 'pdf' && (
                     <>
                       <div>
-                        <label className="block text-sm font-semibold text-red-100 mb-3">Upload Certificate PDF to Revoke</label>
+                        <label className="block text-sm font-semibold text-red-100 mb-3">Upload Certificate PDF to {REVOKE_ACTIONS[revokeAction].label}</label>
                         <input 
                           type="file" 
                           accept=".pdf" 
@@ -2488,28 +3470,24 @@ function App() {
                         <label htmlFor="revoke-file-upload" className="flex flex-col items-center justify-center w-full h-48 border-2 border-dashed border-red-400/50 rounded-xl cursor-pointer hover:border-red-400 hover:bg-white/10 transition-all backdrop-blur-sm bg-white/5 group">
                           <Upload className="w-12 h-12 text-red-400 mb-4 group-hover:scale-110 transition-transform" />
                           <span className="text-base text-red-100 font-medium">{file ? file.name : 'Click to upload certificate PDF'}</span>
-                          <span className="text-sm text-red-300/70 mt-2">Revoke certificate from blockchain</span>
+                          <span className="text-sm text-red-300/70 mt-2">{REVOKE_ACTIONS[revokeAction].label} certificate on blockchain</span>
                         </label>
                       </div>
-                      <div className="bg-red-500/10 border border-red-400/30 rounded-lg p-4">
-                        <div className="flex items-start gap-3">
-                          <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
-                          <div className="text-sm text-red-200">
-                            <p className="font-semibold mb-1">Warning: Irreversible Action</p>
-                            <p>Revoking a certificate will permanently invalidate it on the blockchain. This action cannot be undone.</p>
-                          </div>
-                        </div>
-                      </div>
+                      {revokeAction === 'revoke' ? revocationReasonFields : suspensionNoteField}
+                      {revokeActionNotice}
                       <button onClick={handleRevokeCertificate} disabled={loading} className="w-full bg-gradient-to-r from-red-500 to-orange-600 text-white py-4 px-6 rounded-xl font-bold text-lg flex items-center justify-center gap-3 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed hover:shadow-red-500/50 transition-all">
-                        {loading ? <><Loader2 className="w-6 h-6 animate-spin" /> Revoking...</> : <><XCircle className="w-6 h-6" /> Revoke Certificate</>}
+                        {loading
+                          ? <><Loader2 className="w-6 h-6 animate-spin" /> Submitting...</>
+                          : <><XCircle className="w-6 h-6" /> {REVOKE_ACTIONS[revokeAction].label} Certificate</>}
                       </button>
+                      {loading && job && <JobStepper job={job} />}
                     </>
                   )}
 
                   {revokeMode === 'qr' && (
                     <>
                       <div>
-                        <label className="block text-sm font-semibold text-red-100 mb-3">Upload QR Code Image to Revoke</label>
+                        <label className="block text-sm font-semibold text-red-100 mb-3">Upload QR Code Image to {REVOKE_ACTIONS[revokeAction].label}</label>
                         <input 
                           type="file" 
                           accept="image/*" 
@@ -2521,24 +3499,302 @@ function App() {
                         <label htmlFor="revoke-qr-file-upload" className="flex flex-col items-center justify-center w-full h-48 border-2 border-dashed border-red-400/50 rounded-xl cursor-pointer hover:border-red-400 hover:bg-white/10 transition-all backdrop-blur-sm bg-white/5 group">
                           <Camera className="w-12 h-12 text-red-400 mb-4 group-hover:scale-110 transition-transform" />
                           <span className="text-base text-red-100 font-medium">{qrImage ? qrImage.name : 'Click to upload QR code image'}</span>
-                          <span className="text-sm text-red-300/70 mt-2">Automatically scans and revokes on blockchain</span>
+                          <span className="text-sm text-red-300/70 mt-2">Automatically scans and submits to blockchain</span>
                         </label>
                       </div>
-                      <div className="bg-red-500/10 border border-red-400/30 rounded-lg p-4">
-                        <div className="flex items-start gap-3">
-                          <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
-                          <div className="text-sm text-red-200">
-                            <p className="font-semibold mb-1">Warning: Irreversible Action</p>
-                            <p>Revoking a certificate will permanently invalidate it on the blockchain. This action cannot be undone.</p>
-                          </div>
-                        </div>
-                      </div>
-                      {loading && (
+                      {revokeAction === 'revoke' ? revocationReasonFields : suspensionNoteField}
+                      {revokeActionNotice}
+                      {loading && (job ? <JobStepper job={job} /> : (
                         <div className="flex items-center justify-center gap-3 text-red-100">
                           <Loader2 className="w-6 h-6 animate-spin" />
-                          <span>Scanning QR code and revoking...</span>
+                          <span>Scanning QR code and submitting...</span>
                         </div>
-                      )}
+                      ))}
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'dashboard' && (
+              <div>
+                <div className="space-y-6">
+                  <form onSubmit={applyDashboardSearch} className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <div className="md:col-span-2">
+                      <label htmlFor="dashboard-search" className="block text-sm font-semibold text-emerald-100 mb-3">Search</label>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          id="dashboard-search"
+                          value={dashboardSearch}
+                          onChange={(e) => setDashboardSearch(e.target.value)}
+                          placeholder="Hash prefix or filename"
+                          className="w-full bg-white/5 border border-emerald-400/50 rounded-xl px-4 py-3 text-emerald-100 placeholder-emerald-300/50 focus:outline-none focus:border-emerald-400"
+                        />
+                        <button type="submit" className="bg-gradient-to-r from-emerald-500 to-teal-600 text-white px-4 rounded-xl hover:shadow-lg transition-all" aria-label="Search">
+                          <Search className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </div>
+                    <div className="md:col-span-2">
+                      <label htmlFor="dashboard-status" className="block text-sm font-semibold text-emerald-100 mb-3">Status</label>
+                      <select
+                        id="dashboard-status"
+                        value={dashboardFilters.status}
+                        onChange={(e) => updateDashboardFilter('status', e.target.value)}
+                        className="w-full bg-white/5 border border-emerald-400/50 rounded-xl px-4 py-3 text-emerald-100 focus:outline-none focus:border-emerald-400"
+                      >
+                        {DASHBOARD_STATUSES.map((status) => (
+                          <option key={status.value} value={status.value} className="text-gray-900">{status.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="md:col-span-2">
+                      <label htmlFor="dashboard-from" className="block text-sm font-semibold text-emerald-100 mb-3">Issued From</label>
+                      <input
+                        type="date"
+                        id="dashboard-from"
+                        value={dashboardFilters.from}
+                        onChange={(e) => updateDashboardFilter('from', e.target.value)}
+                        className="w-full bg-white/5 border border-emerald-400/50 rounded-xl px-4 py-3 text-emerald-100 focus:outline-none focus:border-emerald-400"
+                      />
+                    </div>
+                    <div className="md:col-span-2">
+                      <label htmlFor="dashboard-to" className="block text-sm font-semibold text-emerald-100 mb-3">Issued To</label>
+                      <input
+                        type="date"
+                        id="dashboard-to"
+                        value={dashboardFilters.to}
+                        onChange={(e) => updateDashboardFilter('to', e.target.value)}
+                        className="w-full bg-white/5 border border-emerald-400/50 rounded-xl px-4 py-3 text-emerald-100 focus:outline-none focus:border-emerald-400"
+                      />
+                    </div>
+                  </form>
+
+                  <div className="flex items-center justify-between text-sm text-emerald-100">
+                    <span>
+                      {dashboardTotal === 0
+                        ? 'No certificates found'
+                        : `Showing ${dashboardPage * DASHBOARD_PAGE_SIZE + 1}–${dashboardPage * DASHBOARD_PAGE_SIZE + dashboardCertificates.length} of ${dashboardTotal}`}
+                    </span>
+                    <button onClick={fetchDashboard} disabled={dashboardLoading} className="flex items-center gap-2 hover:text-white disabled:opacity-50">
+                      <RefreshCw className={`w-4 h-4 ${dashboardLoading ? 'animate-spin' : ''}`} />
+                      Refresh
+                    </button>
+                  </div>
+
+                  <div className="overflow-x-auto rounded-xl border border-white/20">
+                    <table className="w-full text-sm text-left">
+                      <thead className="bg-white/10 text-emerald-100">
+                        <tr>
+                          <th className="px-3 py-3">
+                            <input
+                              type="checkbox"
+                              aria-label="Select all revocable certificates on this page"
+                              checked={selectableOnPage.length > 0 && selectableOnPage.every((hash) => selectedHashes.includes(hash))}
+                              onChange={toggleSelectAll}
+                            />
+                          </th>
+                          <th className="px-3 py-3">Status</th>
+                          <th className="px-3 py-3">Certificate</th>
+                          <th className="px-3 py-3">Issued</th>
+                          <th className="px-3 py-3">CID</th>
+                          <th className="px-3 py-3">Transaction</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-white/10 text-white">
+                        {dashboardCertificates.map((cert) => (
+                          <tr key={cert.certificateHash} className={selectedHashes.includes(cert.certificateHash) ? 'bg-red-500/10' : 'hover:bg-white/5'}>
+                            <td className="px-3 py-3">
+                              <input
+                                type="checkbox"
+                                aria-label={`Select ${cert.fileName || cert.certificateHash}`}
+                                disabled={!isBulkRevocable(cert)}
+                                checked={selectedHashes.includes(cert.certificateHash)}
+                                onChange={() => toggleSelected(cert.certificateHash)}
+                              />
+                            </td>
+                            <td className="px-3 py-3">
+                              <span className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_BADGES[cert.status] || STATUS_BADGES['not-issued']}`}>
+                                {cert.revocation?.supersededBy ? 'superseded' : cert.status}
+                              </span>
+                            </td>
+                            <td className="px-3 py-3">
+                              <span className="block">{cert.fileName || '-'}</span>
+                              <span className="block font-mono text-xs text-emerald-200" title={cert.certificateHash}>{shortHash(cert.certificateHash)}</span>
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap">{formatDate(cert.issuance.date)}</td>
+                            <td className="px-3 py-3 font-mono text-xs">
+                              {cert.ipfsCID
+                                ? <a href={storedFileUrl(cert)} target="_blank" rel="noopener noreferrer" className="text-cyan-300 hover:underline" title={cert.ipfsCID}>{shortHash(cert.ipfsCID)}</a>
+                                : '-'}
+                            </td>
+                            <td className="px-3 py-3 font-mono text-xs" title={cert.issuance.transactionHash || ''}>
+                              {shortHash(cert.issuance.transactionHash)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <button
+                      onClick={() => setDashboardPage((page) => page - 1)}
+                      disabled={dashboardPage === 0 || dashboardLoading}
+                      className="flex items-center gap-1 text-emerald-100 px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 disabled:opacity-40"
+                    >
+                      <ChevronLeft className="w-4 h-4" /> Previous
+                    </button>
+                    <span className="text-sm text-emerald-100">Page {dashboardPage + 1} of {Math.max(Math.ceil(dashboardTotal / DASHBOARD_PAGE_SIZE), 1)}</span>
+                    <button
+                      onClick={() => setDashboardPage((page) => page + 1)}
+                      disabled={(dashboardPage + 1) * DASHBOARD_PAGE_SIZE >= dashboardTotal || dashboardLoading}
+                      className="flex items-center gap-1 text-emerald-100 px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 disabled:opacity-40"
+                    >
+                      Next <ChevronRight className="w-4 h-4" />
+                    </button>
+                  </div>
+
+                  {selectedHashes.length > 0 && (
+                    <div className="space-y-4 p-5 bg-red-500/10 border border-red-400/30 rounded-xl">
+                      <h4 className="font-semibold text-red-100">Revoke {selectedHashes.length} selected certificate{selectedHashes.length === 1 ? '' : 's'}</h4>
+                      {revocationReasonFields}
+                      <button onClick={handleBulkRevoke} disabled={loading} className="w-full bg-gradient-to-r from-red-500 to-orange-600 text-white py-4 px-6 rounded-xl font-bold text-lg flex items-center justify-center gap-3 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed hover:shadow-red-500/50 transition-all">
+                        {loading
+                          ? <><Loader2 className="w-6 h-6 animate-spin" /> Revoking...</>
+                          : <><XCircle className="w-6 h-6" /> Revoke Selected</>}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'stats' && (
+              <div>
+                <div className="space-y-6">
+                  <div className="flex items-center justify-between">
+                    <div className="flex gap-2 p-1 backdrop-blur-sm bg-white/5 rounded-xl border border-white/10">
+                      {['day', 'month'].map((period) => (
+                        <button
+                          key={period}
+                          onClick={() => setStatsPeriod(period)}
+                          className={`py-2 px-4 rounded-lg text-sm font-semibold transition-all duration-300 ${
+                            statsPeriod === period ? 'bg-gradient-to-r from-sky-500 to-indigo-600 text-white' : 'text-sky-100 hover:bg-white/10'
+                          }`}
+                        >
+                          {period === 'day' ? 'Daily' : 'Monthly'}
+                        </button>
+                      ))}
+                    </div>
+                    <button onClick={fetchStats} disabled={loading} className="flex items-center gap-2 text-sm text-sky-100 hover:text-white disabled:opacity-50">
+                      <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                      Refresh
+                    </button>
+                  </div>
+
+                  {stats && (
+                    <>
+                      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                        {[
+                          { label: 'Issued (on-chain)', value: stats.onChain?.issued ?? '-' },
+                          { label: 'Revoked (on-chain)', value: stats.onChain?.revoked ?? '-' },
+                          { label: 'Active (on-chain)', value: stats.onChain?.active ?? '-' },
+                          { label: 'Verifications', value: stats.verifications.total },
+                          { label: 'Gas Spent (ETH)', value: Number(stats.gas.costEth).toFixed(6) },
+                        ].map((card) => (
+                          <div key={card.label} className="bg-white/10 border border-white/20 rounded-xl p-4 text-center">
+                            <p className="text-2xl font-bold text-white">{card.value}</p>
+                            <p className="text-xs text-sky-200 mt-1">{card.label}</p>
+                          </div>
+                        ))}
+                      </div>
+
+                      <div className="bg-white/10 border border-white/20 rounded-xl p-5">
+                        <h4 className="font-semibold text-sky-100 mb-4">Issuance and Revocations</h4>
+                        <StatsBarChart
+                          data={stats.timeline}
+                          series={[
+                            { key: 'issued', label: 'Issued', className: 'bg-cyan-400' },
+                            { key: 'revoked', label: 'Revoked', className: 'bg-red-400' },
+                          ]}
+                        />
+                      </div>
+
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="bg-white/10 border border-white/20 rounded-xl p-5">
+                          <h4 className="font-semibold text-sky-100 mb-4">Verifications</h4>
+                          <StatsBarChart
+                            data={stats.timeline}
+                            series={[{ key: 'verifications', label: 'Verifications', className: 'bg-purple-400' }]}
+                          />
+                        </div>
+                        <div className="bg-white/10 border border-white/20 rounded-xl p-5 space-y-3">
+                          <h4 className="font-semibold text-sky-100 mb-4">Verifications by Method</h4>
+                          {[
+                            { label: 'PDF upload', value: stats.verifications.byMethod.pdf || 0, className: 'bg-purple-400' },
+                            { label: 'QR code', value: stats.verifications.byMethod.qr || 0, className: 'bg-pink-400' },
+                          ].map((method) => (
+                            <div key={method.label}>
+                              <div className="flex justify-between text-xs text-sky-100 mb-1">
+                                <span>{method.label}</span>
+                                <span>{method.value}</span>
+                              </div>
+                              <div className="h-3 bg-white/10 rounded-full overflow-hidden">
+                                <div
+                                  className={`h-full ${method.className}`}
+                                  style={{ width: `${stats.verifications.total ? (method.value / stats.verifications.total) * 100 : 0}%` }}
+                                />
+                              </div>
+                            </div>
+                          ))}
+                          <p className="text-xs text-sky-200 pt-2">
+                            {stats.verifications.byStatus['not-issued'] || 0} attempt(s) on unknown certificates
+                          </p>
+                        </div>
+                      </div>
+
+                      <div className="bg-white/10 border border-white/20 rounded-xl p-5">
+                        <h4 className="font-semibold text-sky-100 mb-4">Gas Used</h4>
+                        <StatsBarChart
+                          data={stats.timeline.map((entry) => ({ ...entry, gasUsed: Number(entry.gasUsed) }))}
+                          series={[{ key: 'gasUsed', label: 'Gas used', className: 'bg-amber-400' }]}
+                        />
+                        <p className="text-xs text-sky-200 mt-3">
+                          {stats.gas.transactions} transaction(s), {Number(stats.gas.gasUsed).toLocaleString()} gas in total
+                        </p>
+                      </div>
+
+                      <div className="overflow-x-auto rounded-xl border border-white/20">
+                        <table className="w-full text-sm text-left">
+                          <thead className="bg-white/10 text-sky-100">
+                            <tr>
+                              <th className="px-3 py-3">Issuer</th>
+                              <th className="px-3 py-3 text-right">Issued</th>
+                              <th className="px-3 py-3 text-right">Valid</th>
+                              <th className="px-3 py-3 text-right">Expired</th>
+                              <th className="px-3 py-3 text-right">Revoked</th>
+                              <th className="px-3 py-3 text-right">Suspended</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-white/10 text-white">
+                            {stats.issuers.map((issuer) => (
+                              <tr key={`${issuer.network}:${issuer.issuer}`}>
+                                <td className="px-3 py-3">
+                                  <span className="block">{issuer.issuerName || 'Unregistered issuer'}</span>
+                                  <span className="block font-mono text-xs text-sky-200">{shortHash(issuer.issuer)}</span>
+                                </td>
+                                <td className="px-3 py-3 text-right">{issuer.issued}</td>
+                                <td className="px-3 py-3 text-right">{issuer.valid}</td>
+                                <td className="px-3 py-3 text-right">{issuer.expired}</td>
+                                <td className="px-3 py-3 text-right">{issuer.revoked}</td>
+                                <td className="px-3 py-3 text-right">{issuer.suspended}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
                     </>
                   )}
                 </div>
@@ -2601,22 +3857,30 @@ function App() {
                       {result.data.data?.certificateHash || result.data.certificateHash}
                     </span>
                   </div>
+                  {result.data.data?.supersedes && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                      <span className="text-cyan-200 font-semibold">Supersedes:</span>
+                      <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
+                        {result.data.data.supersedes}
+                      </span>
+                    </div>
+                  )}
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
                     <span className="text-cyan-200 font-semibold">IPFS CID:</span>
                     <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
                       {result.data.data?.ipfsCID || result.data.ipfsCID}
                     </span>
                   </div>
-                  {(result.data.data?.ipfsUrl || result.data.ipfsUrl) && (
+                  {storedFileUrl(result.data.data || result.data) && (
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
-                      <span className="text-cyan-200 font-semibold">IPFS URL:</span>
+                      <span className="text-cyan-200 font-semibold">{(result.data.data || result.data).ipfsUrl ? 'IPFS URL:' : 'File:'}</span>
                       <div className="md:col-span-2">
                         <button
-                          onClick={() => downloadFromIPFS(result.data.data?.ipfsUrl || result.data.ipfsUrl, 'certificate.pdf')}
+                          onClick={() => downloadFromIPFS(storedFileUrl(result.data.data || result.data), 'certificate.pdf')}
                           className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-4 rounded-lg font-semibold flex items-center gap-2 transition-all text-xs"
                         >
                           <Download className="w-3 h-3" />
-                          Download from IPFS
+                          Download PDF
                         </button>
                       </div>
                     </div>
@@ -2639,6 +3903,42 @@ function App() {
                       {result.data.data?.blockNumber || result.data.blockNumber}
                     </span>
                   </div>
+                  {result.data.data?.network && networks.length > 1 && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                      <span className="text-cyan-200 font-semibold">Network:</span>
+                      <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                        {result.data.data.network} (chain {result.data.data.chainId})
+                      </span>
+                    </div>
+                  )}
+                  <FinalityRow
+                    finality={result.data.data?.finality}
+                    checking={finalityChecking}
+                    onRecheck={() => recheckFinality(result.data.data.finality)}
+                  />
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <span className="text-cyan-200 font-semibold">Expires:</span>
+                    <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                      {result.data.data?.expiryDate ? formatDate(result.data.data.expiryDate) : 'Never'}
+                    </span>
+                  </div>
+                  {result.data.data?.recipientBinding && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                      <span className="text-cyan-200 font-semibold">Bound To:</span>
+                      <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                        {result.data.data.recipientBinding === 'wallet' ? 'Recipient wallet' : 'Recipient name and email'}
+                        <span className="block text-xs text-cyan-300 mt-1">The QR code carries the secret salt; give it only to the recipient</span>
+                      </span>
+                    </div>
+                  )}
+                  {result.data.data?.tokenHolder && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                      <span className="text-cyan-200 font-semibold">Token Minted To:</span>
+                      <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
+                        {result.data.data.tokenHolder}
+                      </span>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -2657,10 +3957,10 @@ function App() {
                   </div>
                   <div>
                     <h3 className={`font-bold text-xl ${result.data.isValid ? 'text-green-100' : 'text-red-100'}`}>
-                      {result.data.isValid ? '✓ Valid Certificate' : '✗ Invalid Certificate'}
+                      {statusDisplay(result.data).title}
                     </h3>
                     <p className={`text-sm mt-1 ${result.data.isValid ? 'text-green-200' : 'text-red-200'}`}>
-                      {result.data.isValid ? 'This certificate is verified on the blockchain' : 'This certificate was not found on the blockchain or has been revoked'}
+                      {statusDisplay(result.data).description}
                     </p>
                     {result.data.verificationMethod && (
                       <p className={`text-xs mt-2 flex items-center gap-1 ${result.data.isValid ? 'text-green-300' : 'text-red-300'}`}>
@@ -2670,7 +3970,7 @@ function App() {
                     )}
                   </div>
                 </div>
-                {result.data.isValid && (
+                {result.data.blockchainVerified && (
                   <div className="bg-white/10 backdrop-blur-sm p-5 rounded-xl space-y-4 border border-white/20">
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
                       <span className="text-cyan-200 font-semibold">Certificate Hash:</span>
@@ -2690,7 +3990,7 @@ function App() {
                           <span className="text-cyan-200 font-semibold">Download:</span>
                           <div className="md:col-span-2">
                             <button
-                              onClick={() => downloadFromIPFS(result.data.ipfsUrl, 'certificate.pdf')}
+                              onClick={() => downloadFromIPFS(storedFileUrl(result.data), 'certificate.pdf')}
                               className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-4 rounded-lg font-semibold flex items-center gap-2 transition-all text-xs"
                             >
                               <Download className="w-3 h-3" />
@@ -2706,16 +4006,117 @@ function App() {
                         {result.data.issuer}
                       </span>
                     </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                      <span className="text-cyan-200 font-semibold">Issued By:</span>
+                      <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                        {result.data.issuerName || 'Unregistered issuer'}
+                        {result.data.issuerStatus && (
+                          <span className={`ml-2 text-xs font-semibold ${result.data.issuerStatus === 'active' ? 'text-emerald-300' : 'text-yellow-300'}`}>
+                            ({result.data.issuerStatus})
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                    {result.data.merkleRoot && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                        <span className="text-cyan-200 font-semibold">Batch Merkle Root:</span>
+                        <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
+                          {result.data.merkleRoot}
+                        </span>
+                      </div>
+                    )}
+                    {result.data.network && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                        <span className="text-cyan-200 font-semibold">Network:</span>
+                        <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                          {result.data.network} (chain {result.data.chainId})
+                        </span>
+                      </div>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
                       <span className="text-cyan-200 font-semibold">Issued Date:</span>
                       <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
                         {formatDate(result.data.issuedDate)}
                       </span>
                     </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                      <span className="text-cyan-200 font-semibold">Expiry Date:</span>
+                      <span className={`md:col-span-2 bg-black/20 px-3 py-2 rounded ${result.data.status === 'expired' ? 'text-yellow-300 font-semibold' : 'text-white'}`}>
+                        {result.data.expiryDate ? formatDate(result.data.expiryDate) : 'Never expires'}
+                      </span>
+                    </div>
+                    {result.data.recipientBinding && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                        <span className="text-cyan-200 font-semibold">Recipient:</span>
+                        <div className="md:col-span-2 bg-black/20 px-3 py-2 rounded space-y-2">
+                          <span className="block text-white">
+                            Bound to {result.data.recipientBinding === 'wallet' ? 'a wallet' : 'a name and email'}
+                          </span>
+                          {result.data.recipientVerified !== undefined && (
+                            <span className={`block text-xs font-semibold ${result.data.recipientVerified ? 'text-emerald-300' : 'text-red-300'}`}>
+                              {result.data.recipientVerified ? '✓' : '✗'} {result.data.recipientCheck}
+                            </span>
+                          )}
+                          {result.data.recipientBinding === 'wallet' && result.qrData && !result.data.recipientVerified && (
+                            <button
+                              onClick={proveWalletOwnership}
+                              disabled={loading}
+                              className="bg-purple-500 hover:bg-purple-600 text-white py-1 px-4 rounded-lg font-semibold transition-all text-xs disabled:opacity-50"
+                            >
+                              Prove Wallet Ownership
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                    {result.data.tokenHolder && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                        <span className="text-cyan-200 font-semibold">Token Holder:</span>
+                        <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
+                          {result.data.tokenHolder}
+                        </span>
+                      </div>
+                    )}
+                    {result.data.replacement && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                        <span className="text-cyan-200 font-semibold">Superseded By:</span>
+                        <div className="md:col-span-2 bg-black/20 px-3 py-2 rounded space-y-2">
+                          <span className="block text-white font-mono text-xs break-all">{result.data.replacement.certificateHash}</span>
+                          <span className={`block text-xs font-semibold ${result.data.replacement.isValid ? 'text-emerald-300' : 'text-red-300'}`}>
+                            Replacement issued {formatDate(result.data.replacement.issuedDate)} — {result.data.replacement.status}
+                          </span>
+                          <button
+                            onClick={() => downloadFromIPFS(storedFileUrl(result.data.replacement), 'certificate.pdf')}
+                            className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-4 rounded-lg font-semibold flex items-center gap-2 transition-all text-xs"
+                          >
+                            <Download className="w-3 h-3" />
+                            Download Replacement
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    {result.data.status === 'suspended' && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                        <span className="text-cyan-200 font-semibold">Suspended:</span>
+                        <span className="md:col-span-2 text-amber-200 bg-black/20 px-3 py-2 rounded">
+                          {formatDate(result.data.suspendedDate)}
+                          {result.data.suspensionNote && <span className="block text-xs text-amber-300 mt-1">{result.data.suspensionNote}</span>}
+                        </span>
+                      </div>
+                    )}
+                    {result.data.status === 'revoked' && result.data.revokedDate && (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                        <span className="text-cyan-200 font-semibold">Revoked:</span>
+                        <span className="md:col-span-2 text-red-200 bg-black/20 px-3 py-2 rounded">
+                          {formatDate(result.data.revokedDate)} — {revocationReasonLabel(result.data.revocationReason)}
+                          {result.data.revocationNote && <span className="block text-xs text-red-300 mt-1">{result.data.revocationNote}</span>}
+                        </span>
+                      </div>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
                       <span className="text-cyan-200 font-semibold">Blockchain Status:</span>
-                      <span className="md:col-span-2 text-emerald-300 font-semibold bg-black/20 px-3 py-2 rounded">
-                        ✓ Verified on Blockchain
+                      <span className={`md:col-span-2 font-semibold bg-black/20 px-3 py-2 rounded ${result.data.isValid ? 'text-emerald-300' : 'text-red-300'}`}>
+                        {result.data.isValid ? '✓ Verified on Blockchain' : `✗ ${{ expired: 'Expired', superseded: 'Superseded', suspended: 'Suspended' }[result.data.status] || 'Revoked'}`}
                       </span>
                     </div>
                   </div>
@@ -2741,6 +4142,19 @@ function App() {
                       {result.data.certificateHash}
                     </span>
                   </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <span className="text-cyan-200 font-semibold">Reason:</span>
+                    <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                      {revocationReasonLabel(result.data.revocationReason)}
+                      {result.data.revocationNote && <span className="block text-xs text-orange-200 mt-1">{result.data.revocationNote}</span>}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <span className="text-cyan-200 font-semibold">Revoked At:</span>
+                    <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                      {formatDate(result.data.revokedDate)}
+                    </span>
+                  </div>
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
                     <span className="text-cyan-200 font-semibold">Transaction Hash:</span>
                     <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
@@ -2753,6 +4167,11 @@ function App() {
                       {result.data.blockNumber}
                     </span>
                   </div>
+                  <FinalityRow
+                    finality={result.data.finality}
+                    checking={finalityChecking}
+                    onRecheck={() => recheckFinality(result.data.finality)}
+                  />
                   <div className="bg-red-500/20 border border-red-400/30 rounded-lg p-4 mt-4">
                     <div className="flex items-start gap-3">
                       <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0 mt-0.5" />
@@ -2765,6 +4184,92 @@ function App() {
                 </div>
               </div>
             )}
+
+            {result && result.type === 'suspension' && (
+              <div className="mt-8 p-6 bg-gradient-to-br from-amber-500/20 to-orange-500/20 border border-amber-400/50 rounded-xl backdrop-blur-sm">
+                <div className="flex items-start gap-4 mb-6">
+                  <div className="w-12 h-12 bg-amber-500 rounded-full flex items-center justify-center flex-shrink-0">
+                    {result.data.status === 'suspended' ? <AlertCircle className="w-7 h-7 text-white" /> : <CheckCircle className="w-7 h-7 text-white" />}
+                  </div>
+                  <div>
+                    <h3 className="font-bold text-amber-100 text-xl">
+                      {result.data.status === 'suspended' ? 'Certificate Suspended' : 'Certificate Reinstated'}
+                    </h3>
+                    <p className="text-amber-200 text-sm mt-1">
+                      {result.data.status === 'suspended'
+                        ? 'Verifications will report this certificate as suspended until it is reinstated'
+                        : `The certificate is ${result.data.status} again`}
+                    </p>
+                  </div>
+                </div>
+                <div className="bg-white/10 backdrop-blur-sm p-5 rounded-xl space-y-4 border border-white/20">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <span className="text-cyan-200 font-semibold">Certificate Hash:</span>
+                    <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
+                      {result.data.certificateHash}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <span className="text-cyan-200 font-semibold">Transaction Hash:</span>
+                    <span className="md:col-span-2 text-white font-mono text-xs break-all bg-black/20 px-3 py-2 rounded">
+                      {result.data.transactionHash}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <span className="text-cyan-200 font-semibold">Block Number:</span>
+                    <span className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded">
+                      {result.data.blockNumber}
+                    </span>
+                  </div>
+                  <FinalityRow
+                    finality={result.data.finality}
+                    checking={finalityChecking}
+                    onRecheck={() => recheckFinality(result.data.finality)}
+                  />
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                    <span className="text-cyan-200 font-semibold">Audit Trail:</span>
+                    <ul className="md:col-span-2 text-white bg-black/20 px-3 py-2 rounded space-y-1">
+                      {(result.data.suspensionHistory || []).map((entry, index) => (
+                        <li key={index} className="text-xs">
+                          <span className="font-semibold capitalize">{entry.action}</span> — {formatDate(entry.date)}
+                          {entry.note && <span className="block text-amber-200">{entry.note}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {result && result.type === 'bulk-revoke' && (
+              <div className="mt-8 p-6 bg-gradient-to-br from-orange-500/20 to-red-500/20 border border-orange-400/50 rounded-xl backdrop-blur-sm">
+                <div className="flex items-start gap-4 mb-6">
+                  <div className="w-12 h-12 bg-orange-500 rounded-full flex items-center justify-center flex-shrink-0">
+                    <XCircle className="w-7 h-7 text-white" />
+                  </div>
+                  <div>
+                    <h3 className="font-bold text-orange-100 text-xl">Revoked {result.data.revoked} of {result.data.results.length} Certificates</h3>
+                    <p className="text-orange-200 text-sm mt-1">
+                      Reason: {revocationReasonLabel(result.data.revocationReason)}
+                      {result.data.revocationNote && ` — ${result.data.revocationNote}`}
+                    </p>
+                  </div>
+                </div>
+                <ul className="bg-white/10 backdrop-blur-sm p-5 rounded-xl space-y-2 border border-white/20 text-sm">
+                  {result.data.results.map((entry) => (
+                    <li key={entry.certificateHash} className="flex items-start gap-3">
+                      {entry.success
+                        ? <CheckCircle className="w-4 h-4 text-green-300 flex-shrink-0 mt-0.5" />
+                        : <XCircle className="w-4 h-4 text-red-300 flex-shrink-0 mt-0.5" />}
+                      <span className="font-mono text-xs text-white" title={entry.certificateHash}>{shortHash(entry.certificateHash)}</span>
+                      <span className={entry.success ? 'text-green-200 font-mono text-xs break-all' : 'text-red-200'}>
+                        {entry.success ? entry.transactionHash : entry.message}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
       </div>
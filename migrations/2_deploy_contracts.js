@@ -1,5 +1,13 @@
 const CertificateVerification = artifacts.require("CertificateVerification");
 
-module.exports = function (deployer) {
-  deployer.deploy(CertificateVerification);
-};
\ No newline at end of file
+module.exports = async function (deployer, network, accounts) {
+  await deployer.deploy(CertificateVerification);
+  const instance = await CertificateVerification.deployed();
+
+  // Register the deploying account so the backend wallet can issue straight away
+  await instance.registerIssuer(
+    accounts[0],
+    process.env.ISSUER_NAME || "Default Issuer",
+    process.env.ISSUER_METADATA_URI || ""
+  );
+};
@@ -6,6 +6,11 @@ module.exports = {
       network_id: "5777",
       gas: 6721975,
       gasPrice: 20000000000
+    },
+    staging: {
+      host: "127.0.0.1",
+      port: 8545,
+      network_id: "*"
     }
   },
   